@@ -1,10 +1,67 @@
+import crypto from "crypto";
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import fetch from "node-fetch";
-import { promises as fs } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  OPEN_AUTHORIZATION_STATUSES,
+  assertAuthorizationOpen,
+  isAuthorizationLapsed,
+  readPlanPaymentIntents,
+  remainingAuthorizedAmount,
+  resolvePaymentIntent,
+  toAuthorizationRecord,
+} from "./lib/authorizations.js";
+import { createAdminAuth, parseAdminKeys } from "./lib/admin-auth.js";
+import { getPublicCatalog } from "./lib/catalog.js";
+import { httpError, toErrorResponse } from "./lib/errors.js";
+import { hasPayerRules, readFraudRules, reviewStatus, screenOrder, screenPayer } from "./lib/fraud.js";
+import { createIdempotencyStore } from "./lib/idempotency.js";
+import { addLogContext, createLogger, readLogLevel, requestLogging } from "./lib/logger.js";
+import { createPaymentMetrics } from "./lib/metrics.js";
+import { createMarkets, readFxRates } from "./lib/currency.js";
+import { normalizeCustomerId, summarizeCredits, syncCaptureCredits } from "./lib/credits.js";
+import { INVOICE_FORMATS, buildInvoice, formatInvoiceNumber, renderInvoiceHtml, renderInvoicePdf } from "./lib/invoices.js";
+import { readPayPalHttpOptions } from "./lib/paypal.js";
+import { createPrivacy, readPrivacyOptions, readRetentionWindow } from "./lib/privacy.js";
+import { createRateLimit, readRateLimits } from "./lib/rate-limit.js";
+import { quoteShipping, readShippingMethods, readShippingSelection, shippingOptions } from "./lib/shipping.js";
+import { createSqliteRepository } from "./lib/store/sqlite.js";
+import { parseReconciliationPage, parseReconciliationWindow, reconcileOrders } from "./lib/reconciliation.js";
+import {
+  OPEN_ORDER_STATUSES,
+  isExpired,
+  orderStatusForAuthorization,
+  orderStatusForCapture,
+  orderStatusForEvent,
+  readClientContext,
+  transitionOrder,
+} from "./lib/orders.js";
+import { amountToString } from "./lib/money.js";
+import { createGatewayRegistry } from "./lib/gateways/index.js";
+import { toShippingCallbackError, toShippingOptions } from "./lib/gateways/paypal.js";
+import { buildAmount, priceOrder, withShipping } from "./lib/pricing.js";
+import { findPromotion, getFeaturedPromotion } from "./lib/promotions.js";
+import { parseGstin } from "./lib/gst.js";
+import {
+  SUBSCRIPTION_ACTIONS,
+  provisionBillingPlans,
+  resolveBillingPlan,
+  subscriptionHistory,
+  subscriptionPayments,
+  toSubscriptionRecord,
+} from "./lib/subscriptions.js";
+import {
+  buildTransactionView,
+  captureStatus,
+  isCaptureRecord,
+  parseTransactionQuery,
+  queryTransactions,
+  stripRaw,
+  summarizeCapture,
+  toCaptureRecord,
+} from "./lib/transactions.js";
 
 dotenv.config();
 
@@ -14,214 +71,1327 @@ const PORT = process.env.PORT || 5000;
 const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
 const PAYPAL_CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET;
 const PAYPAL_ENVIRONMENT = (process.env.PAYPAL_ENVIRONMENT || "sandbox").toLowerCase();
-const PAYPAL_BASE_URL = PAYPAL_ENVIRONMENT === "live" ? "https://api-m.paypal.com" : "https://api-m.sandbox.paypal.com";
+const PAYPAL_BASE_URL =
+  process.env.PAYPAL_BASE_URL || (PAYPAL_ENVIRONMENT === "live" ? "https://api-m.paypal.com" : "https://api-m.sandbox.paypal.com");
+const PAYPAL_WEBHOOK_ID = process.env.PAYPAL_WEBHOOK_ID;
 const PAYPAL_CURRENCY = (process.env.PAYPAL_CURRENCY || "USD").toUpperCase();
+const SUPPORTED_CURRENCIES = (process.env.SUPPORTED_CURRENCIES || "USD,EUR,GBP,INR,JPY").split(",");
+const FX_RATES = readFxRates();
+const PLAN_PAYMENT_INTENTS = readPlanPaymentIntents();
+const GST_CONFIG = {
+  sellerStateCode: (process.env.GST_SELLER_STATE_CODE || "29").padStart(2, "0"),
+  rate: Number(process.env.GST_RATE || 18),
+};
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const DATA_DIR = path.join(__dirname, "data");
-const TRANSACTIONS_LOG = path.join(DATA_DIR, "transactions.jsonl");
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(DATA_DIR, "payments.db");
+
+const logger = createLogger({ level: readLogLevel() });
+const metrics = createPaymentMetrics();
 
 if (!PAYPAL_CLIENT_ID || !PAYPAL_CLIENT_SECRET) {
-  console.warn("⚠️  PAYPAL_CLIENT_ID or PAYPAL_CLIENT_SECRET is missing. Create a .env file before trying to accept payments.");
+  logger.warn("PAYPAL_CLIENT_ID or PAYPAL_CLIENT_SECRET is missing. Create a .env file before trying to accept payments.");
 }
 
+app.use(requestLogging(logger));
+
+// Timed by route pattern rather than URL, so order ids do not each become a series of their own.
+app.use((req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    metrics.httpRequestDuration.observe(
+      { route: req.route ? req.baseUrl + req.route.path : "unmatched", method: req.method, status: String(res.statusCode) },
+      Number(process.hrtime.bigint() - startedAt) / 1e9
+    );
+  });
+  next();
+});
+
+// Browsers may only call the API from these origins; CORS_ORIGINS is a comma-separated list.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "http://localhost:3000")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
 app.use(
   cors({
-    origin: "http://localhost:3000",
+    origin: CORS_ORIGINS,
     methods: ["GET", "POST", "PUT", "DELETE"],
     credentials: true,
   })
 );
 
-app.use(express.json());
+// Behind a load balancer, set TRUST_PROXY (e.g. 1, or a subnet) so req.ip, and the per-IP rate limits, see the shopper.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Razorpay signs the exact request bytes, so keep them around for webhook verification.
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer.toString("utf8");
+};
+
+// Checkout requests are small; gateway webhooks can carry whole order payloads, so they get more room.
+app.use("/api/webhooks", express.json({ limit: process.env.WEBHOOK_BODY_LIMIT || "256kb", verify: keepRawBody }));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "32kb", verify: keepRawBody }));
 
-const amountToString = (value) => (Math.round(Number(value || 0) * 100) / 100).toFixed(2);
+const BRAND_NAME = process.env.BRAND_NAME || "Payment Sample Store";
+const SELLER = {
+  name: process.env.SELLER_NAME || BRAND_NAME,
+  address: process.env.SELLER_ADDRESS || null,
+  email: process.env.SELLER_EMAIL || null,
+  gstin: process.env.SELLER_GSTIN || null,
+};
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "INV";
+// Orders the shopper has not paid for within this window count as abandoned.
+const ORDER_TTL_MS = Number(process.env.ORDER_EXPIRY_HOURS || 3) * 60 * 60 * 1000;
+const ORDER_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+// Raw gateway payloads are only kept for support and reconciliation; after this window they are dropped.
+const RAW_PAYLOAD_RETENTION_MS = readRetentionWindow();
+const privacy = createPrivacy(readPrivacyOptions());
+const FRAUD_RULES = readFraudRules();
+const RATE_LIMITS = readRateLimits();
+const HOUR_MS = 60 * 60 * 1000;
+const SHIPPING_METHODS = readShippingMethods();
+// Where PayPal can reach this server, for the shipping callback. Without it, shipping stays at the rate quoted at checkout.
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL?.replace(/\/+$/, "") || null;
+
+if (privacy.mode === "off") {
+  logger.warn("PII_PROTECTION is off, so payer details are stored in plaintext. Set it to encrypt or redact in production.");
+}
+
+const gateways = createGatewayRegistry({
+  paypal: {
+    baseUrl: PAYPAL_BASE_URL,
+    clientId: PAYPAL_CLIENT_ID,
+    clientSecret: PAYPAL_CLIENT_SECRET,
+    environment: PAYPAL_ENVIRONMENT,
+    webhookId: PAYPAL_WEBHOOK_ID,
+    brandName: BRAND_NAME,
+    http: readPayPalHttpOptions(),
+    logger,
+    metrics,
+  },
+  razorpay: {
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+    brandName: BRAND_NAME,
+    baseUrl: process.env.RAZORPAY_BASE_URL || undefined,
+  },
+});
+
+const repository = createSqliteRepository({ filePath: DATABASE_PATH, privacy });
+const idempotency = createIdempotencyStore({ repository, logger });
+const admin = createAdminAuth({ keys: parseAdminKeys(process.env.ADMIN_API_KEYS), repository, logger });
+
+if (!admin.enabled) {
+  logger.warn("ADMIN_API_KEYS is not set, so every back-office endpoint will refuse requests.");
+}
+const markets = createMarkets({ defaultCurrency: PAYPAL_CURRENCY, supported: SUPPORTED_CURRENCIES, fxRates: FX_RATES, logger });
+
+// A failed write is logged and counted but does not fail the request, since the gateway has already acted. A failed
+// capture write is a charge we have no record of until reconciliation finds it.
+const persistenceFailed = (operation, message) => (error) => {
+  metrics.persistenceFailures.inc({ operation });
+  logger.error(message, { err: error, operation });
+};
 
-const normalizeItems = (items = []) => {
-  if (!Array.isArray(items) || items.length === 0) {
-    throw new Error("Missing cart items.");
+const persistCapture = async (gatewayId, summary, capturePayload) => {
+  try {
+    const order = await repository.findOrder(summary.orderId);
+    await repository.saveCapture(toCaptureRecord({ gatewayId, summary, order, raw: capturePayload }));
+  } catch (error) {
+    persistenceFailed("capture", "Failed to persist capture record")(error);
   }
+};
 
-  return items.map((item, index) => {
-    const name = item?.name?.trim();
-    const quantity = Number(item?.quantity ?? 1);
-    const price = Number(item?.price ?? 0);
+const syncCredits = (captureId) =>
+  syncCaptureCredits(repository, captureId).catch(persistenceFailed("credits", "Failed to update credits ledger"));
 
-    if (!name) {
-      throw new Error(`Item #${index + 1} is missing a name.`);
-    }
-    if (!Number.isFinite(price) || price <= 0) {
-      throw new Error(`Item "${name}" has an invalid price.`);
-    }
-    if (!Number.isInteger(quantity) || quantity <= 0) {
-      throw new Error(`Item "${name}" has an invalid quantity.`);
-    }
+const advanceOrder = (orderId, status, details) =>
+  repository
+    .updateOrder(orderId, (order) => transitionOrder(order, status, details))
+    .catch(persistenceFailed("order_status", "Failed to update order status"));
 
-    return {
-      reference_id: item?.id ?? `ITEM-${index + 1}`,
-      name,
-      quantity: String(quantity),
-      category: item?.category ?? "DIGITAL_GOODS",
-      unit_amount: {
-        currency_code: PAYPAL_CURRENCY,
-        value: amountToString(price),
-      },
-    };
-  });
+const persistAuthorization = async (gatewayId, summary, payload) => {
+  try {
+    return await repository.saveAuthorization(toAuthorizationRecord({ gatewayId, summary, raw: payload }));
+  } catch (error) {
+    persistenceFailed("authorization", "Failed to persist authorization record")(error);
+    return null;
+  }
 };
 
-const calculateOrderTotal = (items) => amountToString(items.reduce((sum, item) => sum + Number(item.unit_amount.value) * Number(item.quantity), 0));
+// PayPal does not tell us when a hold lapses, so the expiry recorded at authorization time is applied here.
+const expireAuthorization = async (authorization) => {
+  const expired = await repository.saveAuthorization({ authorizationId: authorization.authorizationId, status: "EXPIRED" });
+  await advanceOrder(authorization.orderId, "EXPIRED", { reason: `Authorization ${authorization.authorizationId} expired` });
+  return expired;
+};
 
-const generateAccessToken = async () => {
-  if (!PAYPAL_CLIENT_ID || !PAYPAL_CLIENT_SECRET) {
-    throw new Error("Missing PayPal credentials.");
+const expireStaleOrders = async () => {
+  const before = new Date(Date.now() - ORDER_TTL_MS);
+  for (const order of await repository.staleOrders({ statuses: OPEN_ORDER_STATUSES, before })) {
+    await advanceOrder(order.orderId, "EXPIRED");
+  }
+  for (const authorization of await repository.lapsedAuthorizations({ statuses: OPEN_AUTHORIZATION_STATUSES, before: new Date() })) {
+    await expireAuthorization(authorization);
   }
+};
 
-  const auth = Buffer.from(`${PAYPAL_CLIENT_ID}:${PAYPAL_CLIENT_SECRET}`).toString("base64");
+const toAuthorizationView = (authorization) => ({
+  ...stripRaw(authorization),
+  remainingAmount: remainingAuthorizedAmount(authorization),
+});
 
-  const response = await fetch(`${PAYPAL_BASE_URL}/v1/oauth2/token`, {
-    method: "POST",
-    headers: {
-      Authorization: `Basic ${auth}`,
-      "Content-Type": "application/x-www-form-urlencoded",
-    },
-    body: "grant_type=client_credentials",
+const purgeRawPayloads = async () => {
+  if (!RAW_PAYLOAD_RETENTION_MS) {
+    return null;
+  }
+  const before = new Date(Date.now() - RAW_PAYLOAD_RETENTION_MS);
+  return { before: before.toISOString(), purged: await repository.purgeRawPayloads({ before }) };
+};
+
+const orderRateLimit = createRateLimit(RATE_LIMITS.orders);
+const captureRateLimit = createRateLimit(RATE_LIMITS.captures);
+
+// Later requests about an order log the id of the request that created it, so one checkout can be followed end to end.
+const traceOrder = (orderId, order) => addLogContext({ orderId, ...(order?.checkoutId ? { checkoutId: order.checkoutId } : {}) });
+
+// Orders and subscriptions carry tokens of their own for callers without an operator key: PayPal's shipping callback and
+// the shopper's receipt or subscription confirmation.
+const newAccessToken = () => crypto.randomBytes(24).toString("hex");
+
+const tokenMatches = (expectedToken, token) => {
+  const expected = Buffer.from(expectedToken ?? "");
+  const received = Buffer.from(String(token ?? ""));
+  return expected.length > 0 && expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// The tokens are credentials, so they never leave the server once handed out.
+const toOrderView = ({ shippingCallbackToken: _shippingCallbackToken, receiptToken: _receiptToken, ...order }) => order;
+
+// Shoppers may read what belongs to them with the token they were given at checkout; anyone else needs an operator key.
+const tokenOrAdmin = (permission, expectedToken) => {
+  const requireAdmin = admin.require(permission);
+  return async (req, res, next) => {
+    try {
+      if (req.query.token !== undefined && tokenMatches(await expectedToken(req), req.query.token)) {
+        next();
+        return;
+      }
+    } catch (error) {
+      next(error);
+      return;
+    }
+    requireAdmin(req, res, next);
+  };
+};
+
+const rejectedError = (message, code) => httpError(422, message, { code, action: "none" });
+
+const toReview = (findings) => {
+  const status = reviewStatus(findings);
+  return status ? { status, findings, at: new Date().toISOString() } : null;
+};
+
+const logReview = (subject, review) =>
+  logger.warn(`${subject} ${review.status.toLowerCase()} by fraud screening`, {
+    review: review.status,
+    rules: review.findings.map((entry) => entry.rule),
   });
 
-  if (!response.ok) {
-    const errorBody = await response.text();
-    throw new Error(`Failed to authenticate with PayPal: ${response.status} ${errorBody}`);
+// Adds what screening found to the order's review, replacing earlier findings of the same rule; rejected orders are
+// cancelled so they can never be paid for.
+const recordReview = async (orderId, findings) => {
+  if (findings.length === 0) {
+    return null;
+  }
+  const updated = await repository.updateOrder(orderId, (order) => {
+    const earlier = (order.review?.findings ?? []).filter((entry) => !findings.some((found) => found.rule === entry.rule));
+    return { ...order, review: toReview([...earlier, ...findings]) };
+  });
+  logReview(`Order ${orderId}`, updated.review);
+  if (updated.review.status === "REJECTED") {
+    await advanceOrder(orderId, "CANCELLED", { reason: "Rejected by fraud screening" });
   }
+  return updated.review;
+};
 
-  const data = await response.json();
-  return data.access_token;
+// Who is paying is only known once the shopper has approved at the gateway, so payer checks run just before capture.
+const screenApprovedOrder = async (order, gateway) => {
+  if (!order || !gateway.getPayer || !hasPayerRules(FRAUD_RULES)) {
+    return;
+  }
+  const payer = await gateway.getPayer(order.orderId);
+  await repository.updateOrder(order.orderId, (current) => ({ ...current, payerEmail: payer.email }));
+  const recentOrders = payer.email
+    ? await repository.countPayerOrders({ payerEmail: payer.email, since: new Date(Date.now() - HOUR_MS) })
+    : 0;
+  const review = await recordReview(order.orderId, screenPayer(FRAUD_RULES, { countryCode: payer.countryCode, recentOrders }));
+  if (review?.status === "REJECTED") {
+    throw rejectedError("We could not accept this payment. Please contact support.", "PAYMENT_REJECTED");
+  }
 };
 
-const paypalRequest = async (endpoint, { method = "POST", body } = {}) => {
-  const accessToken = await generateAccessToken();
-  const response = await fetch(`${PAYPAL_BASE_URL}${endpoint}`, {
-    method,
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "application/json",
-    },
-    body: body ? JSON.stringify(body) : undefined,
+const issueInvoice = (capture) =>
+  repository.issueInvoice({
+    orderId: capture.orderId,
+    captureId: capture.captureId,
+    numberFor: (sequence) => formatInvoiceNumber(sequence, INVOICE_PREFIX),
   });
 
-  const responseBody = await response.json().catch(() => ({}));
+app.get("/api/config", (req, res) => {
+  res.json({
+    currency: markets.defaultCurrency,
+    currencies: markets.codes,
+    environment: PAYPAL_ENVIRONMENT,
+    gateways: gateways.describe(),
+  });
+});
 
-  if (!response.ok) {
-    const error = new Error(responseBody?.message || "PayPal API error.");
-    error.paypal = responseBody;
-    throw error;
+app.get("/api/catalog", async (req, res, next) => {
+  try {
+    const market = markets.get(req.query.currency);
+    const redemptions = await repository.promoRedemptions();
+    const catalog = getPublicCatalog(market);
+    res.json({
+      ...catalog,
+      // Checkout loads the gateway's SDK with the plan's intent, so it has to be the one the order will be created with.
+      plans: catalog.plans.map((plan) => ({
+        ...plan,
+        paymentIntent: resolvePaymentIntent({ planId: plan.id, planIntents: PLAN_PAYMENT_INTENTS }),
+      })),
+      shippingMethods: shippingOptions(SHIPPING_METHODS, { market }),
+      featuredPromotion: getFeaturedPromotion({ market, redemptions }),
+    });
+  } catch (error) {
+    next(error);
   }
+});
 
-  return responseBody;
+// Optional free-text fields; anything other than a string is the client's mistake, not ours.
+const readOptionalText = (value, name) => {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (typeof value !== "string") {
+    throw httpError(400, `"${name}" must be text.`);
+  }
+  return value.trim() || undefined;
 };
 
-const extractCaptureSummary = (capturePayload = {}) => {
-  const purchaseUnit = capturePayload.purchase_units?.[0];
-  const capture = purchaseUnit?.payments?.captures?.[0];
+const readOrderSelection = (body = {}) => {
+  const { planId, billingPeriod, topUps, hardware, shipping, promoCode, gstNumber, currency } = body ?? {};
   return {
-    orderId: capturePayload.id,
-    captureId: capture?.id,
-    status: capture?.status,
-    payerEmail: capturePayload?.payer?.email_address,
-    payerGivenName: capturePayload?.payer?.name?.given_name,
-    payerSurname: capturePayload?.payer?.name?.surname,
-    amount: capture?.amount?.value,
-    currency: capture?.amount?.currency_code,
-    items: purchaseUnit?.items ?? [],
-    createTime: capture?.create_time,
-    updateTime: capture?.update_time,
+    currency,
+    planId,
+    billingPeriod,
+    topUps,
+    hardware,
+    shipping: readShippingSelection(shipping),
+    promoCode: readOptionalText(promoCode, "promoCode"),
+    gstNumber: readOptionalText(gstNumber, "gstNumber"),
   };
 };
 
-const persistCapture = async (capturePayload) => {
+const pricingOptions = async (selection) => ({
+  market: markets.get(selection.currency),
+  redemptions: selection.promoCode ? await repository.promoRedemptions() : {},
+  gst: GST_CONFIG,
+  shippingMethods: SHIPPING_METHODS,
+});
+
+const toQuote = (pricing) => ({
+  currency: pricing.currency,
+  itemTotal: pricing.itemTotal,
+  promoCode: pricing.promotion?.code ?? null,
+  discount: pricing.discount,
+  tax: pricing.tax,
+  taxTotal: pricing.taxTotal,
+  shippingMethod: pricing.shipping?.method ?? null,
+  shippingTotal: pricing.shippingTotal,
+  shippingOptions: pricing.shipping?.options ?? [],
+  total: pricing.total,
+  credits: pricing.credits,
+});
+
+app.post("/api/quote", async (req, res, next) => {
   try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    const summary = extractCaptureSummary(capturePayload);
-    const record = {
-      ...summary,
-      loggedAt: new Date().toISOString(),
-      raw: capturePayload,
-    };
-    await fs.appendFile(TRANSACTIONS_LOG, `${JSON.stringify(record)}\n`, "utf8");
+    const selection = readOrderSelection(req.body);
+    res.json(toQuote(priceOrder(selection, await pricingOptions(selection))));
   } catch (error) {
-    console.error("Failed to persist capture record", error);
+    next(error);
   }
-};
+});
 
-app.get("/api/config", (req, res) => {
-  res.json({
-    clientId: PAYPAL_CLIENT_ID || "",
-    currency: PAYPAL_CURRENCY,
-    environment: PAYPAL_ENVIRONMENT,
-  });
+app.post("/api/promo/validate", async (req, res, next) => {
+  try {
+    const selection = readOrderSelection(req.body);
+    if (!selection.promoCode) {
+      throw httpError(400, "Enter a promo code.");
+    }
+    const pricing = priceOrder(selection, await pricingOptions(selection));
+    res.json({
+      code: pricing.promotion.code,
+      description: pricing.promotion.description,
+      currency: pricing.currency,
+      itemTotal: pricing.itemTotal,
+      discount: pricing.discount,
+      total: pricing.total,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/orders", orderRateLimit, idempotency.middleware("orders.create"), async (req, res, next) => {
+  try {
+    const gateway = gateways.get(req.body?.gateway);
+    const selection = readOrderSelection(req.body);
+    const options = await pricingOptions(selection);
+    const pricing = priceOrder(selection, options);
+    // Whether to capture or only authorize is the operator's call per plan, never the shopper's.
+    if (req.body?.intent !== undefined) {
+      throw httpError(400, "The payment intent is set per plan and cannot be chosen at checkout.");
+    }
+    const paymentIntent = resolvePaymentIntent({ planId: selection.planId, planIntents: PLAN_PAYMENT_INTENTS });
+    if (paymentIntent === "AUTHORIZE" && !gateway.authorizeOrder) {
+      throw httpError(400, `${gateway.label} does not support authorizing now and capturing later.`);
+    }
+    const shipTo = pricing.shipping && selection.shipping?.address ? { name: selection.shipping.name, address: selection.shipping.address } : null;
+    if (pricing.shipping && !shipTo && !gateway.collectsShippingAddress) {
+      throw httpError(400, `Enter a shipping address to pay for hardware with ${gateway.label}.`);
+    }
+    // Rejected orders never reach the gateway, so a script cannot fill the merchant account with them.
+    const review = toReview(
+      screenOrder(FRAUD_RULES, { total: pricing.total, currency: pricing.currency, fxRate: options.market.fxRate })
+    );
+    if (review?.status === "REJECTED") {
+      logReview(`New ${gateway.id} order`, review);
+      throw rejectedError("We could not accept this order. Please contact support.", "ORDER_REJECTED");
+    }
+
+    const shippingCallbackToken =
+      pricing.shipping && PUBLIC_API_URL && gateway.id === "paypal" ? newAccessToken() : null;
+    const order = await gateway.createOrder({
+      pricing,
+      intent: paymentIntent,
+      requestId: req.idempotencyKey,
+      shipTo,
+      shippingCallbackUrl: shippingCallbackToken
+        ? `${PUBLIC_API_URL}/api/paypal/shipping-callback?token=${shippingCallbackToken}`
+        : undefined,
+    });
+    const createdAt = new Date().toISOString();
+    const receiptToken = newAccessToken();
+    addLogContext({ orderId: order.id, checkoutId: req.id });
+
+    await repository.saveOrder({
+      orderId: order.id,
+      gateway: gateway.id,
+      customerId: normalizeCustomerId(req.body?.customerId) || null,
+      planId: selection.planId,
+      billingPeriod: selection.billingPeriod,
+      items: pricing.items,
+      currency: pricing.currency,
+      itemTotal: pricing.itemTotal,
+      promoCode: pricing.promotion?.code ?? null,
+      discount: pricing.discount,
+      tax: pricing.tax,
+      taxTotal: pricing.taxTotal,
+      ...(pricing.shipping
+        ? {
+            shippingMethod: pricing.shipping.method,
+            shippingTotal: pricing.shippingTotal,
+            ...(shipTo ? { shipping: shipTo } : {}),
+            ...(shippingCallbackToken ? { shippingCallbackToken } : {}),
+          }
+        : {}),
+      total: pricing.total,
+      credits: pricing.credits,
+      paymentIntent,
+      receiptToken,
+      ...(review ? { review } : {}),
+      checkoutId: req.id,
+      status: "CREATED",
+      statusHistory: [{ status: "CREATED", at: createdAt }],
+      client: readClientContext(req),
+      createdAt,
+      updatedAt: createdAt,
+    });
+    metrics.ordersCreated.inc({ gateway: gateway.id, intent: paymentIntent });
+    logger.info("Order created", { gateway: gateway.id, paymentIntent, total: pricing.total, currency: pricing.currency });
+    if (review) {
+      logReview(`Order ${order.id}`, review);
+    }
+
+    res.status(201).json({
+      id: order.id,
+      gateway: gateway.id,
+      paymentIntent,
+      receiptToken,
+      ...(order.checkout ? { checkout: order.checkout } : {}),
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-app.post("/api/orders", async (req, res, next) => {
+app.get("/api/orders/:orderId", admin.require("read"), async (req, res, next) => {
   try {
-    const items = normalizeItems(req.body?.items);
-    const total = calculateOrderTotal(items);
+    const { orderId } = req.params;
+    let order = await repository.findOrder(orderId);
+    if (!order) {
+      throw httpError(404, `No order ${orderId} on record.`);
+    }
+    // The sweep only runs every few minutes, so expiry is also applied on read.
+    if (isExpired(order, { ttlMs: ORDER_TTL_MS })) {
+      order = (await advanceOrder(orderId, "EXPIRED")) ?? order;
+    }
+    const records = await repository.transactionRecords({ orderId });
+    const authorizations = await repository.listAuthorizations({ orderId });
+    res.json({
+      ...toOrderView(order),
+      transactions: records.filter(isCaptureRecord).map((capture) => stripRaw(buildTransactionView(records, capture))),
+      ...(authorizations.length > 0 ? { authorizations: authorizations.map(toAuthorizationView) } : {}),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const orderReceiptToken = async (req) => (await repository.findOrder(req.params.orderId))?.receiptToken;
+
+// The shopper cancels with the receipt token from checkout; support can cancel for them.
+app.post("/api/orders/:orderId/cancel", tokenOrAdmin("support", orderReceiptToken), async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const order = await repository.findOrder(orderId);
+    if (!order) {
+      throw httpError(404, `No order ${orderId} on record.`);
+    }
+    traceOrder(orderId, order);
+    const reason = req.body?.reason;
+    if (reason !== undefined && typeof reason !== "string") {
+      throw httpError(400, '"reason" must be text.');
+    }
+    // Shoppers can only walk away from an unpaid checkout. A held authorization is voided by an operator.
+    if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+      const message = order.status === "COMPLETED" ? "This order has already been paid." : "This order can no longer be cancelled.";
+      throw httpError(409, message);
+    }
+    const details = { reason: reason?.trim().slice(0, 128) || "Cancelled by the shopper." };
+    res.json(toOrderView((await advanceOrder(orderId, "CANCELLED", details)) ?? order));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The buyer changed their address or shipping option at PayPal. The order is repriced from what we stored for it, and
+// PayPal either shows the buyer the new total or tells them why we cannot ship there.
+app.post("/api/paypal/shipping-callback", async (req, res, next) => {
+  try {
+    const orderId = req.body?.id;
+    const order = orderId ? await repository.findOrder(orderId) : null;
+    if (!tokenMatches(order?.shippingCallbackToken, req.query.token)) {
+      throw httpError(404, `No order ${orderId} on record.`);
+    }
+    traceOrder(orderId, order);
+    if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+      throw httpError(409, "This order can no longer be changed.");
+    }
+
+    let shipping;
+    try {
+      shipping = quoteShipping(SHIPPING_METHODS, {
+        countryCode: req.body?.shipping_address?.country_code,
+        methodId: req.body?.shipping_option?.id,
+        market: markets.get(order.currency),
+      });
+    } catch (error) {
+      if (!["COUNTRY_ERROR", "METHOD_UNAVAILABLE"].includes(error.code)) {
+        throw error;
+      }
+      logger.info("Shipping change refused", { code: error.code });
+      res.status(422).json(toShippingCallbackError(error.code));
+      return;
+    }
 
-    const orderPayload = {
-      intent: "CAPTURE",
+    const pricing = withShipping(order, shipping);
+    await repository.updateOrder(orderId, (current) => ({
+      ...current,
+      shippingMethod: shipping.method,
+      shippingTotal: pricing.shippingTotal,
+      total: pricing.total,
+      updatedAt: new Date().toISOString(),
+    }));
+    logger.info("Shipping repriced", { shippingMethod: shipping.method.id, shippingTotal: pricing.shippingTotal, total: pricing.total });
+
+    res.json({
+      id: orderId,
       purchase_units: [
         {
-          amount: {
-            currency_code: PAYPAL_CURRENCY,
-            value: total,
-            breakdown: {
-              item_total: {
-                currency_code: PAYPAL_CURRENCY,
-                value: total,
-              },
-            },
-          },
-          items,
+          reference_id: req.body?.purchase_units?.[0]?.reference_id ?? "default",
+          amount: buildAmount(pricing),
+          shipping_options: toShippingOptions(shipping, order.currency),
         },
       ],
-      application_context: {
-        shipping_preference: "NO_SHIPPING",
-        user_action: "PAY_NOW",
-        brand_name: process.env.BRAND_NAME || "Payment Sample Store",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const capturesInFlight = new Set();
+
+// Open orders all passed the usage cap when they were created, so it is checked again as each one is paid. Captures
+// still running count against the cap too, or two orders could take the last redemption at the same moment.
+const promoCapturesInFlight = new Map();
+
+const reservePromoRedemption = async (order) => {
+  const promotion = order?.promoCode ? findPromotion(order.promoCode) : null;
+  if (!promotion?.maxRedemptions) {
+    return () => {};
+  }
+  const { code } = promotion;
+  const release = () => promoCapturesInFlight.set(code, promoCapturesInFlight.get(code) - 1);
+  promoCapturesInFlight.set(code, (promoCapturesInFlight.get(code) ?? 0) + 1);
+  try {
+    const redeemed = (await repository.promoRedemptions())[code] ?? 0;
+    if (redeemed + promoCapturesInFlight.get(code) > promotion.maxRedemptions) {
+      const message = `Promo code ${code} has reached its usage limit. Please start checkout again without it.`;
+      throw rejectedError(message, "PROMO_LIMIT_REACHED");
+    }
+  } catch (error) {
+    release();
+    throw error;
+  }
+  return release;
+};
+
+// Retention and forgetting a payer drop the gateway's response, so the replay is rebuilt from the summary we kept, in
+// the shape the checkout page reads.
+const toReplayedPayment = (record) => {
+  if (record.raw) {
+    return record.raw;
+  }
+  const payment = {
+    id: record.captureId ?? record.authorizationId,
+    status: record.status,
+    amount: { currency_code: record.currency, value: record.amount },
+  };
+  return {
+    id: record.orderId,
+    status: "COMPLETED",
+    ...(record.payerGivenName ? { payer: { name: { given_name: record.payerGivenName, surname: record.payerSurname } } } : {}),
+    purchase_units: [{ payments: { [record.captureId ? "captures" : "authorizations"]: [payment] } }],
+  };
+};
+
+app.post("/api/orders/:orderId/capture", captureRateLimit, idempotency.middleware("orders.capture"), async (req, res, next) => {
+  const { orderId } = req.params;
+  addLogContext({ orderId });
+  try {
+    // Whatever the idempotency key, an order that is already on record is never captured twice.
+    const existing = (await repository.transactionRecords({ orderId })).find(isCaptureRecord);
+    const [authorized] = await repository.listAuthorizations({ orderId });
+    if (existing || authorized) {
+      res.set("Idempotent-Replayed", "true").json(toReplayedPayment(existing ?? authorized));
+      return;
+    }
+    if (capturesInFlight.has(orderId)) {
+      throw httpError(409, "This order is already being captured.", { retryable: true, action: "retry" });
+    }
+    capturesInFlight.add(orderId);
+    let releasePromo = () => {};
+
+    try {
+      const order = await repository.findOrder(orderId);
+      const gateway = gateways.get(order?.gateway);
+      traceOrder(orderId, order);
+      if (order?.review?.status === "REJECTED") {
+        throw rejectedError("We could not accept this payment. Please contact support.", "PAYMENT_REJECTED");
+      }
+      // A shopper who cancelled walked away from this checkout; paying needs a new one.
+      if (order?.status === "CANCELLED") {
+        throw httpError(409, "This order was cancelled. Please start checkout again.", { code: "ORDER_CANCELLED", action: "none" });
+      }
+      releasePromo = await reservePromoRedemption(order);
+      // Asking for a capture means the shopper approved the payment at the gateway.
+      await advanceOrder(orderId, "APPROVED");
+      await screenApprovedOrder(order, gateway);
+
+      // Orders placed to authorize only put a hold on the funds here; the money moves when the authorization is captured.
+      const authorize = order?.paymentIntent === "AUTHORIZE";
+      let captured;
+      try {
+        captured = authorize
+          ? await gateway.authorizeOrder(orderId, { requestId: req.idempotencyKey })
+          : await gateway.captureOrder(orderId, { payment: req.body?.payment, requestId: req.idempotencyKey });
+      } catch (error) {
+        if (!authorize) {
+          metrics.captures.inc({ gateway: gateway.id, status: "ERROR" });
+        }
+        // An order captured elsewhere has not failed; reconciliation picks up the capture.
+        if (!["ORDER_ALREADY_CAPTURED", "ORDER_ALREADY_AUTHORIZED"].includes(error.code)) {
+          await advanceOrder(orderId, "FAILED", { reason: error.code ?? error.message });
+        }
+        throw error;
+      }
+      const { summary, raw } = captured;
+      if (authorize) {
+        logger.info("Payment authorized", { authorizationId: summary.authorizationId, status: summary.status });
+        await persistAuthorization(gateway.id, summary, raw);
+        const orderStatus = orderStatusForAuthorization(summary.status);
+        if (orderStatus) {
+          await advanceOrder(orderId, orderStatus, { reason: `Authorization ${summary.authorizationId} ${summary.status}` });
+        }
+        res.json(raw);
+        return;
+      }
+      metrics.captures.inc({ gateway: gateway.id, status: summary.status ?? "UNKNOWN" });
+      logger.info("Payment captured", { captureId: summary.captureId, status: summary.status });
+      await persistCapture(gateway.id, summary, raw);
+      const orderStatus = orderStatusForCapture(summary.status);
+      if (orderStatus) {
+        await advanceOrder(orderId, orderStatus, { reason: `Capture ${summary.captureId} ${summary.status}` });
+      }
+      await syncCredits(summary.captureId);
+      if (summary.status === "COMPLETED") {
+        await issueInvoice(summary).catch(persistenceFailed("invoice", "Failed to issue invoice"));
+      }
+      res.json(raw);
+    } finally {
+      capturesInFlight.delete(orderId);
+      releasePromo();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/api/transactions", admin.require("read"), async (req, res, next) => {
+  try {
+    const filters = parseTransactionQuery(req.query);
+    res.json(queryTransactions(await repository.transactionRecords({ filters }), filters));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/api/transactions/:orderId", admin.require("read"), async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const records = await repository.transactionRecords({ orderId });
+    const captures = records.filter(isCaptureRecord);
+    if (captures.length === 0) {
+      throw httpError(404, `No transactions on record for order ${orderId}.`);
+    }
+
+    const transactions = captures.map((capture) => buildTransactionView(records, capture));
+    const order = await repository.findOrder(orderId);
+    res.json({
+      orderId,
+      order: order && toOrderView(order),
+      transactions: req.query.includeRaw === "false" ? transactions.map(stripRaw) : transactions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/api/transactions/:orderId/invoice", tokenOrAdmin("read", orderReceiptToken), async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const format = String(req.query.format ?? "html").toLowerCase();
+    if (!INVOICE_FORMATS.includes(format)) {
+      throw httpError(400, `"format" must be one of ${INVOICE_FORMATS.join(", ")}.`);
+    }
+
+    // Each capture has an invoice of its own; `captureId` picks one when a hold was captured in parts.
+    const { captureId } = req.query;
+    const records = await repository.transactionRecords({ orderId });
+    const capture = records.find(
+      (record) =>
+        isCaptureRecord(record) &&
+        captureStatus(records, record) === "COMPLETED" &&
+        (captureId === undefined || record.captureId === captureId)
+    );
+    if (!capture) {
+      const payment = captureId === undefined ? "completed payment" : `completed capture ${captureId}`;
+      throw httpError(404, `No ${payment} on record for order ${orderId}.`);
+    }
+
+    const invoice = buildInvoice({
+      invoice: await issueInvoice(capture),
+      capture,
+      order: await repository.findOrder(orderId),
+      seller: SELLER,
+    });
+    if (format === "pdf") {
+      res
+        .type("application/pdf")
+        .set("Content-Disposition", `attachment; filename="${invoice.invoiceNumber}.pdf"`)
+        .send(renderInvoicePdf(invoice));
+      return;
+    }
+    res.type("html").send(renderInvoiceHtml(invoice));
+  } catch (error) {
+    next(error);
+  }
+});
+
+const refundsInFlight = new Set();
+
+// Sent as PayPal-Request-Id, so a refund retried after a timeout is the one PayPal already made, not a second one.
+// Without the caller's Idempotency-Key, the refunds already on record tell this attempt apart from the next refund.
+const refundRequestId = ({ captureId, amount, refundCount, idempotencyKey }) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify(idempotencyKey ? { captureId, idempotencyKey } : { captureId, amount, refundCount }))
+    .digest("hex");
+
+app.post(
+  "/api/captures/:captureId/refund",
+  admin.require("finance"),
+  idempotency.middleware("captures.refund"),
+  async (req, res, next) => {
+    const { captureId } = req.params;
+    try {
+      if (refundsInFlight.has(captureId)) {
+        throw httpError(409, "A refund for this capture is already in progress.");
+      }
+      refundsInFlight.add(captureId);
+
+      try {
+        const summary = summarizeCapture(await repository.transactionRecords({ captureId }), captureId);
+        if (!summary) {
+          throw httpError(404, `No capture ${captureId} on record.`);
+        }
+
+        const remaining = Number(summary.refundableAmount);
+        if (remaining <= 0) {
+          throw httpError(409, "This capture has already been fully refunded.");
+        }
+
+        const reason = req.body?.reason;
+        if (reason !== undefined && typeof reason !== "string") {
+          throw httpError(400, '"reason" must be text.');
+        }
+        const requested = req.body?.amount;
+        const amount = requested === undefined || requested === null || requested === "" ? remaining : Number(requested);
+        if (!Number.isFinite(amount) || amount <= 0) {
+          throw httpError(400, "Refund amount must be a positive number.");
+        }
+        if (Number(amountToString(amount, summary.currency)) > remaining) {
+          throw httpError(400, `Refund amount exceeds the refundable balance of ${summary.refundableAmount} ${summary.currency}.`);
+        }
+
+        const gateway = gateways.get(summary.capture.gateway);
+        const refundAmount = amountToString(amount, summary.currency);
+        const refund = await gateway.refund({
+          captureId,
+          amount: refundAmount,
+          currency: summary.currency,
+          reason: reason?.trim(),
+          requestId: refundRequestId({
+            captureId,
+            amount: refundAmount,
+            refundCount: summary.refunds.length,
+            idempotencyKey: req.idempotencyKey,
+          }),
+        });
+
+        await repository.recordEvent({
+          type: "refund",
+          source: "api",
+          gateway: gateway.id,
+          orderId: summary.capture.orderId,
+          captureId,
+          refundId: refund.refundId,
+          status: refund.status,
+          amount: refund.amount,
+          currency: refund.currency,
+          reason: reason?.trim() || null,
+          loggedAt: new Date().toISOString(),
+          raw: refund.raw,
+        });
+        await syncCredits(captureId);
+
+        const updated = summarizeCapture(await repository.transactionRecords({ captureId }), captureId);
+        res.status(201).json({
+          refund: refund.raw,
+          capturedAmount: updated.capturedAmount,
+          refundedAmount: updated.refundedAmount,
+          refundableAmount: updated.refundableAmount,
+          netAmount: updated.netAmount,
+          currency: updated.currency,
+        });
+      } finally {
+        refundsInFlight.delete(captureId);
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const authorizationsInFlight = new Set();
+
+const loadAuthorization = async (authorizationId) => {
+  const authorization = await repository.findAuthorization(authorizationId);
+  if (!authorization) {
+    throw httpError(404, `No authorization ${authorizationId} on record.`);
+  }
+  return isAuthorizationLapsed(authorization) ? expireAuthorization(authorization) : authorization;
+};
+
+// Captures, voids and reauthorizations of one hold run one at a time, and only while the hold is still open.
+const withOpenAuthorization = async (authorizationId, action) => {
+  if (authorizationsInFlight.has(authorizationId)) {
+    throw httpError(409, "This authorization is already being updated.", { retryable: true, action: "retry" });
+  }
+  authorizationsInFlight.add(authorizationId);
+  try {
+    const authorization = await loadAuthorization(authorizationId);
+    addLogContext({ orderId: authorization.orderId, authorizationId });
+    assertAuthorizationOpen(authorization);
+    return await action(authorization, gateways.get(authorization.gateway));
+  } finally {
+    authorizationsInFlight.delete(authorizationId);
+  }
+};
+
+// Folds the gateway's current view of the hold into the record; if it cannot be fetched, the local change stands.
+const refreshAuthorization = async (gateway, authorizationId, changes) => {
+  const current = await gateway.getAuthorization(authorizationId).then(
+    ({ summary }) => ({ status: summary.status, updateTime: summary.updateTime }),
+    (error) => {
+      logger.error("Failed to refresh authorization", { err: error, authorizationId });
+      return {};
+    }
+  );
+  return repository.saveAuthorization({ authorizationId, ...changes, ...current });
+};
+
+// Captures and reauthorizations come back without the payer, so they carry over what the authorization knew.
+const inheritedFromAuthorization = (authorization) => ({
+  orderId: authorization.orderId,
+  payerEmail: authorization.payerEmail,
+  payerGivenName: authorization.payerGivenName,
+  payerSurname: authorization.payerSurname,
+  items: authorization.items,
+});
+
+const readAuthorizationAmount = (value, authorization, fallback) => {
+  const amount = value === undefined || value === null || value === "" ? Number(fallback) : Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw httpError(400, "Amount must be a positive number.");
+  }
+  return amountToString(amount, authorization.currency);
+};
+
+app.get("/api/authorizations/:authorizationId", admin.require("read"), async (req, res, next) => {
+  try {
+    res.json(toAuthorizationView(await loadAuthorization(req.params.authorizationId)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/authorizations/:authorizationId/capture", admin.require("finance"), idempotency.middleware("authorizations.capture"), async (req, res, next) => {
+  const { authorizationId } = req.params;
+  try {
+    const result = await withOpenAuthorization(authorizationId, async (authorization, gateway) => {
+      const remaining = remainingAuthorizedAmount(authorization);
+      const amount = readAuthorizationAmount(req.body?.amount, authorization, remaining);
+      if (Number(amount) > Number(remaining)) {
+        throw httpError(400, `Capture amount exceeds the ${remaining} ${authorization.currency} left on this authorization.`);
+      }
+      const finalCapture = req.body?.finalCapture ?? false;
+      if (typeof finalCapture !== "boolean") {
+        throw httpError(400, '"finalCapture" must be true or false.');
+      }
+
+      const { summary, raw } = await gateway
+        .captureAuthorization({ authorizationId, amount, currency: authorization.currency, finalCapture, requestId: req.idempotencyKey })
+        .catch((error) => {
+          metrics.captures.inc({ gateway: gateway.id, status: "ERROR" });
+          throw error;
+        });
+      metrics.captures.inc({ gateway: gateway.id, status: summary.status ?? "UNKNOWN" });
+      logger.info("Payment captured", { captureId: summary.captureId, status: summary.status, amount });
+      const capture = { ...summary, ...inheritedFromAuthorization(authorization), authorizationId };
+      await persistCapture(gateway.id, capture, raw);
+      const updated = await refreshAuthorization(gateway, authorizationId, {
+        capturedAmount: amountToString(Number(authorization.capturedAmount ?? 0) + Number(summary.amount ?? amount), authorization.currency),
+        captureIds: [...(authorization.captureIds ?? []), summary.captureId],
+      });
+
+      const orderStatus = orderStatusForCapture(summary.status);
+      if (orderStatus) {
+        await advanceOrder(capture.orderId, orderStatus, { reason: `Capture ${summary.captureId} ${summary.status}` });
+      }
+      await syncCredits(summary.captureId);
+      if (summary.status === "COMPLETED") {
+        await issueInvoice(capture).catch(persistenceFailed("invoice", "Failed to issue invoice"));
+      }
+      return { capture: raw, authorization: toAuthorizationView(updated) };
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/authorizations/:authorizationId/void", admin.require("support"), async (req, res, next) => {
+  const { authorizationId } = req.params;
+  try {
+    const voided = await withOpenAuthorization(authorizationId, async (authorization, gateway) => {
+      await gateway.voidAuthorization(authorizationId);
+      const updated = await refreshAuthorization(gateway, authorizationId, { status: "VOIDED", voidedAt: new Date().toISOString() });
+      await advanceOrder(authorization.orderId, "CANCELLED", { reason: `Authorization ${authorizationId} voided` });
+      return updated;
+    });
+    res.json(toAuthorizationView(voided));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post(
+  "/api/authorizations/:authorizationId/reauthorize",
+  admin.require("finance"),
+  idempotency.middleware("authorizations.reauthorize"),
+  async (req, res, next) => {
+    const { authorizationId } = req.params;
+    try {
+      const reauthorized = await withOpenAuthorization(authorizationId, async (authorization, gateway) => {
+        const { summary, raw } = await gateway.reauthorizeAuthorization({
+          authorizationId,
+          amount: readAuthorizationAmount(req.body?.amount, authorization, authorization.amount),
+          currency: authorization.currency,
+          requestId: req.idempotencyKey,
+        });
+        const saved = await repository.saveAuthorization(
+          toAuthorizationRecord({
+            gatewayId: gateway.id,
+            summary: { ...summary, ...inheritedFromAuthorization(authorization), reauthorizedFrom: authorizationId },
+            raw,
+          })
+        );
+        await repository.saveAuthorization({ authorizationId, reauthorizedBy: summary.authorizationId });
+        return saved;
+      });
+      res.status(201).json(toAuthorizationView(reauthorized));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Finds captures PayPal has but we failed to record, and records whose status or amounts have drifted from PayPal's.
+// Checks one page of orders, then of PayPal's transactions, per request; follow `nextCursor` with the same `days` to
+// cover the rest of the window.
+app.post("/api/reconciliation", admin.require("finance"), async (req, res, next) => {
+  try {
+    const since = parseReconciliationWindow(req.body?.days ?? req.query.days);
+    const { limit, after } = parseReconciliationPage({
+      limit: req.body?.limit ?? req.query.limit,
+      cursor: req.body?.cursor ?? req.query.cursor,
+    });
+    const repair = req.body?.repair === true || req.query.repair === "true";
+    res.json(await reconcileOrders({ repository, paypal: gateways.get("paypal"), since, after, limit, repair }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Erases a payer's personal data from every record while keeping amounts, so totals and the ledger still add up.
+app.post("/api/privacy/forget", admin.require("support"), async (req, res, next) => {
+  try {
+    const email = normalizeCustomerId(req.body?.email);
+    if (!email.includes("@")) {
+      throw httpError(400, "Provide the email address to forget.");
+    }
+    const customerToken = `forgotten-${crypto.randomUUID()}`;
+    const { orderIds, erased } = await repository.forgetPayer({ email, customerToken });
+    res.json({ customerId: customerToken, orderIds, erased });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Runs the raw payload retention sweep now instead of waiting for the next scheduled one.
+app.post("/api/privacy/retention", admin.require("finance"), async (req, res, next) => {
+  try {
+    const result = await purgeRawPayloads();
+    if (!result) {
+      throw httpError(409, "Raw payload retention is turned off (RAW_PAYLOAD_RETENTION_DAYS=0).");
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/api/credits/:customerId", admin.require("read"), async (req, res, next) => {
+  try {
+    // Payers who gave no customer id are looked up by email, which the ledger only knows by its key.
+    const requested = normalizeCustomerId(req.params.customerId);
+    const customerId = requested.includes("@") ? privacy.customerKey(requested) : requested;
+    res.json(summarizeCredits(await repository.listCreditEntries({ customerId }), customerId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+const loadBillingPlans = (market) => repository.listBillingPlans(market.currency);
+
+const toHistoryView = ({ raw: _raw, accessToken: _accessToken, ...record }) => record;
+
+app.get("/api/subscriptions/plans", async (req, res, next) => {
+  try {
+    const market = markets.get(req.query.currency);
+    res.json({ currency: market.currency, plans: await loadBillingPlans(market) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/subscriptions/plans/provision", admin.require("finance"), async (req, res, next) => {
+  try {
+    const paypal = gateways.get("paypal");
+    const market = markets.get(req.body?.currency ?? req.query.currency);
+    const created = await provisionBillingPlans({
+      request: paypal.request,
+      market,
+      provisioned: await loadBillingPlans(market),
+    });
+    for (const entry of created) {
+      await repository.saveBillingPlan(entry);
+    }
+    res.status(created.length > 0 ? 201 : 200).json({ created, plans: await loadBillingPlans(market) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/subscriptions", idempotency.middleware("subscriptions.create"), async (req, res, next) => {
+  try {
+    const paypal = gateways.get("paypal");
+    const { planId, billingPeriod } = req.body ?? {};
+    const gstNumber = readOptionalText(req.body?.gstNumber, "gstNumber");
+    const gstin = gstNumber ? parseGstin(gstNumber).gstin : null;
+    const market = markets.get(req.body?.currency);
+    const { entry } = resolveBillingPlan({
+      planId,
+      billingPeriod,
+      currency: market.currency,
+      provisioned: await loadBillingPlans(market),
+    });
+
+    const subscription = await paypal.request("/v1/billing/subscriptions", {
+      body: {
+        plan_id: entry.paypalPlanId,
+        custom_id: `${planId}:${billingPeriod}`,
+        // GST-registered buyers are billed tax on top of the plan price on every cycle.
+        ...(gstin ? { plan: { taxes: { percentage: String(GST_CONFIG.rate), inclusive: false } } } : {}),
+        application_context: {
+          brand_name: BRAND_NAME,
+          user_action: "SUBSCRIBE_NOW",
+          shipping_preference: "NO_SHIPPING",
+        },
       },
-    };
+      requestId: req.idempotencyKey,
+    });
+
+    const accessToken = newAccessToken();
+    await repository.recordEvent(
+      toSubscriptionRecord(subscription, { planId, billingPeriod, gstin, accessToken, action: "created" })
+    );
+    res.status(201).json({ id: subscription.id, status: subscription.status, accessToken });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const syncSubscription = async (subscriptionId, action) => {
+  const paypal = gateways.get("paypal");
+  const subscription = await paypal.request(`/v1/billing/subscriptions/${subscriptionId}`, { method: "GET" });
+  const history = subscriptionHistory(await repository.transactionRecords({ subscriptionId }), subscriptionId);
+  const previous = history.at(-1);
+
+  if (action || previous?.status !== subscription.status) {
+    await repository.recordEvent(
+      toSubscriptionRecord(subscription, {
+        planId: previous?.planId,
+        billingPeriod: previous?.billingPeriod,
+        gstin: previous?.gstin ?? null,
+        action: action ?? "synced",
+      })
+    );
+  }
+  return subscription;
+};
+
+const subscriptionAccessToken = async (req) => {
+  const { subscriptionId } = req.params;
+  const history = subscriptionHistory(await repository.transactionRecords({ subscriptionId }), subscriptionId);
+  return history.find((record) => record.accessToken)?.accessToken;
+};
+
+app.get("/api/subscriptions/:subscriptionId", tokenOrAdmin("read", subscriptionAccessToken), async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+    const subscription = await syncSubscription(subscriptionId);
+    const records = await repository.transactionRecords({ subscriptionId });
+    res.json({
+      subscription,
+      history: subscriptionHistory(records, subscriptionId).map(toHistoryView),
+      payments: subscriptionPayments(records, subscriptionId),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const order = await paypalRequest("/v2/checkout/orders", {
-      body: orderPayload,
+app.post("/api/subscriptions/:subscriptionId/:action", admin.require("support"), async (req, res, next) => {
+  try {
+    const { subscriptionId, action } = req.params;
+    const config = SUBSCRIPTION_ACTIONS[action];
+    if (!config) {
+      throw httpError(404, `Unknown subscription action "${action}".`);
+    }
+
+    const paypal = gateways.get("paypal");
+    const reason = readOptionalText(req.body?.reason, "reason") ?? config.defaultReason;
+    await paypal.request(`/v1/billing/subscriptions/${subscriptionId}/${config.endpoint}`, {
+      body: { reason: reason.slice(0, 128) },
     });
 
-    res.status(201).json({ id: order.id });
+    res.json({ subscription: await syncSubscription(subscriptionId, action) });
   } catch (error) {
     next(error);
   }
 });
 
-app.post("/api/orders/:orderId/capture", async (req, res, next) => {
+const webhooksInFlight = new Set();
+
+app.post("/api/webhooks/:gatewayId", async (req, res, next) => {
   try {
-    const { orderId } = req.params;
-    const capture = await paypalRequest(`/v2/checkout/orders/${orderId}/capture`, {
-      method: "POST",
+    const gateway = gateways.get(req.params.gatewayId);
+    const event = await gateway.verifyWebhook({ headers: req.headers, rawBody: req.rawBody, body: req.body ?? {} });
+    const { eventId: rawEventId, eventType, transactionEvent } = gateway.parseWebhookEvent(event);
+
+    if (!rawEventId) {
+      throw httpError(400, "Webhook event is missing an id.");
+    }
+    // Gateways redeliver until they see a 2xx, so repeated or concurrent deliveries are acknowledged without reprocessing.
+    // PayPal event ids were logged unprefixed before other gateways existed.
+    const eventId = gateway.id === "paypal" ? rawEventId : `${gateway.id}:${rawEventId}`;
+    if (webhooksInFlight.has(eventId) || (await repository.hasWebhookEvent(eventId))) {
+      res.json({ received: true, duplicate: true });
+      return;
+    }
+    webhooksInFlight.add(eventId);
+
+    try {
+      if (transactionEvent) {
+        if (!transactionEvent.orderId && transactionEvent.captureId) {
+          transactionEvent.orderId = (await repository.findCapture(transactionEvent.captureId))?.orderId;
+        }
+        // A refund the API already recorded is updated in place rather than logged twice.
+        await repository.recordEvent({ ...transactionEvent, gateway: gateway.id, loggedAt: new Date().toISOString() });
+        const orderStatus = orderStatusForEvent(transactionEvent);
+        if (transactionEvent.orderId && orderStatus) {
+          await advanceOrder(transactionEvent.orderId, orderStatus, { reason: eventType });
+        }
+        if (transactionEvent.captureId) {
+          await syncCredits(transactionEvent.captureId);
+        }
+      }
+      await repository.saveWebhookEvent({
+        eventId,
+        gateway: gateway.id,
+        eventType,
+        handled: Boolean(transactionEvent),
+        receivedAt: new Date().toISOString(),
+      });
+    } finally {
+      webhooksInFlight.delete(eventId);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/api/admin/me", admin.require("read"), (req, res) => {
+  res.json(req.operator);
+});
+
+// Orders fraud screening flagged (the default) or rejected, newest first.
+app.get("/api/admin/reviews", admin.require("read"), async (req, res, next) => {
+  try {
+    const status = String(req.query.status || "FLAGGED").toUpperCase();
+    if (!["FLAGGED", "REJECTED"].includes(status)) {
+      throw httpError(400, "status must be FLAGGED or REJECTED.");
+    }
+    const orders = await repository.ordersInReview({ status, limit: 200 });
+    res.json({
+      data: orders.map((order) => ({
+        orderId: order.orderId,
+        status: order.status,
+        total: order.total,
+        currency: order.currency,
+        createdAt: order.createdAt,
+        review: order.review,
+      })),
     });
-    await persistCapture(capture);
-    res.json(capture);
   } catch (error) {
     next(error);
   }
 });
 
+app.get("/api/admin/audit", admin.require("finance"), async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 100, 1), 500);
+    const beforeId = req.query.before ? Number.parseInt(req.query.before, 10) : undefined;
+    res.json({ data: await repository.listAuditEntries({ limit, beforeId }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/metrics", admin.require("read", { audit: false }), (req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// Failures the client caused are warnings; anything we or the gateway got wrong is an error.
 app.use((err, req, res, _next) => {
-  console.error("PayPal integration error:", err);
-  const status = err.status || 500;
-  res.status(status).json({
-    message: err.message || "Unexpected server error.",
-    ...(err.paypal ? { paypal: err.paypal } : {}),
-  });
+  const { status, body } = toErrorResponse(err);
+  logger[status >= 500 ? "error" : "warn"]("Request failed", { err, status, code: body.code });
+  if (err.retryAfterSeconds) {
+    res.set("Retry-After", String(err.retryAfterSeconds));
+  }
+  res.status(status).json(body);
 });
 
 app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+  logger.info(`Server is running on port ${PORT}`, { port: Number(PORT) });
 });
+
+const sweepOrders = () => expireStaleOrders().catch((error) => logger.error("Failed to expire stale orders", { err: error }));
+sweepOrders();
+setInterval(sweepOrders, ORDER_SWEEP_INTERVAL_MS).unref();
+
+const sweepRawPayloads = () => purgeRawPayloads().catch((error) => logger.error("Failed to purge raw payloads", { err: error }));
+sweepRawPayloads();
+setInterval(sweepRawPayloads, ORDER_SWEEP_INTERVAL_MS).unref();
@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import { httpError } from "./errors.js";
+
+// What each operator role may do: read back-office data, fix things for a customer, or move money and run the books.
+const ROLE_PERMISSIONS = {
+  viewer: ["read"],
+  support: ["read", "support"],
+  finance: ["read", "support", "finance"],
+};
+
+export const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Route params that are our own or the gateway's record ids; any other param, like an email, stays out of the log.
+const ID_PARAMS = ["orderId", "captureId", "authorizationId", "subscriptionId", "gatewayId", "action"];
+
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+// ADMIN_API_KEYS is a comma-separated list of `operator:role:key`; only a hash of each key is kept in memory.
+export const parseAdminKeys = (value = "") =>
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [operator, role, ...rest] = entry.split(":");
+      const key = rest.join(":");
+      if (!operator || !key || !ADMIN_ROLES.includes(role)) {
+        throw new Error(`ADMIN_API_KEYS entries must look like operator:role:key, with a role of ${ADMIN_ROLES.join(", ")}.`);
+      }
+      return { operator, role, keyHash: digest(key) };
+    });
+
+const readCredential = (req) => {
+  const header = req.get("authorization") ?? "";
+  return header.startsWith("Bearer ") ? header.slice("Bearer ".length).trim() : req.get("x-admin-key")?.trim();
+};
+
+// Guards back-office routes one by one; checkout routes never pass through here, so a key grants them nothing.
+// Every request that reaches a guarded route is written to the audit log once the response has gone out.
+export const createAdminAuth = ({ keys, repository, logger = console }) => {
+  const authenticate = (req) => {
+    const credential = readCredential(req);
+    if (!credential) {
+      return null;
+    }
+    const presented = digest(credential);
+    // Compare against every key, so the time taken does not reveal which operator nearly matched.
+    return keys.reduce((match, entry) => (crypto.timingSafeEqual(entry.keyHash, presented) ? entry : match), null);
+  };
+
+  const audit = (req, res, operator, permission) => {
+    // Read the request now: Express has moved on from this route by the time the response finishes.
+    const entry = {
+      at: new Date().toISOString(),
+      operator: operator?.operator ?? null,
+      role: operator?.role ?? null,
+      permission,
+      method: req.method,
+      // The route pattern, not the concrete path: /api/credits/:customerId would otherwise record the payer's email.
+      path: req.baseUrl + (req.route?.path ?? req.path),
+      params: Object.fromEntries(Object.entries(req.params ?? {}).filter(([name]) => ID_PARAMS.includes(name))),
+      // Query values can be personal (a payer email filter), so only the keys are kept.
+      query: Object.keys(req.query ?? {}),
+      ip: req.ip ?? null,
+    };
+    res.on("finish", () => {
+      repository
+        .recordAudit({ ...entry, status: res.statusCode })
+        .catch((error) => logger.error("Failed to write audit log entry", { err: error }));
+    });
+  };
+
+  // `audit: false` is for machine reads, like metrics scrapes, too frequent to be worth an entry each.
+  const require = (permission, { audit: audited = true } = {}) => (req, res, next) => {
+    const operator = authenticate(req);
+    if (audited) {
+      audit(req, res, operator, permission);
+    }
+    if (!operator) {
+      res.set("WWW-Authenticate", 'Bearer realm="admin"');
+      next(httpError(401, "This endpoint needs an admin API key."));
+      return;
+    }
+    if (!ROLE_PERMISSIONS[operator.role].includes(permission)) {
+      next(httpError(403, `The ${operator.role} role cannot do this.`));
+      return;
+    }
+    req.operator = { operator: operator.operator, role: operator.role };
+    next();
+  };
+
+  return { require, enabled: keys.length > 0 };
+};
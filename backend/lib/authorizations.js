@@ -0,0 +1,69 @@
+import { findPlan } from "./catalog.js";
+import { httpError } from "./errors.js";
+import { fromMinorUnits, toMinorUnits } from "./money.js";
+
+export const PAYMENT_INTENTS = ["CAPTURE", "AUTHORIZE"];
+
+// Authorizations that still hold funds which can be captured.
+export const OPEN_AUTHORIZATION_STATUSES = ["CREATED", "PARTIALLY_CAPTURED"];
+
+// PLAN_PAYMENT_INTENTS lets the operator choose, per plan, whether checkout captures or only places a hold, like
+// PLAN_PAYMENT_INTENTS='{"scaleup":"AUTHORIZE"}'. Plans it leaves out keep the catalog's setting.
+export const readPlanPaymentIntents = (env = process.env) => {
+  if (!env.PLAN_PAYMENT_INTENTS?.trim()) {
+    return {};
+  }
+  let intents;
+  try {
+    intents = JSON.parse(env.PLAN_PAYMENT_INTENTS);
+  } catch {
+    throw new Error("PLAN_PAYMENT_INTENTS is not valid JSON.");
+  }
+  if (!intents || typeof intents !== "object" || Array.isArray(intents)) {
+    throw new Error('PLAN_PAYMENT_INTENTS must map plan ids to intents, like {"scaleup":"AUTHORIZE"}.');
+  }
+  return Object.fromEntries(
+    Object.entries(intents).map(([planId, intent]) => {
+      const normalized = String(intent).toUpperCase();
+      if (!findPlan(planId) || !PAYMENT_INTENTS.includes(normalized)) {
+        throw new Error(`PLAN_PAYMENT_INTENTS has an invalid entry: ${JSON.stringify({ [planId]: intent })}`);
+      }
+      return [planId, normalized];
+    })
+  );
+};
+
+// The operator's setting for the plan wins, then the catalog's; plain checkout captures straight away.
+export const resolvePaymentIntent = ({ planId, planIntents = {} } = {}) =>
+  planIntents[planId] ?? findPlan(planId)?.paymentIntent ?? "CAPTURE";
+
+export const toAuthorizationRecord = ({ gatewayId, summary, raw, source }) => ({
+  gateway: gatewayId,
+  ...summary,
+  capturedAmount: fromMinorUnits(0, summary.currency),
+  captureIds: [],
+  ...(source ? { source } : {}),
+  loggedAt: new Date().toISOString(),
+  raw,
+});
+
+export const remainingAuthorizedAmount = ({ amount, capturedAmount, currency }) =>
+  fromMinorUnits(Math.max(toMinorUnits(amount, currency) - toMinorUnits(capturedAmount, currency), 0), currency);
+
+export const isAuthorizationLapsed = (authorization, { now = new Date() } = {}) =>
+  OPEN_AUTHORIZATION_STATUSES.includes(authorization.status) &&
+  Boolean(authorization.expiresAt) &&
+  new Date(authorization.expiresAt).getTime() <= now.getTime();
+
+// Checks an authorization can still be acted on locally before anything is sent to the gateway.
+export const assertAuthorizationOpen = (authorization, { now = new Date() } = {}) => {
+  if (authorization.reauthorizedBy) {
+    throw httpError(409, `This authorization was replaced by ${authorization.reauthorizedBy}.`);
+  }
+  if (!OPEN_AUTHORIZATION_STATUSES.includes(authorization.status)) {
+    throw httpError(409, `This authorization is ${authorization.status.toLowerCase().replace("_", " ")}.`);
+  }
+  if (isAuthorizationLapsed(authorization, { now })) {
+    throw httpError(409, "This authorization has expired.", { code: "AUTHORIZATION_EXPIRED" });
+  }
+};
@@ -0,0 +1,198 @@
+import { httpError } from "./errors.js";
+import { convertFromBase } from "./currency.js";
+import { amountToString, minorUnits } from "./money.js";
+
+// Plan prices are quoted per month; a recurring cycle bills monthsPerCycle of them at once.
+export const BILLING_PERIODS = [
+  { id: "yearly", label: "Yearly", intervalUnit: "YEAR", monthsPerCycle: 12 },
+  { id: "monthly", label: "Monthly", intervalUnit: "MONTH", monthsPerCycle: 1 },
+];
+
+// A plan with `paymentIntent: "AUTHORIZE"` only places a hold at checkout, to be captured once the order is reviewed.
+// PLAN_PAYMENT_INTENTS overrides it per plan without a release.
+export const PLANS = [
+  {
+    id: "startup",
+    name: "Startup Plan",
+    badge: "Most Popular",
+    meta: "Billed Annually",
+    pricing: { yearly: 39, monthly: 49 },
+    credits: ["2400 AI Planning Credits per Year", "12000 Email Credits per Year"],
+  },
+  {
+    id: "scaleup",
+    name: "Scaleup Plan",
+    meta: "Billed Annually",
+    pricing: { yearly: 199, monthly: 229 },
+    credits: ["12000 AI Planning Credits per Year", "84000 Email Credits per Year"],
+  },
+  {
+    id: "enterprise",
+    name: "Enterprise Plan",
+    contactOnly: true,
+    pricing: { yearly: 0, monthly: 0 },
+    credits: ["Unlimited AI Planning Credits", "Unlimited Email Credits"],
+  },
+];
+
+// Hand-set prices for markets where a straight FX conversion would land on awkward numbers.
+// Anything not listed here is converted from the USD price.
+export const PRICE_LISTS = {
+  INR: {
+    startup: { yearly: 2999, monthly: 3799 },
+    scaleup: { yearly: 15999, monthly: 18499 },
+  },
+  JPY: {
+    startup: { yearly: 5800, monthly: 7300 },
+    scaleup: { yearly: 29800, monthly: 34800 },
+  },
+};
+
+export const TOP_UPS = [
+  { id: "topup-email", name: "Email Credits Top-up", creditType: "email", creditsPerUnit: 25, min: 1, max: 10000 },
+  { id: "topup-planning", name: "Planning Credits Top-up", creditType: "planning", creditsPerUnit: 5, min: 1, max: 10000 },
+];
+
+// Physical add-ons, shipped to the buyer. Priced in USD like the plans, and sold by quantity.
+export const HARDWARE = [
+  { id: "room-display", name: "Meeting Room Display", price: 149, maxQuantity: 20 },
+  { id: "conference-speaker", name: "Conference Speakerphone", price: 89, maxQuantity: 20 },
+];
+
+export const findBillingPeriod = (billingPeriodId) => BILLING_PERIODS.find((period) => period.id === billingPeriodId);
+
+export const findPlan = (planId) => PLANS.find((plan) => plan.id === planId);
+
+export const findTopUp = (topUpId) => TOP_UPS.find((topUp) => topUp.id === topUpId);
+
+export const findHardware = (hardwareId) => HARDWARE.find((product) => product.id === hardwareId);
+
+export const isPhysicalItem = (item) => item.category === "PHYSICAL_GOODS";
+
+export const planPrice = (plan, periodId, market) => {
+  const listed = PRICE_LISTS[market.currency]?.[plan.id]?.[periodId];
+  return listed !== undefined ? amountToString(listed, market.currency) : convertFromBase(plan.pricing[periodId], market);
+};
+
+// Top-up bounds and credit rates are defined per USD and scaled to the shopper's currency.
+export const topUpTerms = (topUp, market) => ({
+  min: Math.max(Number(convertFromBase(topUp.min, market)), 10 ** -minorUnits(market.currency)),
+  max: Number(convertFromBase(topUp.max, market)),
+  creditsPerUnit: topUp.creditsPerUnit / market.fxRate,
+});
+
+export const getPublicCatalog = (market) => ({
+  currency: market.currency,
+  billingPeriods: BILLING_PERIODS,
+  plans: PLANS.map((plan) => ({
+    ...plan,
+    pricing: Object.fromEntries(BILLING_PERIODS.map((period) => [period.id, Number(planPrice(plan, period.id, market))])),
+  })),
+  topUps: TOP_UPS.map((topUp) => ({ ...topUp, ...topUpTerms(topUp, market) })),
+  hardware: HARDWARE.map((product) => ({ ...product, price: Number(convertFromBase(product.price, market)) })),
+});
+
+const toLineItem = ({ sku, name, price, currency, quantity = 1, category = "DIGITAL_GOODS" }) => ({
+  sku,
+  name,
+  quantity: String(quantity),
+  category,
+  unit_amount: {
+    currency_code: currency,
+    value: amountToString(price, currency),
+  },
+});
+
+export const buildOrderItems = ({ planId, billingPeriod, topUps = [], hardware = [] } = {}, market) => {
+  const { currency } = market;
+  const plan = findPlan(planId);
+  if (!plan) {
+    throw httpError(400, `Unknown plan "${planId}".`);
+  }
+  if (plan.contactOnly) {
+    throw httpError(400, `${plan.name} is sold through our sales team.`);
+  }
+
+  const period = findBillingPeriod(billingPeriod);
+  if (!period) {
+    throw httpError(400, `Unknown billing period "${billingPeriod}".`);
+  }
+
+  const items = [
+    toLineItem({
+      sku: plan.id,
+      name: `${plan.name} (${period.label})`,
+      price: planPrice(plan, period.id, market),
+      currency,
+    }),
+  ];
+
+  if (!Array.isArray(topUps)) {
+    throw httpError(400, "Top-ups must be a list.");
+  }
+
+  const seen = new Set();
+  topUps.forEach((entry) => {
+    const topUp = findTopUp(entry?.id);
+    if (!topUp) {
+      throw httpError(400, `Unknown top-up "${entry?.id}".`);
+    }
+    if (seen.has(topUp.id)) {
+      throw httpError(400, `${topUp.name} was added more than once.`);
+    }
+    seen.add(topUp.id);
+
+    const amount = Number(entry?.amount ?? 0);
+    if (amount === 0) {
+      return;
+    }
+    const { min, max } = topUpTerms(topUp, market);
+    if (!Number.isFinite(amount) || amount < min || amount > max) {
+      throw httpError(400, `${topUp.name} must be between ${min} and ${max} ${currency}.`);
+    }
+
+    items.push(toLineItem({ sku: topUp.id, name: topUp.name, price: amount, currency }));
+  });
+
+  if (!Array.isArray(hardware)) {
+    throw httpError(400, "Hardware must be a list.");
+  }
+
+  hardware.forEach((entry) => {
+    const product = findHardware(entry?.id);
+    if (!product) {
+      throw httpError(400, `Unknown hardware "${entry?.id}".`);
+    }
+    if (seen.has(product.id)) {
+      throw httpError(400, `${product.name} was added more than once.`);
+    }
+    seen.add(product.id);
+
+    const quantity = Number(entry?.quantity ?? 0);
+    if (quantity === 0) {
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > product.maxQuantity) {
+      throw httpError(400, `${product.name} quantity must be between 1 and ${product.maxQuantity}.`);
+    }
+
+    items.push(
+      toLineItem({
+        sku: product.id,
+        name: product.name,
+        price: convertFromBase(product.price, market),
+        currency,
+        quantity,
+        category: "PHYSICAL_GOODS",
+      })
+    );
+  });
+
+  return items;
+};
+
+export const calculateOrderTotal = (items, currency) =>
+  amountToString(
+    items.reduce((sum, item) => sum + Number(item.unit_amount.value) * Number(item.quantity), 0),
+    currency
+  );
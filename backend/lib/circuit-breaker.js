@@ -0,0 +1,45 @@
+// Stops calling a dependency that keeps failing: after `failureThreshold` failures in a row the circuit opens and
+// calls fail fast until `resetTimeoutMs` has passed, when a single trial call decides whether it closes again.
+export const createCircuitBreaker = ({ failureThreshold = 5, resetTimeoutMs = 30000, now = Date.now } = {}) => {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const state = () => {
+    if (openedAt === null) {
+      return "closed";
+    }
+    return now() - openedAt >= resetTimeoutMs ? "half-open" : "open";
+  };
+
+  // Whether a call may go ahead; while half-open only the first caller gets through.
+  const allowRequest = () => {
+    const current = state();
+    if (current === "closed") {
+      return true;
+    }
+    if (current === "half-open" && !trialInFlight) {
+      trialInFlight = true;
+      return true;
+    }
+    return false;
+  };
+
+  const recordSuccess = () => {
+    failures = 0;
+    openedAt = null;
+    trialInFlight = false;
+  };
+
+  const recordFailure = () => {
+    failures += 1;
+    if (trialInFlight || failures >= failureThreshold) {
+      openedAt = now();
+    }
+    trialInFlight = false;
+  };
+
+  const retryInMs = () => (openedAt === null ? 0 : Math.max(resetTimeoutMs - (now() - openedAt), 0));
+
+  return { state, allowRequest, recordSuccess, recordFailure, retryInMs };
+};
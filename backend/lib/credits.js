@@ -0,0 +1,103 @@
+import { TOP_UPS, findTopUp, topUpTerms } from "./catalog.js";
+import { captureStatus, summarizeCapture } from "./transactions.js";
+
+export const CREDIT_TYPES = [...new Set(TOP_UPS.map((topUp) => topUp.creditType))];
+
+// Statuses at which the money has actually arrived, so the credits it bought can be used.
+const GRANTABLE_STATUSES = ["COMPLETED"];
+
+// Floating point drift must never cost the shopper a credit they were quoted.
+const wholeCredits = (value) => Math.floor(value + 1e-6);
+
+export const normalizeCustomerId = (value) => String(value ?? "").trim().toLowerCase();
+
+// Credits are fixed when the order is priced, so a later FX change cannot alter what the shopper was shown.
+export const topUpCredits = (items, market) =>
+  items.flatMap((item) => {
+    const topUp = findTopUp(item.sku);
+    if (!topUp) {
+      return [];
+    }
+    const paid = Number(item.unit_amount.value) * Number(item.quantity);
+    const credits = wholeCredits(paid * topUpTerms(topUp, market).creditsPerUnit);
+    return credits > 0 ? [{ sku: topUp.id, creditType: topUp.creditType, credits }] : [];
+  });
+
+// Works out which ledger entries a capture still needs: a grant once it completes, then one reversal per settled
+// refund. Partial refunds claw back credits in proportion to the amount refunded.
+export const pendingCreditEntries = ({ ledger, order, summary, status, now = new Date() }) => {
+  const { capture } = summary;
+  // Captures recorded before ledger keys were stored fall back to the payer's email.
+  const customerId = order?.customerId || capture.customerId || normalizeCustomerId(capture.payerEmail);
+  const grants = order?.credits ?? [];
+  if (!customerId || grants.length === 0) {
+    return [];
+  }
+
+  const posted = new Set(ledger.map((entry) => entry.entryId));
+  const base = { customerId, orderId: capture.orderId, captureId: capture.captureId };
+  const captured = Number(summary.capturedAmount);
+  const refunds = summary.refunds.filter((refund) => ["COMPLETED", "PENDING"].includes(refund.status));
+  const entries = [];
+  // An authorization captured in parts earns each part its share of the order's credits.
+  const share = capture.authorizationId && Number(order.total) > 0 ? Math.min(captured / Number(order.total), 1) : 1;
+
+  const earned = grants.map((grant) => ({ ...grant, credits: wholeCredits(grant.credits * share) })).filter((grant) => grant.credits > 0);
+
+  for (const grant of earned) {
+    const grantId = `grant:${capture.captureId}:${grant.creditType}`;
+    if (!posted.has(grantId)) {
+      if (!GRANTABLE_STATUSES.includes(status)) {
+        continue;
+      }
+      entries.push({ entryId: grantId, kind: "grant", ...base, creditType: grant.creditType, credits: grant.credits });
+    }
+
+    let refunded = 0;
+    let reversed = 0;
+    for (const refund of refunds) {
+      refunded += Number(refund.amount ?? 0);
+      const target = captured > 0 ? Math.min(wholeCredits((grant.credits * refunded) / captured), grant.credits) : 0;
+      const entryId = `refund:${refund.refundId}:${grant.creditType}`;
+      if (target > reversed && !posted.has(entryId)) {
+        entries.push({
+          entryId,
+          kind: "reversal",
+          ...base,
+          refundId: refund.refundId,
+          creditType: grant.creditType,
+          credits: reversed - target,
+        });
+      }
+      reversed = Math.max(reversed, target);
+    }
+  }
+
+  return entries.map((entry) => ({ ...entry, createdAt: now.toISOString() }));
+};
+
+// Posts whatever a capture still owes the ledger. Entry ids are deterministic, so overlapping captures, refunds and
+// webhooks can never post the same entry twice.
+export const syncCaptureCredits = async (repository, captureId) => {
+  const records = await repository.transactionRecords({ captureId });
+  const summary = summarizeCapture(records, captureId);
+  if (!summary) {
+    return;
+  }
+  const entries = pendingCreditEntries({
+    ledger: await repository.listCreditEntries({ captureId }),
+    order: await repository.findOrder(summary.capture.orderId),
+    summary,
+    status: captureStatus(records, summary.capture),
+  });
+  await repository.saveCreditEntries(entries);
+};
+
+export const summarizeCredits = (ledger, customerId) => {
+  const entries = ledger.filter((entry) => entry.customerId === customerId);
+  const balances = Object.fromEntries(CREDIT_TYPES.map((creditType) => [creditType, 0]));
+  entries.forEach((entry) => {
+    balances[entry.creditType] = (balances[entry.creditType] ?? 0) + entry.credits;
+  });
+  return { customerId, balances, entries };
+};
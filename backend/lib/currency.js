@@ -0,0 +1,63 @@
+import { httpError } from "./errors.js";
+import { amountToString } from "./money.js";
+
+// Catalog prices and promotion amounts are defined in the base currency.
+export const BASE_CURRENCY = "USD";
+
+// Units of each currency per 1 USD; override with FX_RATES='{"EUR":0.93}'.
+const DEFAULT_FX_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  INR: 83,
+  JPY: 150,
+  AUD: 1.52,
+  CAD: 1.36,
+};
+
+export const readFxRates = (env = process.env) => {
+  if (!env.FX_RATES?.trim()) {
+    return {};
+  }
+  let rates;
+  try {
+    rates = JSON.parse(env.FX_RATES);
+  } catch {
+    throw new Error("FX_RATES is not valid JSON.");
+  }
+  if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+    throw new Error('FX_RATES must map currency codes to rates, like {"EUR":0.93}.');
+  }
+  return Object.fromEntries(
+    Object.entries(rates).map(([code, rate]) => {
+      if (!/^[A-Za-z]{3}$/.test(code) || typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) {
+        throw new Error(`FX_RATES has an invalid rate: ${JSON.stringify({ [code]: rate })}`);
+      }
+      return [code.toUpperCase(), rate];
+    })
+  );
+};
+
+export const createMarkets = ({ defaultCurrency = BASE_CURRENCY, supported = [], fxRates = {}, logger = console }) => {
+  const rates = { ...DEFAULT_FX_RATES, ...fxRates, [BASE_CURRENCY]: 1 };
+  const requested = [defaultCurrency, ...supported].map((code) => String(code).trim().toUpperCase()).filter(Boolean);
+  const priced = [...new Set(requested)].filter((code) => Number(rates[code]) > 0);
+  const codes = priced.length > 0 ? priced : [BASE_CURRENCY];
+  const fallback = codes.includes(defaultCurrency) ? defaultCurrency : codes[0];
+
+  if (fallback !== defaultCurrency) {
+    logger.warn(`No FX rate configured for ${defaultCurrency}; falling back to ${fallback}.`);
+  }
+
+  const get = (code) => {
+    const currency = String(code || fallback).trim().toUpperCase();
+    if (!codes.includes(currency)) {
+      throw httpError(400, `Currency ${currency} is not supported.`);
+    }
+    return { currency, fxRate: Number(rates[currency]) };
+  };
+
+  return { codes, defaultCurrency: fallback, get };
+};
+
+export const convertFromBase = (amount, market) => amountToString(Number(amount) * market.fxRate, market.currency);
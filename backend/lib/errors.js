@@ -0,0 +1,37 @@
+export const httpError = (status, message, extra = {}) => Object.assign(new Error(message), { status, ...extra });
+
+// What the client should do next: restart the gateway's checkout, retry the same call, or stop and show the message.
+export const ERROR_ACTIONS = ["restart", "retry", "none"];
+
+const CODES_BY_STATUS = {
+  400: "INVALID_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  422: "UNPROCESSABLE",
+  429: "RATE_LIMITED",
+  502: "GATEWAY_ERROR",
+  503: "SERVICE_UNAVAILABLE",
+  504: "GATEWAY_TIMEOUT",
+};
+
+const RETRYABLE_STATUSES = [429, 502, 504];
+
+// Every error response has the same shape. Errors raised without a status are unexpected, so their message stays in the logs.
+export const toErrorResponse = (err) => {
+  const status = err.status || 500;
+  const retryable = err.retryable ?? (!err.status || RETRYABLE_STATUSES.includes(status));
+  return {
+    status,
+    body: {
+      code: err.code ?? CODES_BY_STATUS[status] ?? "INTERNAL_ERROR",
+      message: err.status ? err.message : "Something went wrong on our side. Please try again.",
+      retryable,
+      action: err.action ?? (retryable ? "retry" : "none"),
+      debugId: err.debugId ?? null,
+      ...(err.gateway ? { gateway: err.gateway } : {}),
+    },
+  };
+};
@@ -0,0 +1,79 @@
+import { BASE_CURRENCY } from "./currency.js";
+
+// What a rule does when it trips: refuse the order outright, or let it through marked for someone to review.
+export const FRAUD_ACTIONS = ["reject", "flag"];
+
+// Each rule is one env var, with an optional ":reject" or ":flag" suffix (reject by default):
+//   FRAUD_MAX_ORDER_VALUE=500             order total, in the base currency
+//   FRAUD_MAX_ORDERS_PER_EMAIL_HOUR=3:flag  orders one payer email may pay for within an hour
+//   FRAUD_BLOCKED_COUNTRIES=KP,IR         payer countries, from PayPal's payer.address.country_code
+const readRule = (value, name, parseLimit) => {
+  if (!value?.trim()) {
+    return null;
+  }
+  const separator = value.lastIndexOf(":");
+  const suffix = separator >= 0 ? value.slice(separator + 1).trim().toLowerCase() : "";
+  const action = FRAUD_ACTIONS.includes(suffix) ? suffix : "reject";
+  const limit = parseLimit(FRAUD_ACTIONS.includes(suffix) ? value.slice(0, separator) : value);
+  if (limit === null) {
+    throw new Error(`${name} is not valid: ${value}`);
+  }
+  return { limit, action };
+};
+
+const positiveNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const countryCodes = (value) => {
+  const codes = value
+    .split(",")
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean);
+  return codes.length > 0 && codes.every((code) => /^[A-Z]{2}$/.test(code)) ? codes : null;
+};
+
+export const readFraudRules = (env = process.env) => ({
+  maxOrderValue: readRule(env.FRAUD_MAX_ORDER_VALUE, "FRAUD_MAX_ORDER_VALUE", positiveNumber),
+  maxOrdersPerEmailPerHour: readRule(env.FRAUD_MAX_ORDERS_PER_EMAIL_HOUR, "FRAUD_MAX_ORDERS_PER_EMAIL_HOUR", (value) =>
+    Number.isInteger(positiveNumber(value)) ? Number(value) : null
+  ),
+  blockedCountries: readRule(env.FRAUD_BLOCKED_COUNTRIES, "FRAUD_BLOCKED_COUNTRIES", countryCodes),
+});
+
+// Payer rules need the gateway to tell us who approved the payment, which costs a call per capture.
+export const hasPayerRules = (rules) => Boolean(rules.maxOrdersPerEmailPerHour || rules.blockedCountries);
+
+const finding = (rule, { action }, detail) => ({ rule, action, detail });
+
+// Checks on what we priced, run before the order is created at the gateway.
+export const screenOrder = (rules, { total, currency, fxRate }) => {
+  const { maxOrderValue } = rules;
+  if (maxOrderValue && Number(total) / fxRate > maxOrderValue.limit) {
+    return [finding("maxOrderValue", maxOrderValue, `Total ${total} ${currency} is over the ${maxOrderValue.limit} ${BASE_CURRENCY} limit.`)];
+  }
+  return [];
+};
+
+// Checks on who is paying, run once the shopper has approved and before any money moves. `recentOrders` includes
+// the order being screened.
+export const screenPayer = (rules, { countryCode, recentOrders }) => {
+  const { maxOrdersPerEmailPerHour, blockedCountries } = rules;
+  return [
+    ...(maxOrdersPerEmailPerHour && recentOrders > maxOrdersPerEmailPerHour.limit
+      ? [finding("maxOrdersPerEmailPerHour", maxOrdersPerEmailPerHour, `${recentOrders} orders from this payer within an hour.`)]
+      : []),
+    ...(blockedCountries && countryCode && blockedCountries.limit.includes(countryCode.toUpperCase())
+      ? [finding("blockedCountries", blockedCountries, `Payer country ${countryCode.toUpperCase()} is blocked.`)]
+      : []),
+  ];
+};
+
+// REJECTED if any tripped rule rejects, FLAGGED if they only flag, null when nothing tripped.
+export const reviewStatus = (findings) => {
+  if (findings.length === 0) {
+    return null;
+  }
+  return findings.some((entry) => entry.action === "reject") ? "REJECTED" : "FLAGGED";
+};
@@ -0,0 +1,33 @@
+import { httpError } from "../errors.js";
+import { createPayPalGateway } from "./paypal.js";
+import { createRazorpayGateway } from "./razorpay.js";
+
+export const DEFAULT_GATEWAY = "paypal";
+
+export const createGatewayRegistry = ({ paypal, razorpay }) => {
+  const gateways = [createPayPalGateway(paypal), createRazorpayGateway(razorpay)];
+
+  const enabled = () => gateways.filter((gateway) => gateway.enabled);
+
+  // Records written before the gateway field existed all came from PayPal.
+  const get = (gatewayId = DEFAULT_GATEWAY) => {
+    const gateway = gateways.find((candidate) => candidate.id === (gatewayId ?? DEFAULT_GATEWAY));
+    if (!gateway) {
+      throw httpError(400, `Unknown payment gateway "${gatewayId}".`);
+    }
+    if (!gateway.enabled) {
+      throw httpError(503, `${gateway.label} is not configured on this server.`);
+    }
+    return gateway;
+  };
+
+  const describe = () =>
+    enabled().map((gateway) => ({
+      id: gateway.id,
+      label: gateway.label,
+      description: gateway.description,
+      ...gateway.publicConfig(),
+    }));
+
+  return { get, enabled, describe };
+};
@@ -0,0 +1,112 @@
+import { httpError } from "../errors.js";
+
+const CAPTURE_STATUS_BY_EVENT = {
+  "PAYMENT.CAPTURE.COMPLETED": "COMPLETED",
+  "PAYMENT.CAPTURE.PENDING": "PENDING",
+  "PAYMENT.CAPTURE.DENIED": "DECLINED",
+  "PAYMENT.CAPTURE.DECLINED": "DECLINED",
+  "PAYMENT.CAPTURE.REVERSED": "REVERSED",
+};
+
+const linkedId = (resource, rel) => {
+  const href = resource?.links?.find((link) => link.rel === rel)?.href;
+  return href ? href.split("/").pop() : undefined;
+};
+
+export const verifyWebhookSignature = async (paypalRequest, { webhookId, headers, event }) => {
+  if (!webhookId) {
+    throw httpError(503, "PAYPAL_WEBHOOK_ID is not configured.");
+  }
+
+  const verification = {
+    auth_algo: headers["paypal-auth-algo"],
+    cert_url: headers["paypal-cert-url"],
+    transmission_id: headers["paypal-transmission-id"],
+    transmission_sig: headers["paypal-transmission-sig"],
+    transmission_time: headers["paypal-transmission-time"],
+  };
+  if (Object.values(verification).some((value) => !value)) {
+    throw httpError(400, "Missing PayPal transmission headers.");
+  }
+
+  const result = await paypalRequest("/v1/notifications/verify-webhook-signature", {
+    body: { ...verification, webhook_id: webhookId, webhook_event: event },
+  });
+  if (result?.verification_status !== "SUCCESS") {
+    throw httpError(400, "PayPal webhook signature verification failed.");
+  }
+};
+
+export const toTransactionEvent = (event) => {
+  const resource = event?.resource ?? {};
+  const base = { eventId: event.id, eventType: event.event_type, source: "webhook" };
+
+  if (CAPTURE_STATUS_BY_EVENT[event.event_type]) {
+    return {
+      ...base,
+      type: "status",
+      orderId: resource.supplementary_data?.related_ids?.order_id,
+      captureId: resource.id,
+      status: CAPTURE_STATUS_BY_EVENT[event.event_type],
+      amount: resource.amount?.value,
+      currency: resource.amount?.currency_code,
+    };
+  }
+
+  if (event.event_type === "CHECKOUT.ORDER.APPROVED") {
+    return { ...base, type: "order", orderId: resource.id, status: "APPROVED" };
+  }
+
+  if (event.event_type === "PAYMENT.CAPTURE.REFUNDED") {
+    return {
+      ...base,
+      type: "refund",
+      captureId: linkedId(resource, "up"),
+      refundId: resource.id,
+      status: resource.status,
+      amount: resource.amount?.value,
+      currency: resource.amount?.currency_code,
+      reason: resource.note_to_payer,
+    };
+  }
+
+  if (event.event_type?.startsWith("BILLING.SUBSCRIPTION.")) {
+    return {
+      ...base,
+      type: "subscription",
+      gateway: "paypal",
+      subscriptionId: resource.id,
+      paypalPlanId: resource.plan_id,
+      status: resource.status,
+      nextBillingTime: resource.billing_info?.next_billing_time,
+    };
+  }
+
+  // Recurring subscription charges arrive as v1 sales rather than v2 captures.
+  if (event.event_type === "PAYMENT.SALE.COMPLETED" && resource.billing_agreement_id) {
+    return {
+      ...base,
+      type: "subscription_payment",
+      subscriptionId: resource.billing_agreement_id,
+      saleId: resource.id,
+      status: "COMPLETED",
+      amount: resource.amount?.total,
+      currency: resource.amount?.currency,
+    };
+  }
+
+  if (event.event_type?.startsWith("CUSTOMER.DISPUTE.")) {
+    return {
+      ...base,
+      type: "dispute",
+      captureId: resource.disputed_transactions?.[0]?.seller_transaction_id,
+      disputeId: resource.dispute_id,
+      status: resource.status,
+      reason: resource.reason,
+      amount: resource.dispute_amount?.value,
+      currency: resource.dispute_amount?.currency_code,
+    };
+  }
+
+  return null;
+};
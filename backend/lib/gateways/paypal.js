@@ -0,0 +1,227 @@
+import { createPayPalClient } from "../paypal.js";
+import { buildAmount } from "../pricing.js";
+import { toTransactionEvent, verifyWebhookSignature } from "./paypal-webhooks.js";
+
+export const listOrderCaptures = (orderPayload = {}) =>
+  (orderPayload.purchase_units ?? []).flatMap((unit) => unit.payments?.captures ?? []);
+
+export const listOrderAuthorizations = (orderPayload = {}) =>
+  (orderPayload.purchase_units ?? []).flatMap((unit) => unit.payments?.authorizations ?? []);
+
+// The buyer changes address or shipping option in the PayPal popup; PayPal asks our callback for the new total.
+const SHIPPING_CALLBACK_EVENTS = ["SHIPPING_ADDRESS", "SHIPPING_OPTIONS"];
+
+export const toShippingOptions = (shipping, currency) =>
+  shipping.options.map((option) => ({
+    id: option.id,
+    label: option.label,
+    type: "SHIPPING",
+    selected: option.id === shipping.method.id,
+    amount: { currency_code: currency, value: option.amount },
+  }));
+
+// What the shipping callback answers when it refuses a change; PayPal shows the buyer a message for the issue.
+export const toShippingCallbackError = (issue) => ({
+  name: "UNPROCESSABLE_ENTITY",
+  details: [{ issue }],
+});
+
+// PayPal only honours the full authorized amount for the first three days of an authorization.
+const HONOR_PERIOD_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Summarizes the first capture of a capture response or order, unless a specific capture is given. Captures of an
+// authorization arrive on their own, so their order comes from the related ids instead.
+export const extractCaptureSummary = (capturePayload = {}, capture = listOrderCaptures(capturePayload)[0]) => {
+  const purchaseUnit = capturePayload.purchase_units?.[0];
+  const breakdown = capture?.seller_receivable_breakdown;
+  const relatedIds = capture?.supplementary_data?.related_ids ?? {};
+  return {
+    orderId: capturePayload.id ?? relatedIds.order_id,
+    captureId: capture?.id,
+    ...(relatedIds.authorization_id ? { authorizationId: relatedIds.authorization_id } : {}),
+    status: capture?.status,
+    payerEmail: capturePayload?.payer?.email_address,
+    payerGivenName: capturePayload?.payer?.name?.given_name,
+    payerSurname: capturePayload?.payer?.name?.surname,
+    amount: capture?.amount?.value,
+    currency: capture?.amount?.currency_code,
+    fee: breakdown?.paypal_fee?.value ?? null,
+    receivableAmount: breakdown?.net_amount?.value ?? null,
+    items: purchaseUnit?.items ?? [],
+    ...(purchaseUnit?.shipping?.address
+      ? { shipping: { name: purchaseUnit.shipping.name?.full_name ?? null, address: purchaseUnit.shipping.address } }
+      : {}),
+    createTime: capture?.create_time,
+    updateTime: capture?.update_time,
+  };
+};
+
+// Summarizes the first authorization of an authorize response or order, unless a specific authorization is given.
+export const extractAuthorizationSummary = (orderPayload = {}, authorization = listOrderAuthorizations(orderPayload)[0]) => {
+  const purchaseUnit = orderPayload.purchase_units?.[0];
+  const createTime = authorization?.create_time;
+  return {
+    authorizationId: authorization?.id,
+    orderId: orderPayload.id ?? authorization?.supplementary_data?.related_ids?.order_id,
+    status: authorization?.status,
+    payerEmail: orderPayload?.payer?.email_address,
+    payerGivenName: orderPayload?.payer?.name?.given_name,
+    payerSurname: orderPayload?.payer?.name?.surname,
+    amount: authorization?.amount?.value,
+    currency: authorization?.amount?.currency_code,
+    items: purchaseUnit?.items ?? [],
+    expiresAt: authorization?.expiration_time ?? null,
+    honorPeriodEndsAt: createTime ? new Date(new Date(createTime).getTime() + HONOR_PERIOD_MS).toISOString() : null,
+    createTime,
+    updateTime: authorization?.update_time,
+  };
+};
+
+export const createPayPalGateway = ({ baseUrl, clientId, clientSecret, environment, webhookId, brandName, http, logger, metrics }) => {
+  const client = createPayPalClient({ baseUrl, clientId, clientSecret, http, logger, metrics });
+
+  return {
+    id: "paypal",
+    label: "PayPal",
+    description: "Pay securely with PayPal",
+    enabled: Boolean(clientId && clientSecret),
+    request: client.request,
+
+    publicConfig: () => ({ clientId, environment }),
+
+    collectsShippingAddress: true,
+
+    // Orders with hardware ship to the address the shopper gave us, or to one the buyer picks at PayPal. The callback
+    // is only registered when PayPal can reach this server, so without one the quoted shipping stands.
+    createOrder: async ({ pricing, intent = "CAPTURE", requestId, shipTo, shippingCallbackUrl }) => {
+      const experience = {
+        shipping_preference: !pricing.shipping ? "NO_SHIPPING" : shipTo ? "SET_PROVIDED_ADDRESS" : "GET_FROM_FILE",
+        user_action: "PAY_NOW",
+        brand_name: brandName,
+      };
+      const shipping = pricing.shipping && {
+        ...(shipTo ? { type: "SHIPPING", name: { full_name: shipTo.name }, address: shipTo.address } : {}),
+        options: toShippingOptions(pricing.shipping, pricing.currency),
+      };
+      const order = await client.request("/v2/checkout/orders", {
+        body: {
+          intent,
+          purchase_units: [
+            {
+              amount: buildAmount(pricing),
+              items: pricing.items,
+              ...(shipping ? { shipping } : {}),
+            },
+          ],
+          ...(shipping && shippingCallbackUrl
+            ? {
+                payment_source: {
+                  paypal: {
+                    experience_context: {
+                      ...experience,
+                      order_update_callback_config: { callback_events: SHIPPING_CALLBACK_EVENTS, callback_url: shippingCallbackUrl },
+                    },
+                  },
+                },
+              }
+            : { application_context: experience }),
+        },
+        requestId,
+      });
+      return { id: order.id, raw: order };
+    },
+
+    captureOrder: async (orderId, { requestId } = {}) => {
+      const capture = await client.request(`/v2/checkout/orders/${orderId}/capture`, {
+        method: "POST",
+        requestId,
+      });
+      return { summary: extractCaptureSummary(capture), raw: capture };
+    },
+
+    authorizeOrder: async (orderId, { requestId } = {}) => {
+      const authorization = await client.request(`/v2/checkout/orders/${orderId}/authorize`, {
+        method: "POST",
+        requestId,
+      });
+      return { summary: extractAuthorizationSummary(authorization), raw: authorization };
+    },
+
+    captureAuthorization: async ({ authorizationId, amount, currency, finalCapture = true, requestId }) => {
+      const capture = await client.request(`/v2/payments/authorizations/${authorizationId}/capture`, {
+        body: {
+          ...(amount ? { amount: { currency_code: currency, value: amount } } : {}),
+          final_capture: finalCapture,
+        },
+        requestId,
+      });
+      return { summary: extractCaptureSummary({}, capture), raw: capture };
+    },
+
+    voidAuthorization: (authorizationId) =>
+      client.request(`/v2/payments/authorizations/${authorizationId}/void`, { method: "POST" }),
+
+    reauthorizeAuthorization: async ({ authorizationId, amount, currency, requestId }) => {
+      const authorization = await client.request(`/v2/payments/authorizations/${authorizationId}/reauthorize`, {
+        body: amount ? { amount: { currency_code: currency, value: amount } } : {},
+        requestId,
+      });
+      return { summary: extractAuthorizationSummary({}, authorization), raw: authorization };
+    },
+
+    getAuthorization: async (authorizationId) => {
+      const authorization = await client.request(`/v2/payments/authorizations/${authorizationId}`, { method: "GET" });
+      return { summary: extractAuthorizationSummary({}, authorization), raw: authorization };
+    },
+
+    getOrder: (orderId) => client.request(`/v2/checkout/orders/${orderId}`, { method: "GET" }),
+
+    // Who approved the order, for the fraud checks that run before capture.
+    getPayer: async (orderId) => {
+      const order = await client.request(`/v2/checkout/orders/${orderId}`, { method: "GET" });
+      return { email: order.payer?.email_address ?? null, countryCode: order.payer?.address?.country_code ?? null };
+    },
+
+    getCapture: (captureId) => client.request(`/v2/payments/captures/${captureId}`, { method: "GET" }),
+
+    // Transaction search; PayPal refuses a span longer than 31 days.
+    listTransactions: ({ startDate, endDate, page = 1, pageSize = 100 }) => {
+      const query = new URLSearchParams({
+        start_date: startDate.toISOString(),
+        end_date: endDate.toISOString(),
+        fields: "transaction_info",
+        page_size: String(pageSize),
+        page: String(page),
+      });
+      return client.request(`/v1/reporting/transactions?${query}`, { method: "GET" });
+    },
+
+    refund: async ({ captureId, amount, currency, reason, requestId }) => {
+      const refund = await client.request(`/v2/payments/captures/${captureId}/refund`, {
+        body: {
+          amount: { currency_code: currency, value: amount },
+          ...(reason ? { note_to_payer: reason.slice(0, 255) } : {}),
+        },
+        requestId,
+      });
+      return {
+        refundId: refund.id,
+        status: refund.status,
+        amount: refund.amount?.value ?? amount,
+        currency: refund.amount?.currency_code ?? currency,
+        raw: refund,
+      };
+    },
+
+    verifyWebhook: async ({ headers, body }) => {
+      await verifyWebhookSignature(client.request, { webhookId, headers, event: body });
+      return body;
+    },
+
+    parseWebhookEvent: (event) => ({
+      eventId: event.id,
+      eventType: event.event_type,
+      transactionEvent: toTransactionEvent(event),
+    }),
+  };
+};
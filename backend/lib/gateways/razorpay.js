@@ -0,0 +1,198 @@
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { httpError } from "../errors.js";
+import { fromMinorUnits, toMinorUnits } from "../money.js";
+
+const RAZORPAY_BASE_URL = "https://api.razorpay.com/v1";
+
+// Razorpay payment states mapped onto the capture statuses the transaction log already uses.
+const PAYMENT_STATUS = {
+  created: "PENDING",
+  authorized: "PENDING",
+  captured: "COMPLETED",
+  refunded: "REFUNDED",
+  failed: "DECLINED",
+};
+
+const REFUND_STATUS = {
+  pending: "PENDING",
+  processed: "COMPLETED",
+  failed: "FAILED",
+};
+
+const hmacHex = (secret, payload) => crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+const signaturesMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected, "utf8");
+  const receivedBuffer = Buffer.from(String(received ?? ""), "utf8");
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+// Razorpay writes its error descriptions to be shown to the buyer; only its own outages are worth retrying.
+const toRazorpayError = (status, body) => {
+  const code = body?.error?.code ?? "RAZORPAY_ERROR";
+  const retryable = status >= 500 || ["GATEWAY_ERROR", "SERVER_ERROR"].includes(code);
+  return httpError(
+    status >= 500 || status === 401 ? 502 : status,
+    body?.error?.description || "Razorpay could not process this request.",
+    { code, retryable, action: retryable ? "retry" : "none", gateway: "razorpay", razorpay: body }
+  );
+};
+
+const toCaptureSummary = (payment) => ({
+  orderId: payment.order_id,
+  captureId: payment.id,
+  status: PAYMENT_STATUS[payment.status] ?? String(payment.status).toUpperCase(),
+  payerEmail: payment.email,
+  payerGivenName: undefined,
+  payerSurname: undefined,
+  amount: fromMinorUnits(payment.amount, payment.currency),
+  currency: payment.currency,
+  items: [],
+  createTime: payment.created_at ? new Date(payment.created_at * 1000).toISOString() : undefined,
+  updateTime: new Date().toISOString(),
+});
+
+export const createRazorpayGateway = ({ keyId, keySecret, webhookSecret, brandName, baseUrl = RAZORPAY_BASE_URL }) => {
+  const request = async (endpoint, { method = "POST", body, requestId } = {}) => {
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString("base64")}`,
+        "Content-Type": "application/json",
+        ...(requestId ? { "X-Razorpay-Idempotency-Key": requestId } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const responseBody = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw toRazorpayError(response.status, responseBody);
+    }
+
+    return responseBody;
+  };
+
+  return {
+    id: "razorpay",
+    label: "Razorpay",
+    description: "UPI, cards and netbanking",
+    enabled: Boolean(keyId && keySecret),
+    request,
+
+    publicConfig: () => ({ keyId, brandName }),
+
+    createOrder: async ({ pricing, requestId }) => {
+      const order = await request("/orders", {
+        body: {
+          amount: toMinorUnits(pricing.total, pricing.currency),
+          currency: pricing.currency,
+          receipt: requestId?.slice(0, 40),
+          notes: { items: pricing.items.map((item) => item.sku).join(",") },
+        },
+        requestId,
+      });
+      return {
+        id: order.id,
+        raw: order,
+        checkout: { orderId: order.id, amount: order.amount, currency: order.currency },
+      };
+    },
+
+    // Razorpay Checkout hands the browser a payment id and signature; the order is only paid once both check out.
+    captureOrder: async (orderId, { payment = {}, requestId } = {}) => {
+      const { paymentId, signature } = payment;
+      if (!paymentId || !signature) {
+        throw httpError(400, "Razorpay payment id and signature are required.");
+      }
+      if (!signaturesMatch(hmacHex(keySecret, `${orderId}|${paymentId}`), signature)) {
+        throw httpError(400, "Razorpay payment signature is invalid.");
+      }
+
+      let details = await request(`/payments/${paymentId}`, { method: "GET" });
+      if (details.order_id !== orderId) {
+        throw httpError(400, "Razorpay payment does not belong to this order.");
+      }
+      if (details.status === "authorized") {
+        details = await request(`/payments/${paymentId}/capture`, {
+          body: { amount: details.amount, currency: details.currency },
+          requestId,
+        });
+      }
+
+      return { summary: toCaptureSummary(details), raw: details };
+    },
+
+    refund: async ({ captureId, amount, currency, reason, requestId }) => {
+      const refund = await request(`/payments/${captureId}/refund`, {
+        body: {
+          amount: toMinorUnits(amount, currency),
+          ...(reason ? { notes: { reason: reason.slice(0, 255) } } : {}),
+        },
+        requestId,
+      });
+      return {
+        refundId: refund.id,
+        status: REFUND_STATUS[refund.status] ?? String(refund.status).toUpperCase(),
+        amount: fromMinorUnits(refund.amount, refund.currency ?? currency),
+        currency: refund.currency ?? currency,
+        raw: refund,
+      };
+    },
+
+    verifyWebhook: async ({ headers, rawBody, body }) => {
+      if (!webhookSecret) {
+        throw httpError(503, "RAZORPAY_WEBHOOK_SECRET is not configured.");
+      }
+      if (!rawBody || !signaturesMatch(hmacHex(webhookSecret, rawBody), headers["x-razorpay-signature"])) {
+        throw httpError(400, "Razorpay webhook signature verification failed.");
+      }
+      return { ...body, id: headers["x-razorpay-event-id"] ?? body.id };
+    },
+
+    parseWebhookEvent: (event) => {
+      const payment = event.payload?.payment?.entity;
+      const refund = event.payload?.refund?.entity;
+      const dispute = event.payload?.dispute?.entity;
+      const base = { eventId: event.id, eventType: event.event, source: "webhook" };
+
+      let transactionEvent = null;
+      if (event.event?.startsWith("payment.dispute.") && dispute) {
+        transactionEvent = {
+          ...base,
+          type: "dispute",
+          captureId: dispute.payment_id,
+          disputeId: dispute.id,
+          status: String(dispute.status).toUpperCase(),
+          reason: dispute.reason_code,
+          amount: fromMinorUnits(dispute.amount, dispute.currency),
+          currency: dispute.currency,
+        };
+      } else if (event.event?.startsWith("refund.") && refund) {
+        transactionEvent = {
+          ...base,
+          type: "refund",
+          captureId: refund.payment_id,
+          refundId: refund.id,
+          status: REFUND_STATUS[refund.status] ?? String(refund.status).toUpperCase(),
+          amount: fromMinorUnits(refund.amount, refund.currency),
+          currency: refund.currency,
+          reason: refund.notes?.reason,
+        };
+      } else if (["payment.captured", "payment.failed"].includes(event.event) && payment) {
+        transactionEvent = {
+          ...base,
+          type: "status",
+          orderId: payment.order_id,
+          captureId: payment.id,
+          status: PAYMENT_STATUS[payment.status],
+          amount: fromMinorUnits(payment.amount, payment.currency),
+          currency: payment.currency,
+        };
+      }
+
+      return { eventId: event.id, eventType: event.event, transactionEvent };
+    },
+  };
+};
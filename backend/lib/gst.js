@@ -0,0 +1,61 @@
+import { httpError } from "./errors.js";
+import { amountToString } from "./money.js";
+
+const GSTIN_PATTERN = /^(\d{2})([A-Z]{5}\d{4}[A-Z])([1-9A-Z])Z([0-9A-Z])$/;
+const CHECKSUM_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+// 97 is "Other Territory", 99 is "Centre Jurisdiction"; 01-38 are the states and union territories.
+const SPECIAL_STATE_CODES = ["97", "99"];
+
+export const gstinChecksum = (first14) => {
+  const sum = [...first14].reduce((total, char, index) => {
+    const product = CHECKSUM_CHARSET.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  return CHECKSUM_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+export const isValidStateCode = (stateCode) => {
+  const numeric = Number(stateCode);
+  return (numeric >= 1 && numeric <= 38) || SPECIAL_STATE_CODES.includes(stateCode);
+};
+
+export const parseGstin = (value) => {
+  const gstin = String(value ?? "").trim().toUpperCase();
+  const match = GSTIN_PATTERN.exec(gstin);
+  if (!match) {
+    throw httpError(400, "GSTIN must be 15 characters: state code, PAN, entity number, Z and a check digit.");
+  }
+
+  const [, stateCode, pan, , checkDigit] = match;
+  if (!isValidStateCode(stateCode)) {
+    throw httpError(400, `GSTIN state code ${stateCode} is not valid.`);
+  }
+  if (gstinChecksum(gstin.slice(0, 14)) !== checkDigit) {
+    throw httpError(400, "GSTIN check digit does not match. Please re-check the number.");
+  }
+
+  return { gstin, stateCode, pan };
+};
+
+export const calculateGst = ({ taxableAmount, gstin, sellerStateCode, rate, currency }) => {
+  const { gstin: normalizedGstin, stateCode } = parseGstin(gstin);
+  const taxable = Number(taxableAmount);
+  const intraState = stateCode === sellerStateCode;
+
+  const lines = intraState
+    ? [
+        { name: "CGST", rate: rate / 2, amount: amountToString((taxable * rate) / 200, currency) },
+        { name: "SGST", rate: rate / 2, amount: amountToString((taxable * rate) / 200, currency) },
+      ]
+    : [{ name: "IGST", rate, amount: amountToString((taxable * rate) / 100, currency) }];
+
+  return {
+    gstin: normalizedGstin,
+    buyerStateCode: stateCode,
+    sellerStateCode,
+    supplyType: intraState ? "INTRA_STATE" : "INTER_STATE",
+    taxableAmount: amountToString(taxable, currency),
+    lines,
+    taxTotal: amountToString(lines.reduce((sum, line) => sum + Number(line.amount), 0), currency),
+  };
+};
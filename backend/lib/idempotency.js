@@ -0,0 +1,70 @@
+import crypto from "crypto";
+import { httpError } from "./errors.js";
+
+// PayPal rejects PayPal-Request-Id values longer than 108 characters.
+const MAX_KEY_LENGTH = 108;
+
+const fingerprintRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ params: req.params, body: req.body ?? null }))
+    .digest("hex");
+
+export const createIdempotencyStore = ({ repository, logger = console }) => {
+  const inFlight = new Set();
+
+  const middleware = (scope) => async (req, res, next) => {
+    const key = req.get("Idempotency-Key")?.trim();
+    if (!key) {
+      next();
+      return;
+    }
+
+    try {
+      if (key.length > MAX_KEY_LENGTH) {
+        throw httpError(400, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.`);
+      }
+
+      const id = `${scope}:${key}`;
+      const fingerprint = fingerprintRequest(req);
+      if (inFlight.has(id)) {
+        throw httpError(409, "A request with this Idempotency-Key is still being processed.", { retryable: true, action: "retry" });
+      }
+
+      const stored = await repository.findIdempotentResponse(id);
+      if (stored) {
+        if (stored.fingerprint !== fingerprint) {
+          throw httpError(422, "This Idempotency-Key was already used with a different request.");
+        }
+        res.set("Idempotent-Replayed", "true").status(stored.status).json(stored.body);
+        return;
+      }
+
+      inFlight.add(id);
+      res.on("close", () => inFlight.delete(id));
+      req.idempotencyKey = key;
+
+      // Only successful responses are stored, so a failed attempt can be retried with the same key.
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 400) {
+          return sendJson(body);
+        }
+        repository
+          .saveIdempotentResponse({ id, fingerprint, status: res.statusCode, body, createdAt: new Date().toISOString() })
+          .catch((error) => logger.error("Failed to store idempotent response", { err: error }))
+          .finally(() => {
+            inFlight.delete(id);
+            sendJson(body);
+          });
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return { middleware };
+};
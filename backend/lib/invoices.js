@@ -0,0 +1,214 @@
+import { amountToString, formatMoney, fromMinorUnits, toMinorUnits } from "./money.js";
+import { PDF_CONTENT_WIDTH, renderPdf } from "./pdf.js";
+
+export const INVOICE_FORMATS = ["html", "pdf"];
+
+export const formatInvoiceNumber = (sequence, prefix) => `${prefix}-${String(sequence).padStart(6, "0")}`;
+
+const itemLines = (items, currency) =>
+  items.map((item) => ({
+    description: item.name,
+    quantity: Number(item.quantity),
+    unitPrice: item.unit_amount.value,
+    amount: amountToString(Number(item.unit_amount.value) * Number(item.quantity), currency),
+  }));
+
+// The order's lines, discount, tax and shipping as charged, for a capture of the whole order.
+const fullCharges = ({ capture, order, items, tax, currency }) => {
+  const lines = itemLines(items, currency);
+  return {
+    lines,
+    itemTotal: order?.itemTotal ?? amountToString(lines.reduce((sum, line) => sum + Number(line.amount), 0), currency),
+    promoCode: capture.promoCode ?? order?.promoCode ?? null,
+    discount: capture.discount ?? order?.discount ?? amountToString(0, currency),
+    taxLines: tax?.lines ?? [],
+    taxTotal: tax?.taxTotal ?? amountToString(0, currency),
+    shippingMethod: (capture.shippingMethod ?? order?.shippingMethod)?.label ?? null,
+    shippingTotal: capture.shippingTotal ?? order?.shippingTotal ?? amountToString(0, currency),
+  };
+};
+
+// Part of a held amount, captured on its own: the tax is charged in proportion and the rest is one line for the
+// items it pays towards, so the invoice adds up to what this capture took.
+const partCharges = ({ capture, order, items, tax, currency }) => {
+  const captured = toMinorUnits(capture.amount, currency);
+  const share = captured / toMinorUnits(order.total, currency);
+  const taxLines = (tax?.lines ?? []).map((line) => ({
+    ...line,
+    amount: fromMinorUnits(Math.round(toMinorUnits(line.amount, currency) * share), currency),
+  }));
+  const taxTotal = taxLines.reduce((sum, line) => sum + toMinorUnits(line.amount, currency), 0);
+  const net = fromMinorUnits(captured - taxTotal, currency);
+  return {
+    lines: [
+      { description: `Part payment towards ${items.map((item) => item.name).join(", ")}`, quantity: 1, unitPrice: net, amount: net },
+    ],
+    itemTotal: net,
+    promoCode: null,
+    discount: amountToString(0, currency),
+    taxLines,
+    taxTotal: fromMinorUnits(taxTotal, currency),
+    shippingMethod: null,
+    shippingTotal: amountToString(0, currency),
+  };
+};
+
+export const buildInvoice = ({ invoice, capture, order, seller }) => {
+  const { currency } = capture;
+  const items = order?.items?.length ? order.items : capture.items ?? [];
+  const tax = capture.tax ?? order?.tax ?? null;
+  const partial = Boolean(order?.total) && toMinorUnits(capture.amount, currency) !== toMinorUnits(order.total, currency);
+
+  return {
+    title: tax ? "Tax Invoice" : "Invoice",
+    invoiceNumber: invoice.invoiceNumber,
+    issuedAt: invoice.issuedAt,
+    paidAt: capture.createTime ?? capture.loggedAt,
+    seller,
+    buyer: {
+      name: [capture.payerGivenName, capture.payerSurname].filter(Boolean).join(" ") || null,
+      email: capture.payerEmail ?? null,
+      gstin: tax?.gstin ?? null,
+      stateCode: tax?.buyerStateCode ?? null,
+    },
+    gateway: capture.gateway ?? "paypal",
+    orderId: capture.orderId,
+    captureId: capture.captureId,
+    currency,
+    ...(partial ? partCharges : fullCharges)({ capture, order, items, tax, currency }),
+    total: amountToString(capture.amount, currency),
+  };
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+const summaryLines = (invoice) => [
+  ["Subtotal", invoice.itemTotal],
+  ...(Number(invoice.discount) > 0 ? [[`Discount${invoice.promoCode ? ` (${invoice.promoCode})` : ""}`, `-${invoice.discount}`]] : []),
+  ...invoice.taxLines.map((line) => [`${line.name} @ ${line.rate}%`, line.amount]),
+  ...(Number(invoice.shippingTotal) > 0
+    ? [[`Shipping${invoice.shippingMethod ? ` (${invoice.shippingMethod})` : ""}`, invoice.shippingTotal]]
+    : []),
+];
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+export const renderInvoiceHtml = (invoice) => {
+  const money = (value) => escapeHtml(formatMoney(value, invoice.currency));
+  const party = (lines) => lines.filter(Boolean).map(escapeHtml).join("<br>");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(invoice.title)} ${escapeHtml(invoice.invoiceNumber)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #0f172a; max-width: 720px; margin: 40px auto; padding: 0 16px; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  .meta, .muted { color: #475569; font-size: 14px; }
+  .parties { display: flex; justify-content: space-between; gap: 24px; margin: 32px 0; font-size: 14px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { padding: 8px 0; text-align: left; border-bottom: 1px solid #e2e8f0; }
+  .amount { text-align: right; }
+  tfoot td { border-bottom: none; }
+  tfoot tr.total td { font-weight: bold; border-top: 2px solid #0f172a; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(invoice.title)}</h1>
+<p class="meta">${escapeHtml(invoice.invoiceNumber)} &middot; Issued ${escapeHtml(formatDate(invoice.issuedAt))} &middot; Paid ${escapeHtml(formatDate(invoice.paidAt))}</p>
+<div class="parties">
+  <div><strong>From</strong><br>${party([
+    invoice.seller.name,
+    invoice.seller.address,
+    invoice.seller.email,
+    invoice.seller.gstin && `GSTIN ${invoice.seller.gstin}`,
+  ])}</div>
+  <div><strong>Billed to</strong><br>${party([
+    invoice.buyer.name,
+    invoice.buyer.email,
+    invoice.buyer.gstin && `GSTIN ${invoice.buyer.gstin}`,
+    invoice.buyer.stateCode && `Place of supply: state ${invoice.buyer.stateCode}`,
+  ])}</div>
+</div>
+<table>
+  <thead><tr><th>Description</th><th class="amount">Qty</th><th class="amount">Unit price</th><th class="amount">Amount</th></tr></thead>
+  <tbody>
+${invoice.lines
+  .map(
+    (line) =>
+      `    <tr><td>${escapeHtml(line.description)}</td><td class="amount">${line.quantity}</td><td class="amount">${money(line.unitPrice)}</td><td class="amount">${money(line.amount)}</td></tr>`
+  )
+  .join("\n")}
+  </tbody>
+  <tfoot>
+${summaryLines(invoice)
+  .map(([label, value]) => `    <tr><td colspan="3">${escapeHtml(label)}</td><td class="amount">${money(value)}</td></tr>`)
+  .join("\n")}
+    <tr class="total"><td colspan="3">Total paid (${escapeHtml(invoice.currency)})</td><td class="amount">${money(invoice.total)}</td></tr>
+  </tfoot>
+</table>
+<p class="muted">Paid via ${escapeHtml(invoice.gateway)} &middot; Order ${escapeHtml(invoice.orderId)} &middot; Capture ${escapeHtml(invoice.captureId)}</p>
+</body>
+</html>
+`;
+};
+
+export const renderInvoicePdf = (invoice) => {
+  const right = PDF_CONTENT_WIDTH;
+  // Currency symbols outside Latin-1 cannot be printed with the standard fonts, so amounts carry the ISO code instead.
+  const money = (value) => `${value} ${invoice.currency}`;
+  const row = (cells, options = {}) => ({ cells, ...options });
+  const partyRows = (heading, lines) => [
+    row([{ text: heading, bold: true }], { gap: 12 }),
+    ...lines.filter(Boolean).map((text) => row([{ text }])),
+  ];
+
+  const rows = [
+    row([{ text: invoice.title, bold: true }], { size: 20 }),
+    row([{ text: `${invoice.invoiceNumber}  |  Issued ${formatDate(invoice.issuedAt)}  |  Paid ${formatDate(invoice.paidAt)}` }]),
+    ...partyRows("From", [
+      invoice.seller.name,
+      invoice.seller.address,
+      invoice.seller.email,
+      invoice.seller.gstin && `GSTIN ${invoice.seller.gstin}`,
+    ]),
+    ...partyRows("Billed to", [
+      invoice.buyer.name,
+      invoice.buyer.email,
+      invoice.buyer.gstin && `GSTIN ${invoice.buyer.gstin}`,
+      invoice.buyer.stateCode && `Place of supply: state ${invoice.buyer.stateCode}`,
+    ]),
+    row(
+      [
+        { text: "Description", bold: true },
+        { text: "Qty", bold: true, x: right - 200, align: "right" },
+        { text: "Unit price", bold: true, x: right - 100, align: "right" },
+        { text: "Amount", bold: true, x: right, align: "right" },
+      ],
+      { gap: 16, rule: true }
+    ),
+    ...invoice.lines.map((line) =>
+      row([
+        { text: line.description },
+        { text: String(line.quantity), x: right - 200, align: "right" },
+        { text: money(line.unitPrice), x: right - 100, align: "right" },
+        { text: money(line.amount), x: right, align: "right" },
+      ])
+    ),
+    ...summaryLines(invoice).map(([label, value], index) =>
+      row([{ text: label }, { text: money(value), x: right, align: "right" }], index === 0 ? { gap: 8 } : {})
+    ),
+    row(
+      [
+        { text: "Total paid", bold: true },
+        { text: money(invoice.total), bold: true, x: right, align: "right" },
+      ],
+      { gap: 4 }
+    ),
+    row([{ text: `Paid via ${invoice.gateway}  |  Order ${invoice.orderId}  |  Capture ${invoice.captureId}` }], { size: 8, gap: 20 }),
+  ];
+
+  return renderPdf(rows, { title: `${invoice.title} ${invoice.invoiceNumber}` });
+};
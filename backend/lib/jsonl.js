@@ -0,0 +1,18 @@
+import { promises as fs } from "fs";
+
+export const readJsonLines = async (filePath) => {
+  let contents;
+  try {
+    contents = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  return contents
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+};
@@ -0,0 +1,91 @@
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+// Fields about the request being handled, added to every line logged while it is handled, however deep the call.
+const context = new AsyncLocalStorage();
+
+export const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+// For fields only known part-way through a request, such as the order a capture is for.
+export const addLogContext = (fields) => {
+  const store = context.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code ? { code: error.code } : {}),
+  ...(error.status ? { status: error.status } : {}),
+  stack: error.stack,
+});
+
+// One JSON object per line. An `err` field is serialized with its code and status, and its PayPal debug id is lifted
+// to the top level so it can be searched for like the request id.
+export const createLogger = ({ level = "info", write = (line) => process.stdout.write(`${line}\n`), fields = {} } = {}) => {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`LOG_LEVEL must be one of ${LOG_LEVELS.join(", ")}.`);
+  }
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  const log = (entryLevel) => (message, { err, ...details } = {}) => {
+    if (LOG_LEVELS.indexOf(entryLevel) < threshold) {
+      return;
+    }
+    const debugId = details.debugId ?? err?.debugId;
+    write(
+      JSON.stringify({
+        time: new Date().toISOString(),
+        level: entryLevel,
+        msg: message,
+        ...fields,
+        ...context.getStore(),
+        ...details,
+        ...(debugId ? { debugId } : {}),
+        ...(err ? { err: serializeError(err) } : {}),
+      })
+    );
+  };
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (extra) => createLogger({ level, write, fields: { ...fields, ...extra } }),
+  };
+};
+
+export const readLogLevel = (env = process.env) => (env.LOG_LEVEL || "info").toLowerCase();
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Gives every request an id, reusing the caller's X-Request-Id when it looks like one so a proxy's id carries through,
+// echoes it back, and logs each request once it has been answered. Only the route pattern is logged, not the path or
+// query string, since lookups such as /api/credits/:email and back-office filters can hold payer emails.
+export const requestLogging = (logger) => (req, res, next) => {
+  const offered = req.get("x-request-id");
+  const requestId = offered && REQUEST_ID_PATTERN.test(offered) ? offered : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  withLogContext({ requestId }, () => {
+    const store = context.getStore();
+    res.on("finish", () => {
+      context.run(store, () =>
+        logger.info("Request finished", {
+          method: req.method,
+          route: req.route ? req.baseUrl + req.route.path : "unmatched",
+          status: res.statusCode,
+          durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        })
+      );
+    });
+    next();
+  });
+};
@@ -0,0 +1,103 @@
+// Latency buckets in seconds, from a quick local call up to the PayPal client's default timeout.
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}` : "";
+};
+
+// Series are keyed by their labels in a fixed order, so { a, b } and { b, a } are the same series.
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([left], [right]) => left.localeCompare(right)));
+
+// Counters and histograms in memory, rendered in the Prometheus text format. Values reset when the process restarts,
+// which Prometheus' rate() already allows for.
+export const createRegistry = () => {
+  const metrics = [];
+
+  const register = (name, help, type, render) => {
+    metrics.push({ name, help, type, render });
+  };
+
+  const counter = ({ name, help }) => {
+    const series = new Map();
+    register(name, help, "counter", () =>
+      [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    );
+    return {
+      inc: (labels = {}, amount = 1) => {
+        const key = seriesKey(labels);
+        const entry = series.get(key) ?? { labels, value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      },
+    };
+  };
+
+  const histogram = ({ name, help, buckets = DEFAULT_BUCKETS }) => {
+    const series = new Map();
+    register(name, help, "histogram", () =>
+      [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ])
+    );
+    return {
+      observe: (labels, value) => {
+        const key = seriesKey(labels);
+        const entry = series.get(key) ?? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, index) => {
+          if (value <= bound) {
+            entry.counts[index] += 1;
+          }
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      },
+    };
+  };
+
+  const render = () =>
+    `${metrics
+      .flatMap(({ name, help, type, render: lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()])
+      .join("\n")}\n`;
+
+  return { counter, histogram, render };
+};
+
+// What the payment flow reports. A capture persistence failure means a charge we may not have on record, so it is the
+// one to alert on.
+export const createPaymentMetrics = () => {
+  const registry = createRegistry();
+  return {
+    render: registry.render,
+    httpRequestDuration: registry.histogram({
+      name: "http_request_duration_seconds",
+      help: "Time to answer API requests, by route, method and status.",
+    }),
+    ordersCreated: registry.counter({
+      name: "payments_orders_created_total",
+      help: "Orders created at a gateway, by gateway and payment intent.",
+    }),
+    captures: registry.counter({
+      name: "payments_captures_total",
+      help: "Capture attempts, by gateway and the capture status, or ERROR when the gateway call failed.",
+    }),
+    paypalRequestDuration: registry.histogram({
+      name: "paypal_api_request_duration_seconds",
+      help: "PayPal API call latency, by endpoint, method and status.",
+    }),
+    paypalTokenFetches: registry.counter({
+      name: "paypal_token_fetches_total",
+      help: "PayPal OAuth token fetches, by outcome.",
+    }),
+    persistenceFailures: registry.counter({
+      name: "payments_persistence_failures_total",
+      help: "Writes to the payments store that failed, by operation.",
+    }),
+  };
+};
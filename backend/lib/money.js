@@ -0,0 +1,36 @@
+// ISO 4217 exponents for the currencies that differ from the usual two decimals. PayPal
+// also rejects decimals for HUF and TWD even though ISO lists them with two.
+const MINOR_UNIT_OVERRIDES = {
+  BHD: 3,
+  CLP: 0,
+  HUF: 0,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KRW: 0,
+  KWD: 3,
+  OMR: 3,
+  TWD: 0,
+  VND: 0,
+};
+
+export const minorUnits = (currency = "USD") => MINOR_UNIT_OVERRIDES[String(currency).toUpperCase()] ?? 2;
+
+export const amountToString = (value, currency = "USD") => {
+  const digits = minorUnits(currency);
+  const factor = 10 ** digits;
+  return (Math.round(Number(value || 0) * factor) / factor).toFixed(digits);
+};
+
+export const toMinorUnits = (value, currency = "USD") => Math.round(Number(value || 0) * 10 ** minorUnits(currency));
+
+export const fromMinorUnits = (value, currency = "USD") =>
+  amountToString(Number(value || 0) / 10 ** minorUnits(currency), currency);
+
+export const formatMoney = (value, currency = "USD") =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+    minimumFractionDigits: minorUnits(currency),
+    maximumFractionDigits: minorUnits(currency),
+  }).format(Number(value || 0));
@@ -0,0 +1,79 @@
+export const ORDER_STATUSES = ["CREATED", "APPROVED", "AUTHORIZED", "COMPLETED", "CANCELLED", "FAILED", "EXPIRED"];
+
+// Where an order may go next. Once money has moved the order is COMPLETED, whatever we believed before.
+const TRANSITIONS = {
+  CREATED: ["APPROVED", "AUTHORIZED", "COMPLETED", "CANCELLED", "FAILED", "EXPIRED"],
+  APPROVED: ["AUTHORIZED", "COMPLETED", "CANCELLED", "FAILED", "EXPIRED"],
+  // Funds are on hold: capturing completes the order, voiding cancels it and an untouched hold lapses.
+  AUTHORIZED: ["COMPLETED", "CANCELLED", "EXPIRED"],
+  // A declined card can be swapped for another funding source and approved again.
+  FAILED: ["APPROVED", "AUTHORIZED", "COMPLETED", "CANCELLED", "EXPIRED"],
+  // Our capture route refuses these orders, but a webhook or reconciliation can still report money PayPal moved anyway.
+  CANCELLED: ["COMPLETED"],
+  EXPIRED: ["COMPLETED"],
+  COMPLETED: [],
+};
+
+// Orders still waiting on the shopper; these are the ones that can be abandoned.
+export const OPEN_ORDER_STATUSES = ["CREATED", "APPROVED", "FAILED"];
+
+// Capture statuses reported by gateways and webhooks, as the order status they imply.
+const ORDER_STATUS_BY_CAPTURE = {
+  COMPLETED: "COMPLETED",
+  DECLINED: "FAILED",
+  FAILED: "FAILED",
+};
+
+export const orderStatusForCapture = (captureStatus) => ORDER_STATUS_BY_CAPTURE[captureStatus] ?? null;
+
+const ORDER_STATUS_BY_AUTHORIZATION = {
+  CREATED: "AUTHORIZED",
+  DENIED: "FAILED",
+  VOIDED: "CANCELLED",
+  EXPIRED: "EXPIRED",
+};
+
+export const orderStatusForAuthorization = (authorizationStatus) => ORDER_STATUS_BY_AUTHORIZATION[authorizationStatus] ?? null;
+
+export const orderStatusForEvent = (event) => {
+  if (event.type === "order") {
+    return event.status;
+  }
+  return event.type === "status" ? orderStatusForCapture(event.status) : null;
+};
+
+// Returns the order in its new status, or null when the move is not allowed or changes nothing.
+export const transitionOrder = (order, status, { reason, at = new Date() } = {}) => {
+  const current = order.status ?? "CREATED";
+  if (!TRANSITIONS[current]?.includes(status)) {
+    return null;
+  }
+  const changedAt = at.toISOString();
+  return {
+    ...order,
+    status,
+    updatedAt: changedAt,
+    statusHistory: [...(order.statusHistory ?? []), { status, at: changedAt, ...(reason ? { reason } : {}) }],
+  };
+};
+
+export const isExpired = (order, { ttlMs, now = new Date() }) =>
+  OPEN_ORDER_STATUSES.includes(order.status ?? "CREATED") && now.getTime() - new Date(order.createdAt).getTime() > ttlMs;
+
+const CLIENT_FIELDS = ["locale", "timezone", "referrer", "page"];
+const MAX_CLIENT_FIELD_LENGTH = 256;
+
+// Where the shopper was checking out from, so abandoned orders can be followed up and broken down later.
+export const readClientContext = (req) => {
+  const reported = req.body?.client ?? {};
+  return {
+    userAgent: req.get("user-agent")?.slice(0, MAX_CLIENT_FIELD_LENGTH) ?? null,
+    ip: req.ip ?? null,
+    ...Object.fromEntries(
+      CLIENT_FIELDS.filter((field) => typeof reported[field] === "string" && reported[field].trim()).map((field) => [
+        field,
+        reported[field].trim().slice(0, MAX_CLIENT_FIELD_LENGTH),
+      ])
+    ),
+  };
+};
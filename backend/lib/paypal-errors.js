@@ -0,0 +1,113 @@
+import { httpError } from "./errors.js";
+
+// PayPal `issue` codes we expect to see, with what the buyer should be told and what the checkout should do next.
+const ISSUES = {
+  INSTRUMENT_DECLINED: {
+    message: "Your payment method was declined. Please choose another way to pay.",
+    retryable: true,
+    action: "restart",
+  },
+  PAYER_ACTION_REQUIRED: {
+    message: "PayPal needs you to complete one more step. Please continue in the PayPal window.",
+    retryable: true,
+    action: "restart",
+  },
+  CARD_EXPIRED: { message: "That card has expired. Please choose another way to pay.", retryable: true, action: "restart" },
+  ORDER_NOT_APPROVED: {
+    message: "The payment has not been approved in PayPal yet. Please approve it to continue.",
+    retryable: true,
+    action: "restart",
+  },
+  TRANSACTION_REFUSED: {
+    message: "PayPal refused this payment. Please try a different payment method.",
+    retryable: false,
+    action: "none",
+  },
+  PAYER_CANNOT_PAY: {
+    message: "This PayPal account cannot be used for this payment. Please try a different payment method.",
+    retryable: false,
+    action: "none",
+  },
+  MAX_NUMBER_OF_PAYMENT_ATTEMPTS_EXCEEDED: {
+    message: "There have been too many attempts to pay for this order. Please start a new checkout.",
+    retryable: false,
+    action: "none",
+  },
+  ORDER_ALREADY_CAPTURED: { status: 409, message: "This order has already been paid.", retryable: false, action: "none" },
+  DUPLICATE_INVOICE_ID: { status: 409, message: "This order has already been submitted.", retryable: false, action: "none" },
+  INVALID_RESOURCE_ID: {
+    status: 404,
+    message: "This checkout is no longer available. Please start a new checkout.",
+    retryable: false,
+    action: "none",
+  },
+  ORDER_EXPIRED: { message: "This checkout has expired. Please start a new checkout.", retryable: false, action: "none" },
+  REFUND_AMOUNT_EXCEEDED: {
+    message: "The refund is larger than the amount left to refund on this payment.",
+    retryable: false,
+    action: "none",
+  },
+  CAPTURE_FULLY_REFUNDED: { status: 409, message: "This payment has already been fully refunded.", retryable: false, action: "none" },
+  ORDER_ALREADY_AUTHORIZED: { status: 409, message: "This order has already been authorized.", retryable: false, action: "none" },
+  AUTHORIZATION_ALREADY_CAPTURED: {
+    status: 409,
+    message: "This authorization has already been captured.",
+    retryable: false,
+    action: "none",
+  },
+  AUTHORIZATION_VOIDED: { status: 409, message: "This authorization has been voided.", retryable: false, action: "none" },
+  AUTHORIZATION_EXPIRED: { status: 409, message: "This authorization has expired.", retryable: false, action: "none" },
+  MAX_CAPTURE_AMOUNT_EXCEEDED: {
+    message: "The capture is larger than the amount left on this authorization.",
+    retryable: false,
+    action: "none",
+  },
+  ACTION_DOES_NOT_MATCH_INTENT: {
+    message: "This order was not set up for that kind of payment.",
+    retryable: false,
+    action: "none",
+  },
+};
+
+const UNAVAILABLE = {
+  message: "PayPal is having trouble right now. Please try again in a moment.",
+  retryable: true,
+  action: "retry",
+};
+
+const REJECTED = { message: "PayPal could not process this request.", retryable: false, action: "none" };
+
+// Turns a failed PayPal API response into an error in the shared error schema, keeping the raw body for the logs.
+export const toPayPalError = ({ status, body = {}, debugId }) => {
+  const issue = body.details?.[0]?.issue;
+  const known = ISSUES[issue];
+  const fallback = status >= 500 || status === 401 || status === 429 ? UNAVAILABLE : REJECTED;
+  const { status: mappedStatus, ...handling } = known ?? fallback;
+
+  return httpError(mappedStatus ?? (status >= 500 || status === 401 ? 502 : status), handling.message, {
+    ...handling,
+    code: issue ?? body.name ?? "PAYPAL_ERROR",
+    debugId: body.debug_id ?? debugId ?? null,
+    gateway: "paypal",
+    paypal: body,
+  });
+};
+
+// A call that never got an answer: it timed out or PayPal could not be reached, so there is no debug id to report.
+export const toPayPalTransportError = (error) => {
+  const timedOut = error.name === "AbortError";
+  return httpError(
+    timedOut ? 504 : 502,
+    timedOut ? "PayPal did not respond in time. Please try again in a moment." : UNAVAILABLE.message,
+    { ...UNAVAILABLE, code: timedOut ? "PAYPAL_TIMEOUT" : "PAYPAL_UNREACHABLE", debugId: null, gateway: "paypal", cause: error }
+  );
+};
+
+export const payPalCircuitOpenError = (retryInMs) =>
+  httpError(503, UNAVAILABLE.message, {
+    ...UNAVAILABLE,
+    code: "PAYPAL_UNAVAILABLE",
+    debugId: null,
+    gateway: "paypal",
+    retryAfterSeconds: Math.ceil(retryInMs / 1000),
+  });
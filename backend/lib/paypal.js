@@ -0,0 +1,251 @@
+import fetch from "node-fetch";
+import { createCircuitBreaker } from "./circuit-breaker.js";
+import { payPalCircuitOpenError, toPayPalError, toPayPalTransportError } from "./paypal-errors.js";
+
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 5000;
+
+// Answers that say PayPal itself is struggling; anything else is PayPal's verdict on the request and is final.
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+export const DEFAULT_HTTP_OPTIONS = {
+  timeoutMs: 10000,
+  maxRetries: 2,
+  retryDelayMs: 250,
+  breakerThreshold: 5,
+  breakerResetMs: 30000,
+};
+
+const readOption = (value, fallback) => {
+  const number = Number(value);
+  return value === undefined || value === "" || !Number.isFinite(number) || number < 0 ? fallback : number;
+};
+
+export const readPayPalHttpOptions = (env = process.env) => ({
+  timeoutMs: readOption(env.PAYPAL_TIMEOUT_MS, DEFAULT_HTTP_OPTIONS.timeoutMs),
+  maxRetries: readOption(env.PAYPAL_MAX_RETRIES, DEFAULT_HTTP_OPTIONS.maxRetries),
+  retryDelayMs: readOption(env.PAYPAL_RETRY_DELAY_MS, DEFAULT_HTTP_OPTIONS.retryDelayMs),
+  breakerThreshold: readOption(env.PAYPAL_BREAKER_THRESHOLD, DEFAULT_HTTP_OPTIONS.breakerThreshold),
+  breakerResetMs: readOption(env.PAYPAL_BREAKER_RESET_MS, DEFAULT_HTTP_OPTIONS.breakerResetMs),
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter, so clients knocked over by the same outage do not come back in lockstep.
+export const retryDelay = (attempt, { retryDelayMs, retryAfter }) => {
+  const seconds = Number(retryAfter);
+  if (retryAfter && Number.isFinite(seconds)) {
+    return Math.min(seconds * 1000, MAX_RETRY_DELAY_MS);
+  }
+  return Math.round(Math.min(retryDelayMs * 2 ** attempt, MAX_RETRY_DELAY_MS) * (0.5 + Math.random() / 2));
+};
+
+// The response body is read before the timer is cleared, so a connection that stalls mid-body times out too.
+const fetchWithTimeout = async (url, { timeoutMs, ...options }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    const text = await response.text();
+    return { status: response.status, ok: response.ok, headers: response.headers, text };
+  } catch (error) {
+    throw toPayPalTransportError(error);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Ids in the path would give every order its own time series, so long segments with digits in them are collapsed.
+export const endpointLabel = (endpoint) =>
+  endpoint.split("?")[0].replace(/\/[^/]*\d[^/]*(?=\/|$)/g, (segment) => (segment.length > 9 ? "/:id" : segment));
+
+const parseBody = (text) => {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return {};
+  }
+};
+
+export const createTokenManager = ({
+  baseUrl,
+  clientId,
+  clientSecret,
+  refreshMarginMs = TOKEN_REFRESH_MARGIN_MS,
+  timeoutMs = DEFAULT_HTTP_OPTIONS.timeoutMs,
+  metrics = null,
+}) => {
+  let cached = null;
+  let pending = null;
+
+  const fetchToken = async () => {
+    if (!clientId || !clientSecret) {
+      throw new Error("Missing PayPal credentials.");
+    }
+
+    const auth = Buffer.from(`${clientId}:${clientSecret}`).toString("base64");
+
+    let response;
+    try {
+      response = await fetchWithTimeout(`${baseUrl}/v1/oauth2/token`, {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${auth}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: "grant_type=client_credentials",
+        timeoutMs,
+      });
+    } catch (error) {
+      metrics?.paypalTokenFetches.inc({ outcome: "failure" });
+      throw error;
+    }
+
+    metrics?.paypalTokenFetches.inc({ outcome: response.ok ? "success" : "failure" });
+    if (!response.ok) {
+      throw toPayPalError({ status: response.status, body: parseBody(response.text), debugId: response.headers.get("paypal-debug-id") });
+    }
+
+    const data = parseBody(response.text);
+    return {
+      accessToken: data.access_token,
+      expiresAt: Date.now() + Number(data.expires_in ?? 0) * 1000,
+    };
+  };
+
+  const getAccessToken = async ({ forceRefresh = false } = {}) => {
+    if (!forceRefresh && cached && Date.now() < cached.expiresAt - refreshMarginMs) {
+      return cached.accessToken;
+    }
+
+    // Concurrent callers share one in-flight refresh instead of each minting a token.
+    if (!pending) {
+      pending = fetchToken()
+        .then((token) => {
+          cached = token;
+          return token.accessToken;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+
+  const invalidate = (accessToken) => {
+    if (!accessToken || cached?.accessToken === accessToken) {
+      cached = null;
+    }
+  };
+
+  return { getAccessToken, invalidate };
+};
+
+// Every call gets a timeout. Calls that are safe to repeat (reads, and writes carrying a PayPal-Request-Id, which
+// PayPal deduplicates) are retried with backoff when PayPal fails or cannot be reached, and a circuit breaker fails
+// calls fast while PayPal is down.
+export const createPayPalClient = ({
+  baseUrl,
+  clientId,
+  clientSecret,
+  http = {},
+  logger = console,
+  metrics = null,
+  now = Date.now,
+}) => {
+  const options = { ...DEFAULT_HTTP_OPTIONS, ...http };
+  const tokens = createTokenManager({ baseUrl, clientId, clientSecret, timeoutMs: options.timeoutMs, metrics });
+  const breaker = createCircuitBreaker({
+    failureThreshold: options.breakerThreshold,
+    resetTimeoutMs: options.breakerResetMs,
+    now,
+  });
+
+  // Every attempt is timed, retries included; a call that never got an answer is labelled with why.
+  const send = async (endpoint, { method, body, headers, accessToken }) => {
+    const startedAt = process.hrtime.bigint();
+    let status = "error";
+    try {
+      const response = await fetchWithTimeout(`${baseUrl}${endpoint}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+          ...headers,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        timeoutMs: options.timeoutMs,
+      });
+      status = String(response.status);
+      return response;
+    } catch (error) {
+      status = error.code === "PAYPAL_TIMEOUT" ? "timeout" : "unreachable";
+      throw error;
+    } finally {
+      metrics?.paypalRequestDuration.observe(
+        { endpoint: endpointLabel(endpoint), method, status },
+        Number(process.hrtime.bigint() - startedAt) / 1e9
+      );
+    }
+  };
+
+  const attempt = async (endpoint, { method, body, headers }) => {
+    if (!breaker.allowRequest()) {
+      throw payPalCircuitOpenError(breaker.retryInMs());
+    }
+    try {
+      let accessToken = await tokens.getAccessToken();
+      let response = await send(endpoint, { method, body, headers, accessToken });
+
+      // A cached token can be revoked before it expires; retry once with a fresh one.
+      if (response.status === 401) {
+        tokens.invalidate(accessToken);
+        accessToken = await tokens.getAccessToken({ forceRefresh: true });
+        response = await send(endpoint, { method, body, headers, accessToken });
+      }
+
+      if (response.status >= 500) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+      return response;
+    } catch (error) {
+      // Nothing thrown here is PayPal's verdict on the call: it timed out, was unreachable or would not issue a token.
+      breaker.recordFailure();
+      throw error;
+    }
+  };
+
+  const request = async (endpoint, { method = "POST", body, requestId } = {}) => {
+    const headers = requestId ? { "PayPal-Request-Id": requestId } : {};
+    const retries = method === "GET" || requestId ? options.maxRetries : 0;
+
+    for (let retry = 0; ; retry += 1) {
+      let response;
+      let error;
+      try {
+        response = await attempt(endpoint, { method, body, headers });
+        if (response.ok) {
+          return parseBody(response.text);
+        }
+        error = toPayPalError({ status: response.status, body: parseBody(response.text), debugId: response.headers.get("paypal-debug-id") });
+      } catch (thrown) {
+        error = thrown;
+      }
+
+      const transient = ["PAYPAL_TIMEOUT", "PAYPAL_UNREACHABLE"].includes(error.code) || RETRYABLE_STATUSES.includes(response?.status);
+      if (!transient || retry >= retries) {
+        throw error;
+      }
+      const delay = retryDelay(retry, { retryDelayMs: options.retryDelayMs, retryAfter: response?.headers.get("retry-after") });
+      logger.warn(
+        `PayPal ${method} ${endpoint} failed with ${error.code} (debug id ${error.debugId ?? "none"}); retry ${retry + 1} of ${retries} in ${delay}ms.`,
+        { endpoint, method, code: error.code, debugId: error.debugId ?? undefined, retry: retry + 1 }
+      );
+      await wait(delay);
+    }
+  };
+
+  return { request, tokens, breaker };
+};
@@ -0,0 +1,95 @@
+// Just enough of PDF 1.4 to print text-only documents in the standard Helvetica fonts, without a PDF library.
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const LINE_SPACING = 1.4;
+
+// Advance widths of ASCII 32-126 in Helvetica, in 1/1000 of the font size.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+export const PDF_CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// The standard fonts only cover WinAnsi, so anything outside Latin-1 prints as "?".
+const toWinAnsi = (text) => String(text ?? "").replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+
+const textWidth = (text, size) =>
+  ([...text].reduce((width, char) => width + (HELVETICA_WIDTHS[char.charCodeAt(0) - 32] ?? 556), 0) * size) / 1000;
+
+const escapeText = (text) => text.replace(/[\\()]/g, "\\$&");
+
+const drawCell = (cell, size, y) => {
+  const text = toWinAnsi(cell.text);
+  const offset = cell.align === "right" ? textWidth(text, size) : 0;
+  const x = MARGIN + (cell.x ?? 0) - offset;
+  return `BT /${cell.bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`;
+};
+
+// Lays rows out top to bottom, starting a new page when one fills up. Each row is
+// { cells: [{ text, x, align, bold }], size, gap, rule }, with x measured from the left margin.
+const layoutPages = (rows) => {
+  const pages = [];
+  let operations = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const row of rows) {
+    const size = row.size ?? 10;
+    const height = size * LINE_SPACING + (row.gap ?? 0);
+    if (y - height < MARGIN && operations.length > 0) {
+      pages.push(operations);
+      operations = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+    operations.push(...(row.cells ?? []).map((cell) => drawCell(cell, size, y)));
+    if (row.rule) {
+      const ruleY = (y - size * 0.4).toFixed(2);
+      operations.push(`0.5 w ${MARGIN} ${ruleY} m ${(PAGE_WIDTH - MARGIN).toFixed(2)} ${ruleY} l S`);
+    }
+  }
+
+  pages.push(operations);
+  return pages;
+};
+
+export const renderPdf = (rows, { title = "" } = {}) => {
+  const pages = layoutPages(rows);
+  const font = (name) => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`;
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    font("Helvetica"),
+    font("Helvetica-Bold"),
+    `<< /Title (${escapeText(toWinAnsi(title))}) /Producer (payment-backend) >>`,
+  ];
+  pages.forEach((operations, index) => {
+    const content = operations.join("\n");
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let output = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, "latin1");
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, "latin1");
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, "latin1");
+};
@@ -0,0 +1,72 @@
+import { buildOrderItems, calculateOrderTotal, isPhysicalItem } from "./catalog.js";
+import { topUpCredits } from "./credits.js";
+import { calculateGst } from "./gst.js";
+import { amountToString } from "./money.js";
+import { applyPromotion, normalizePromoCode } from "./promotions.js";
+import { quoteShipping } from "./shipping.js";
+
+// Shipping is charged on top of the taxed amount, so a new destination only changes the shipping line and the total.
+// Takes a priced order or a stored one, which is how the shipping callback reprices an order PayPal already holds.
+export const withShipping = (pricing, shipping) => {
+  const shippingTotal = shipping?.amount ?? amountToString(0, pricing.currency);
+  const total = Number(pricing.itemTotal) - Number(pricing.discount) + Number(pricing.taxTotal) + Number(shippingTotal);
+  return { ...pricing, shipping, shippingTotal, total: amountToString(total, pricing.currency) };
+};
+
+export const priceOrder = (
+  { planId, billingPeriod, topUps, hardware, shipping, promoCode, gstNumber } = {},
+  { market, redemptions = {}, gst, shippingMethods = [], now = new Date() }
+) => {
+  const { currency } = market;
+  const items = buildOrderItems({ planId, billingPeriod, topUps, hardware }, market);
+  const itemTotal = calculateOrderTotal(items, currency);
+
+  const promotion = promoCode
+    ? applyPromotion(promoCode, {
+        planId,
+        subtotal: itemTotal,
+        market,
+        redemptions: redemptions[normalizePromoCode(promoCode)] ?? 0,
+        now,
+      })
+    : null;
+  const discount = promotion?.discount ?? amountToString(0, currency);
+  const taxableAmount = amountToString(Number(itemTotal) - Number(discount), currency);
+
+  const tax = gstNumber
+    ? calculateGst({ taxableAmount, gstin: gstNumber, sellerStateCode: gst.sellerStateCode, rate: gst.rate, currency })
+    : null;
+  const taxTotal = tax?.taxTotal ?? amountToString(0, currency);
+
+  const shippingQuote = items.some(isPhysicalItem)
+    ? quoteShipping(shippingMethods, { countryCode: shipping?.countryCode, methodId: shipping?.methodId, market })
+    : null;
+
+  return withShipping(
+    {
+      currency,
+      items,
+      itemTotal,
+      promotion,
+      discount,
+      tax,
+      taxTotal,
+      credits: topUpCredits(items, market),
+    },
+    shippingQuote
+  );
+};
+
+export const buildAmount = (pricing) => {
+  const money = (value) => ({ currency_code: pricing.currency, value });
+  return {
+    currency_code: pricing.currency,
+    value: pricing.total,
+    breakdown: {
+      item_total: money(pricing.itemTotal),
+      ...(Number(pricing.taxTotal) > 0 ? { tax_total: money(pricing.taxTotal) } : {}),
+      ...(Number(pricing.discount) > 0 ? { discount: money(pricing.discount) } : {}),
+      ...(Number(pricing.shippingTotal) > 0 ? { shipping: money(pricing.shippingTotal) } : {}),
+    },
+  };
+};
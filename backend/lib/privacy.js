@@ -0,0 +1,142 @@
+import crypto from "crypto";
+
+export const PII_MODES = ["off", "encrypt", "redact"];
+
+// Keys that hold personal data, wherever they appear in a stored record: our own payer and client fields, and the
+// parts of PayPal and Razorpay payloads that describe the buyer. Amounts, statuses and ids are never personal.
+const PERSONAL_KEYS = new Set([
+  "payerEmail",
+  "payerGivenName",
+  "payerSurname",
+  "ip",
+  "userAgent",
+  "payer",
+  "payment_source",
+  "subscriber",
+  "shipping",
+  "email_address",
+  "email",
+  "contact",
+  "vpa",
+]);
+
+const ENCRYPTED_PREFIX = "enc:v1:";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const mapPersonal = (value, transform) => {
+  if (Array.isArray(value)) {
+    return value.map((entry) => mapPersonal(entry, transform));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [
+        key,
+        PERSONAL_KEYS.has(key) && entry !== null && entry !== undefined ? transform(entry) : mapPersonal(entry, transform),
+      ])
+    );
+  }
+  return value;
+};
+
+// Blanks every personal field but keeps the record's shape, so amounts and statuses read exactly as before.
+export const erasePersonalData = (record) => mapPersonal(record, () => null);
+
+// True when any string in the record is this email, however it was cased.
+export const mentionsEmail = (value, email) => {
+  if (typeof value === "string") {
+    return value.trim().toLowerCase() === email;
+  }
+  if (value && typeof value === "object") {
+    return Object.values(value).some((entry) => mentionsEmail(entry, email));
+  }
+  return false;
+};
+
+const deriveKey = (secret, purpose) => Buffer.from(crypto.hkdfSync("sha256", secret, "", `payments-pii-${purpose}`, 32));
+
+// AES-256-GCM, one random IV per value; the whole personal subtree is encrypted as JSON.
+const createFieldCipher = (secret) => {
+  const key = deriveKey(secret, "encryption");
+  return {
+    encrypt: (value) => {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+      const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+      return `${ENCRYPTED_PREFIX}${[iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64")).join(":")}`;
+    },
+    decrypt: (value) => {
+      const [iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(":").map((part) => Buffer.from(part, "base64"));
+      const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+      decipher.setAuthTag(tag);
+      return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8"));
+    },
+  };
+};
+
+// How personal data is written to the store: as is, encrypted field by field, or dropped before it is written.
+// Records written under an earlier mode still read back, since plaintext values pass through `reveal` unchanged.
+export const createPrivacy = ({ mode = "off", key } = {}) => {
+  if (!PII_MODES.includes(mode)) {
+    throw new Error(`PII_PROTECTION must be one of ${PII_MODES.join(", ")}.`);
+  }
+  // Redact needs the key too: payers are still told apart by a keyed hash, since a plain hash of an address can be
+  // reversed by hashing guesses.
+  if (mode !== "off" && !key) {
+    throw new Error(`PII_PROTECTION=${mode} needs PII_ENCRYPTION_KEY.`);
+  }
+  const cipher = key ? createFieldCipher(key) : null;
+  const indexKey = key ? deriveKey(key, "index") : null;
+
+  const protect = (record) => {
+    if (mode === "encrypt") {
+      return mapPersonal(record, cipher.encrypt);
+    }
+    return mode === "redact" ? erasePersonalData(record) : record;
+  };
+
+  const reveal = (record) => {
+    if (!cipher) {
+      return record;
+    }
+    return mapPersonal(record, (value) =>
+      typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX) ? cipher.decrypt(value) : value
+    );
+  };
+
+  // What goes in an indexed email column: the address itself, or a keyed hash that can be matched but not read.
+  const lookupValue = (email) => {
+    if (!email) {
+      return null;
+    }
+    const normalized = String(email).trim().toLowerCase();
+    if (mode === "off") {
+      return normalized;
+    }
+    return crypto.createHmac("sha256", indexKey).update(normalized).digest("hex");
+  };
+
+  // Who a payer is in the credits ledger when the order named no customer, so redacting the address does not cost the
+  // payer their credits.
+  const customerKey = (email) => {
+    if (!email) {
+      return null;
+    }
+    const normalized = String(email).trim().toLowerCase();
+    if (mode === "off") {
+      return normalized;
+    }
+    return `payer-${lookupValue(normalized)}`;
+  };
+
+  return { mode, protect, reveal, lookupValue, customerKey };
+};
+
+export const readPrivacyOptions = (env = process.env) => ({
+  mode: (env.PII_PROTECTION || "off").toLowerCase(),
+  key: env.PII_ENCRYPTION_KEY || undefined,
+});
+
+export const readRetentionWindow = (env = process.env) => {
+  const days = Number(env.RAW_PAYLOAD_RETENTION_DAYS || 90);
+  return Number.isFinite(days) && days > 0 ? days * DAY_MS : null;
+};
@@ -0,0 +1,104 @@
+import { httpError } from "./errors.js";
+import { convertFromBase } from "./currency.js";
+import { amountToString, formatMoney } from "./money.js";
+
+export const PROMOTIONS = [
+  {
+    code: "LAUNCH20",
+    type: "percentage",
+    value: 20,
+    description: "20% off your first purchase",
+    featured: true,
+    startsAt: "2025-11-01T00:00:00Z",
+    expiresAt: "2027-12-31T23:59:59Z",
+    maxRedemptions: 1000,
+  },
+  {
+    code: "SCALEUP50",
+    type: "fixed",
+    value: 50,
+    description: "{value} off the Scaleup Plan",
+    planIds: ["scaleup"],
+    expiresAt: "2027-06-30T23:59:59Z",
+  },
+  {
+    code: "TOPUP10",
+    type: "fixed",
+    value: 10,
+    description: "{value} off orders of {minOrderValue} or more",
+    minOrderValue: 100,
+    maxRedemptions: 500,
+  },
+];
+
+export const normalizePromoCode = (code) => String(code ?? "").trim().toUpperCase();
+
+export const findPromotion = (code) => PROMOTIONS.find((promotion) => promotion.code === normalizePromoCode(code));
+
+const isWithinWindow = (promotion, now) =>
+  (!promotion.startsAt || new Date(promotion.startsAt) <= now) && (!promotion.expiresAt || now <= new Date(promotion.expiresAt));
+
+// Fixed discounts and order minimums are defined in the base currency.
+const localAmount = (amount, market) => formatMoney(convertFromBase(amount, market), market.currency);
+
+export const describePromotion = (promotion, market) =>
+  promotion.description.replace(/\{(value|minOrderValue)\}/g, (match, field) => localAmount(promotion[field], market));
+
+export const promotionBadge = (promotion, market) =>
+  promotion.type === "percentage" ? `${promotion.value}% OFF` : `${localAmount(promotion.value, market)} OFF`;
+
+export const getFeaturedPromotion = ({ market, now = new Date(), redemptions = {} }) => {
+  const promotion = PROMOTIONS.find(
+    (candidate) =>
+      candidate.featured &&
+      isWithinWindow(candidate, now) &&
+      (!candidate.maxRedemptions || (redemptions[candidate.code] ?? 0) < candidate.maxRedemptions)
+  );
+  if (!promotion) {
+    return null;
+  }
+  return {
+    code: promotion.code,
+    badge: promotionBadge(promotion, market),
+    description: describePromotion(promotion, market),
+  };
+};
+
+export const applyPromotion = (code, { planId, subtotal, market, redemptions = 0, now = new Date() }) => {
+  const { currency } = market;
+  const promotion = findPromotion(code);
+  if (!promotion) {
+    throw httpError(400, `Promo code "${normalizePromoCode(code)}" is not valid.`);
+  }
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) {
+    throw httpError(400, `Promo code ${promotion.code} is not active yet.`);
+  }
+  if (promotion.expiresAt && now > new Date(promotion.expiresAt)) {
+    throw httpError(400, `Promo code ${promotion.code} has expired.`);
+  }
+  if (promotion.planIds && !promotion.planIds.includes(planId)) {
+    throw httpError(400, `Promo code ${promotion.code} does not apply to this plan.`);
+  }
+  const minOrderValue = promotion.minOrderValue ? Number(convertFromBase(promotion.minOrderValue, market)) : 0;
+  if (Number(subtotal) < minOrderValue) {
+    throw httpError(400, `Promo code ${promotion.code} requires an order of at least ${formatMoney(minOrderValue, currency)}.`);
+  }
+  if (promotion.maxRedemptions && redemptions >= promotion.maxRedemptions) {
+    throw httpError(400, `Promo code ${promotion.code} has reached its usage limit.`);
+  }
+
+  const rawDiscount =
+    promotion.type === "percentage"
+      ? (Number(subtotal) * promotion.value) / 100
+      : Number(convertFromBase(promotion.value, market));
+  const discount = amountToString(Math.min(rawDiscount, Number(subtotal)), currency);
+  if (Number(discount) >= Number(subtotal)) {
+    throw httpError(400, `Promo code ${promotion.code} cannot cover the full order amount.`);
+  }
+
+  return {
+    code: promotion.code,
+    description: describePromotion(promotion, market),
+    discount,
+  };
+};
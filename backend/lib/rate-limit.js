@@ -0,0 +1,91 @@
+import { httpError } from "./errors.js";
+
+// Past this many tracked keys, windows that have ended are dropped before a new one is opened.
+const MAX_TRACKED_KEYS = 10000;
+
+// Fixed-window counters kept in memory, so each backend process enforces its own limits.
+export const createRateLimiter = ({ windowMs, max, now = Date.now }) => {
+  const windows = new Map();
+
+  const prune = (at) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= at) {
+        windows.delete(key);
+      }
+    }
+  };
+
+  const hit = (key) => {
+    const at = now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= at) {
+      if (windows.size >= MAX_TRACKED_KEYS) {
+        prune(at);
+      }
+      window = { count: 0, resetAt: at + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    return { allowed: window.count <= max, retryInMs: window.resetAt - at };
+  };
+
+  return { hit };
+};
+
+// Checkout is limited per client IP, which a script cannot dodge by starting new sessions, and per checkout session,
+// which stays tight even where many shoppers share one IP.
+const KEYS = {
+  ip: (req) => req.ip,
+  session: (req) => req.get("x-checkout-session")?.trim().slice(0, 128) || null,
+};
+
+export const createRateLimit = ({ windowMs, perIp, perSession }) => {
+  const limiters = Object.entries({ ip: perIp, session: perSession })
+    .filter(([, max]) => max > 0)
+    .map(([key, max]) => ({ keyOf: KEYS[key], limiter: createRateLimiter({ windowMs, max }) }));
+
+  return (req, res, next) => {
+    const blocked = limiters
+      .map(({ keyOf, limiter }) => {
+        const key = keyOf(req);
+        return key ? limiter.hit(key) : { allowed: true };
+      })
+      .filter((result) => !result.allowed);
+    if (blocked.length === 0) {
+      next();
+      return;
+    }
+    const retryInMs = Math.max(...blocked.map((result) => result.retryInMs));
+    next(
+      httpError(429, "Too many checkout attempts. Please wait a moment and try again.", {
+        retryable: true,
+        action: "retry",
+        retryAfterSeconds: Math.max(Math.ceil(retryInMs / 1000), 1),
+      })
+    );
+  };
+};
+
+const readCount = (value, fallback, name) => {
+  const count = value === undefined || value === "" ? fallback : Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`${name} must be a whole number; 0 turns the limit off.`);
+  }
+  return count;
+};
+
+export const readRateLimits = (env = process.env) => {
+  const windowMs = readCount(env.RATE_LIMIT_WINDOW_SECONDS, 60, "RATE_LIMIT_WINDOW_SECONDS") * 1000;
+  return {
+    orders: {
+      windowMs,
+      perIp: readCount(env.ORDER_RATE_LIMIT_PER_IP, 20, "ORDER_RATE_LIMIT_PER_IP"),
+      perSession: readCount(env.ORDER_RATE_LIMIT_PER_SESSION, 10, "ORDER_RATE_LIMIT_PER_SESSION"),
+    },
+    captures: {
+      windowMs,
+      perIp: readCount(env.CAPTURE_RATE_LIMIT_PER_IP, 30, "CAPTURE_RATE_LIMIT_PER_IP"),
+      perSession: readCount(env.CAPTURE_RATE_LIMIT_PER_SESSION, 15, "CAPTURE_RATE_LIMIT_PER_SESSION"),
+    },
+  };
+};
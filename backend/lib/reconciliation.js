@@ -0,0 +1,248 @@
+import { httpError } from "./errors.js";
+import { syncCaptureCredits } from "./credits.js";
+import { extractCaptureSummary, listOrderCaptures } from "./gateways/paypal.js";
+import { orderStatusForCapture, transitionOrder } from "./orders.js";
+import { buildTransactionView, findCaptureRecord, toCaptureRecord } from "./transactions.js";
+
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEARCH_SPAN_MS = 31 * DAY_MS;
+// Each order costs a round trip to PayPal per capture, so a request checks a page of orders and hands back a cursor.
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Transaction search event codes for payments; refunds, holds and fees are listed under other codes.
+const PAYMENT_EVENT_CODE = /^T00/;
+
+const AMOUNT_FIELDS = ["amount", "fee", "receivableAmount"];
+// Fees are informational, so they can be copied from PayPal; a different charged amount needs a human to look at it.
+const REPAIRABLE_FIELDS = ["fee", "receivableAmount"];
+// Refunded statuses come from refunds we have no record of, and PayPal does not list refunds per capture.
+const REFUND_STATUSES = ["PARTIALLY_REFUNDED", "REFUNDED"];
+
+export const parseReconciliationWindow = (days, now = new Date()) => {
+  const windowDays = days === undefined || days === null || days === "" ? DEFAULT_WINDOW_DAYS : Number(days);
+  if (!Number.isInteger(windowDays) || windowDays <= 0 || windowDays > MAX_WINDOW_DAYS) {
+    throw httpError(400, `"days" must be an integer between 1 and ${MAX_WINDOW_DAYS}.`);
+  }
+  return new Date(now.getTime() - windowDays * DAY_MS);
+};
+
+// A cursor either resumes the walk of our own orders or, once that is done, the walk of PayPal's transaction search.
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof position.transactionsFrom === "string") {
+      if (Number.isNaN(Date.parse(position.transactionsFrom)) || !Number.isInteger(position.page) || position.page < 1) {
+        throw new Error("Malformed cursor.");
+      }
+      return { transactionsFrom: position.transactionsFrom, page: position.page };
+    }
+    if (typeof position.createdAt !== "string" || typeof position.orderId !== "string") {
+      throw new Error("Malformed cursor.");
+    }
+    return { createdAt: position.createdAt, orderId: position.orderId };
+  } catch {
+    throw httpError(400, "Invalid reconciliation cursor.");
+  }
+};
+
+export const parseReconciliationPage = ({ limit, cursor } = {}) => {
+  const pageSize = limit === undefined || limit === null || limit === "" ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize <= 0 || pageSize > MAX_PAGE_SIZE) {
+    throw httpError(400, `"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+  return { limit: pageSize, after: cursor ? decodeCursor(String(cursor)) : undefined };
+};
+
+const snapshot = (capture) => ({
+  status: capture.status ?? null,
+  amount: capture.amount ?? null,
+  currency: capture.currency ?? null,
+  fee: capture.fee ?? null,
+  receivableAmount: capture.receivableAmount ?? null,
+});
+
+const comparable = (field, value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return AMOUNT_FIELDS.includes(field) ? Number(value) : value;
+};
+
+// Repairs post to the credits ledger and move the order along just as a capture through the API would have.
+const applyRepair = async (repository, remote) => {
+  await syncCaptureCredits(repository, remote.captureId);
+  const orderStatus = orderStatusForCapture(remote.status);
+  if (orderStatus) {
+    await repository.updateOrder(remote.orderId, (order) => transitionOrder(order, orderStatus, { reason: "reconciliation" }));
+  }
+};
+
+const reconcileCapture = async ({ repository, order, records, remote, remoteOrder, repair }) => {
+  const base = { orderId: order.orderId, captureId: remote.captureId };
+  const local = findCaptureRecord(records, remote.captureId);
+
+  if (!local) {
+    const discrepancy = { kind: "missing_capture", ...base, local: null, remote: snapshot(remote), repairable: true, repaired: false };
+    if (repair) {
+      await repository.saveCapture(
+        toCaptureRecord({ gatewayId: "paypal", summary: remote, order, raw: remoteOrder, source: "reconciliation" })
+      );
+      await applyRepair(repository, remote);
+      discrepancy.repaired = true;
+    }
+    return [discrepancy];
+  }
+
+  const discrepancies = [];
+  const localView = buildTransactionView(records, local);
+
+  if (localView.status !== remote.status) {
+    const repairable = !REFUND_STATUSES.includes(remote.status);
+    const discrepancy = {
+      kind: "status_mismatch",
+      ...base,
+      local: snapshot(localView),
+      remote: snapshot(remote),
+      repairable,
+      repaired: false,
+    };
+    if (repair && repairable) {
+      await repository.recordEvent({
+        type: "status",
+        source: "reconciliation",
+        gateway: "paypal",
+        ...base,
+        status: remote.status,
+        loggedAt: new Date().toISOString(),
+      });
+      await applyRepair(repository, remote);
+      discrepancy.repaired = true;
+    }
+    discrepancies.push(discrepancy);
+  }
+
+  const fields = ["amount", "currency", "fee", "receivableAmount"].filter(
+    (field) => comparable(field, local[field]) !== comparable(field, remote[field])
+  );
+  if (fields.length > 0) {
+    const repairable = fields.every((field) => REPAIRABLE_FIELDS.includes(field));
+    const discrepancy = {
+      kind: "amount_mismatch",
+      ...base,
+      fields,
+      local: snapshot(local),
+      remote: snapshot(remote),
+      repairable,
+      repaired: false,
+    };
+    if (repair && repairable) {
+      await repository.updateCapture(remote.captureId, { fee: remote.fee, receivableAmount: remote.receivableAmount });
+      discrepancy.repaired = true;
+    }
+    discrepancies.push(discrepancy);
+  }
+
+  return discrepancies;
+};
+
+const reconcileOrder = async ({ repository, paypal, order, repair }) => {
+  const remoteOrder = await paypal.getOrder(order.orderId);
+  const records = await repository.transactionRecords({ orderId: order.orderId });
+  const discrepancies = [];
+  // The order only carries a snapshot of each capture; the payments API has its current status and fees.
+  for (const { id } of listOrderCaptures(remoteOrder)) {
+    const remote = extractCaptureSummary(remoteOrder, await paypal.getCapture(id));
+    discrepancies.push(...(await reconcileCapture({ repository, order, records, remote, remoteOrder, repair })));
+  }
+  return discrepancies;
+};
+
+// A capture in PayPal's transaction search we hold no record of. Its order may be outside the window, or may never have
+// been saved at all when our write failed after PayPal created it.
+const reconcileTransaction = async ({ repository, paypal, since, captureId, repair }) => {
+  if (await repository.findCapture(captureId)) {
+    return [];
+  }
+  const capture = await paypal.getCapture(captureId);
+  const summary = extractCaptureSummary({}, capture);
+  const orderId = summary.orderId ?? null;
+  const order = orderId ? await repository.findOrder(orderId) : null;
+  if (!order) {
+    return [{ kind: "missing_order", orderId, captureId, local: null, remote: snapshot(summary), repairable: false, repaired: false }];
+  }
+  // The walk of our own orders already compared the captures of an order inside the window.
+  if (order.gateway === "paypal" && order.createdAt >= since.toISOString()) {
+    return [];
+  }
+  const remoteOrder = await paypal.getOrder(orderId);
+  const records = await repository.transactionRecords({ orderId });
+  const remote = extractCaptureSummary(remoteOrder, capture);
+  return reconcileCapture({ repository, order, records, remote, remoteOrder, repair });
+};
+
+// PayPal's search only allows 31 days at a time, so the window is searched span by span, a page of a span per request.
+// The search lags PayPal by up to three hours, so the most recent captures may only show up on a later run.
+const reconcileTransactions = async ({ repository, paypal, since, from, page, limit, repair }) => {
+  const now = Date.now();
+  const startDate = new Date(from);
+  const endDate = new Date(Math.min(startDate.getTime() + SEARCH_SPAN_MS, now));
+  const listing = await paypal.listTransactions({ startDate, endDate, page, pageSize: limit });
+  const captureIds = (listing.transaction_details ?? [])
+    .map(({ transaction_info: info }) => info)
+    .filter((info) => PAYMENT_EVENT_CODE.test(info?.transaction_event_code ?? ""))
+    .map((info) => info.transaction_id);
+  const discrepancies = [];
+  const errors = [];
+
+  for (const captureId of captureIds) {
+    try {
+      discrepancies.push(...(await reconcileTransaction({ repository, paypal, since, captureId, repair })));
+    } catch (error) {
+      errors.push({ captureId, message: error.message, debugId: error.debugId ?? null });
+    }
+  }
+
+  let next = null;
+  if (page < (listing.total_pages ?? 1)) {
+    next = { transactionsFrom: from, page: page + 1 };
+  } else if (endDate.getTime() < now) {
+    next = { transactionsFrom: new Date(endDate.getTime() + 1).toISOString(), page: 1 };
+  }
+  return { ordersChecked: 0, transactionsChecked: captureIds.length, discrepancies, errors, nextCursor: next && encodeCursor(next) };
+};
+
+const reconcileOrderPage = async ({ repository, paypal, since, after, limit, repair }) => {
+  const listed = await repository.listOrders({ gateway: "paypal", since, after, limit: limit + 1 });
+  const orders = listed.slice(0, limit);
+  const discrepancies = [];
+  const errors = [];
+
+  for (const order of orders) {
+    try {
+      discrepancies.push(...(await reconcileOrder({ repository, paypal, order, repair })));
+    } catch (error) {
+      errors.push({ orderId: order.orderId, message: error.message, debugId: error.debugId ?? null });
+    }
+  }
+
+  const next =
+    listed.length > limit
+      ? { createdAt: orders.at(-1).createdAt, orderId: orders.at(-1).orderId }
+      : { transactionsFrom: since.toISOString(), page: 1 };
+  return { ordersChecked: orders.length, transactionsChecked: 0, discrepancies, errors, nextCursor: encodeCursor(next) };
+};
+
+// Compares a page of the PayPal orders created since `since` with what PayPal has, repairing what is safe to repair if asked.
+// Once our orders are done it pages through PayPal's own transaction listing for the window, for captures we never saved.
+// Pass the returned `nextCursor` back as `after` to check the next page; it is null once the window is done.
+export const reconcileOrders = async ({ repository, paypal, since, after, limit = DEFAULT_PAGE_SIZE, repair = false }) => {
+  const page = after?.transactionsFrom
+    ? await reconcileTransactions({ repository, paypal, since, from: after.transactionsFrom, page: after.page, limit, repair })
+    : await reconcileOrderPage({ repository, paypal, since, after, limit, repair });
+  return { checkedAt: new Date().toISOString(), since: since.toISOString(), repair, ...page };
+};
@@ -0,0 +1,106 @@
+import { convertFromBase } from "./currency.js";
+import { httpError } from "./errors.js";
+
+// Flat rates per order, in the base currency, by destination country. A method without a "default" rate only ships
+// to the countries it lists. SHIPPING_METHODS replaces these with a JSON list of the same shape.
+export const DEFAULT_SHIPPING_METHODS = [
+  { id: "standard", label: "Standard (5-8 business days)", rates: { US: 9, CA: 15, default: 25 } },
+  { id: "express", label: "Express (2-3 business days)", rates: { US: 29, CA: 39, default: 59 } },
+];
+
+const isCountryKey = (key) => key === "default" || /^[A-Z]{2}$/.test(key);
+
+export const readShippingMethods = (env = process.env) => {
+  if (!env.SHIPPING_METHODS?.trim()) {
+    return DEFAULT_SHIPPING_METHODS;
+  }
+  let methods;
+  try {
+    methods = JSON.parse(env.SHIPPING_METHODS);
+  } catch {
+    throw new Error("SHIPPING_METHODS is not valid JSON.");
+  }
+  if (!Array.isArray(methods) || methods.length === 0) {
+    throw new Error("SHIPPING_METHODS must be a list of shipping methods.");
+  }
+  return methods.map((method) => {
+    const rates = Object.entries(method?.rates ?? {});
+    const valid =
+      method?.id &&
+      method?.label &&
+      rates.length > 0 &&
+      rates.every(([country, rate]) => isCountryKey(country) && typeof rate === "number" && rate >= 0);
+    if (!valid) {
+      throw new Error(`SHIPPING_METHODS has an invalid method: ${JSON.stringify(method)}`);
+    }
+    return { id: String(method.id), label: String(method.label), rates: method.rates };
+  });
+};
+
+// The methods that ship to a country, priced in the shopper's currency. Without a country the default rates apply.
+export const shippingOptions = (methods, { countryCode, market }) =>
+  methods.flatMap((method) => {
+    const rate = method.rates[countryCode?.toUpperCase()] ?? method.rates.default;
+    return rate === undefined ? [] : [{ id: method.id, label: method.label, amount: convertFromBase(rate, market) }];
+  });
+
+// The codes are the issues PayPal's shipping callback accepts, so the buyer sees why a change was refused.
+export const quoteShipping = (methods, { countryCode, methodId, market }) => {
+  const options = shippingOptions(methods, { countryCode, market });
+  if (options.length === 0) {
+    throw httpError(422, countryCode ? `We do not ship to ${countryCode.toUpperCase()}.` : "Choose a country to ship to.", {
+      code: "COUNTRY_ERROR",
+      action: "none",
+    });
+  }
+  const selected = methodId ? options.find((option) => option.id === methodId) : options[0];
+  if (!selected) {
+    throw httpError(422, `The "${methodId}" shipping method is not available for this address.`, {
+      code: "METHOD_UNAVAILABLE",
+      action: "none",
+    });
+  }
+  return {
+    countryCode: countryCode?.toUpperCase() ?? null,
+    method: { id: selected.id, label: selected.label },
+    amount: selected.amount,
+    options,
+  };
+};
+
+const text = (value, maxLength) => (typeof value === "string" ? value.trim().slice(0, maxLength) : "") || undefined;
+
+// The ship-to address a shopper typed in, in PayPal's address shape. Without one, PayPal asks the buyer for it.
+const readAddress = (address) => {
+  if (!address) {
+    return undefined;
+  }
+  const parsed = {
+    address_line_1: text(address.address_line_1, 300),
+    address_line_2: text(address.address_line_2, 300),
+    admin_area_2: text(address.admin_area_2, 120),
+    admin_area_1: text(address.admin_area_1, 300),
+    postal_code: text(address.postal_code, 60),
+    country_code: text(address.country_code, 2)?.toUpperCase(),
+  };
+  if (!parsed.address_line_1 || !parsed.admin_area_2 || !/^[A-Z]{2}$/.test(parsed.country_code ?? "")) {
+    throw httpError(400, "A shipping address needs a street, a city and a two-letter country code.");
+  }
+  return Object.fromEntries(Object.entries(parsed).filter(([, value]) => value !== undefined));
+};
+
+export const readShippingSelection = (shipping) => {
+  if (!shipping) {
+    return undefined;
+  }
+  const address = readAddress(shipping.address);
+  const name = text(shipping.name, 300);
+  if (address && !name) {
+    throw httpError(400, "A shipping address needs the name of the person receiving it.");
+  }
+  return {
+    methodId: text(shipping.methodId, 64),
+    countryCode: address?.country_code ?? text(shipping.countryCode, 2)?.toUpperCase(),
+    ...(address ? { name, address } : {}),
+  };
+};
@@ -0,0 +1,44 @@
+import path from "path";
+import { readJsonLines } from "../jsonl.js";
+import { transitionOrder } from "../orders.js";
+import { recordType } from "../transactions.js";
+
+const importCapture = async (repository, record) => {
+  await repository.saveCapture({ ...record, type: "capture", gateway: record.gateway ?? "paypal" });
+  // The logs predate order statuses, so a paid order is the only state that can be recovered from them.
+  if (record.status === "COMPLETED" && record.orderId) {
+    await repository.updateOrder(record.orderId, (order) => transitionOrder(order, "COMPLETED", { reason: "imported" }));
+  }
+};
+
+// The append-only logs the backend wrote before it had a database, in the order they have to be replayed.
+const LOG_IMPORTERS = [
+  ["orders.jsonl", (repository, order) => repository.saveOrder(order)],
+  [
+    "transactions.jsonl",
+    (repository, record) =>
+      recordType(record) === "capture"
+        ? importCapture(repository, record)
+        : repository.recordEvent({ ...record, gateway: record.gateway ?? "paypal" }),
+  ],
+  [
+    "webhook_events.jsonl",
+    (repository, entry) => repository.saveWebhookEvent({ ...entry, gateway: entry.gateway ?? "paypal" }),
+  ],
+  ["idempotency.jsonl", (repository, entry) => repository.saveIdempotentResponse(entry)],
+  ["billing_plans.jsonl", (repository, entry) => repository.saveBillingPlan(entry)],
+  ["credits.jsonl", (repository, entry) => repository.saveCreditEntries([entry])],
+  ["invoices.jsonl", (repository, invoice) => repository.restoreInvoice(invoice)],
+];
+
+export const importJsonlLogs = async ({ dataDir, repository }) => {
+  const imported = {};
+  for (const [fileName, importRecord] of LOG_IMPORTERS) {
+    const records = await readJsonLines(path.join(dataDir, fileName));
+    for (const record of records) {
+      await importRecord(repository, record);
+    }
+    imported[fileName] = records.length;
+  }
+  return imported;
+};
@@ -0,0 +1,172 @@
+// Each entry upgrades the database by one version; PRAGMA user_version records how many have been applied.
+// Full records live in the JSON `data` column, and the other columns exist to index and filter on.
+export const MIGRATIONS = [
+  `
+  CREATE TABLE orders (
+    order_id TEXT PRIMARY KEY,
+    gateway TEXT NOT NULL,
+    customer_id TEXT,
+    currency TEXT,
+    total TEXT,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE captures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    capture_id TEXT UNIQUE,
+    order_id TEXT,
+    gateway TEXT NOT NULL,
+    status TEXT,
+    amount REAL,
+    currency TEXT,
+    payer_email TEXT,
+    promo_code TEXT,
+    occurred_at TEXT NOT NULL,
+    logged_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX captures_order_id ON captures (order_id);
+  CREATE INDEX captures_occurred_at ON captures (occurred_at);
+  CREATE INDEX captures_payer_email ON captures (payer_email);
+
+  CREATE TABLE refunds (
+    refund_id TEXT PRIMARY KEY,
+    capture_id TEXT NOT NULL,
+    status TEXT,
+    amount TEXT,
+    currency TEXT,
+    logged_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX refunds_capture_id ON refunds (capture_id);
+
+  CREATE TABLE events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    order_id TEXT,
+    capture_id TEXT,
+    subscription_id TEXT,
+    status TEXT,
+    logged_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX events_capture_id ON events (capture_id);
+  CREATE INDEX events_subscription_id ON events (subscription_id);
+
+  CREATE TABLE webhook_events (
+    event_id TEXT PRIMARY KEY,
+    gateway TEXT NOT NULL,
+    event_type TEXT,
+    handled INTEGER NOT NULL,
+    received_at TEXT NOT NULL
+  );
+
+  CREATE TABLE idempotency_keys (
+    id TEXT PRIMARY KEY,
+    fingerprint TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    body TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE billing_plans (
+    key TEXT PRIMARY KEY,
+    currency TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE credit_entries (
+    entry_id TEXT PRIMARY KEY,
+    customer_id TEXT NOT NULL,
+    capture_id TEXT,
+    credit_type TEXT NOT NULL,
+    credits INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX credit_entries_customer_id ON credit_entries (customer_id);
+
+  -- AUTOINCREMENT never hands out a rowid twice, even after deletes, which is what invoice numbering needs.
+  CREATE TABLE invoices (
+    sequence INTEGER PRIMARY KEY AUTOINCREMENT,
+    invoice_number TEXT UNIQUE,
+    order_id TEXT NOT NULL,
+    capture_id TEXT NOT NULL UNIQUE,
+    issued_at TEXT NOT NULL
+  );
+  `,
+  `
+  ALTER TABLE orders ADD COLUMN status TEXT NOT NULL DEFAULT 'CREATED';
+  ALTER TABLE orders ADD COLUMN updated_at TEXT;
+  CREATE INDEX orders_status_created_at ON orders (status, created_at);
+
+  -- Orders stored before statuses were tracked are complete if they were paid; the rest expire on the next sweep.
+  UPDATE orders SET status = 'COMPLETED', updated_at = created_at, data = json_set(data, '$.status', 'COMPLETED')
+  WHERE order_id IN (SELECT order_id FROM captures WHERE status = 'COMPLETED');
+  `,
+  `
+  CREATE TABLE authorizations (
+    authorization_id TEXT PRIMARY KEY,
+    order_id TEXT NOT NULL,
+    gateway TEXT NOT NULL,
+    status TEXT NOT NULL,
+    amount TEXT,
+    currency TEXT,
+    expires_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX authorizations_order_id ON authorizations (order_id);
+  CREATE INDEX authorizations_status_expires_at ON authorizations (status, expires_at);
+  `,
+  `
+  -- Append-only record of back-office requests, including the ones that were refused.
+  CREATE TABLE audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at TEXT NOT NULL,
+    operator TEXT,
+    role TEXT,
+    method TEXT NOT NULL,
+    path TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX audit_log_at ON audit_log (at);
+  `,
+  `
+  -- The payer PayPal reports at capture time, as privacy.lookupValue stores it, for per-payer velocity checks.
+  ALTER TABLE orders ADD COLUMN payer_email TEXT;
+  CREATE INDEX orders_payer_email_created_at ON orders (payer_email, created_at);
+  `,
+  `
+  -- Reconciliation pages through a gateway's orders in creation order.
+  CREATE INDEX orders_gateway_created_at ON orders (gateway, created_at, order_id);
+  `,
+];
+
+export const TABLES = [
+  "orders",
+  "captures",
+  "refunds",
+  "events",
+  "webhook_events",
+  "idempotency_keys",
+  "billing_plans",
+  "credit_entries",
+  "invoices",
+  "authorizations",
+  "audit_log",
+];
+
+export const migrate = (db) => {
+  const version = db.pragma("user_version", { simple: true });
+  MIGRATIONS.slice(version).forEach((sql, index) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${version + index + 1}`);
+    })();
+  });
+};
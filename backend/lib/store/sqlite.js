@@ -0,0 +1,550 @@
+import Database from "better-sqlite3";
+import fs from "fs";
+import path from "path";
+import { createPrivacy, erasePersonalData, mentionsEmail } from "../privacy.js";
+import { TABLES, migrate } from "./schema.js";
+
+const toJson = (value) => JSON.stringify(value ?? null);
+
+const isoTime = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+};
+
+// Personal data goes through `privacy` on its way in and out, so it is encrypted or redacted at rest as configured.
+export const createSqliteRepository = ({ filePath, privacy = createPrivacy() }) => {
+  if (filePath !== ":memory:") {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  migrate(db);
+
+  const fromData = (row) => (row ? privacy.reveal(JSON.parse(row.data)) : null);
+  const toData = (record) => toJson(privacy.protect(record));
+
+  // Rows come back in the record shape the transaction helpers were written against, so they work unchanged.
+  const captureRecord = (row) => ({ ...fromData(row), type: "capture", gateway: row.gateway, status: row.status });
+  const refundRecord = (row) => ({ ...fromData(row), type: "refund" });
+  const eventRecord = (row) => ({ ...fromData(row), type: row.type });
+
+  const statements = {
+    upsertOrder: db.prepare(`
+      INSERT INTO orders (order_id, gateway, customer_id, payer_email, currency, total, status, created_at, updated_at, data)
+      VALUES (@orderId, @gateway, @customerId, @payerEmail, @currency, @total, @status, @createdAt, @updatedAt, @data)
+      ON CONFLICT (order_id) DO UPDATE SET
+        gateway = excluded.gateway, customer_id = excluded.customer_id, payer_email = excluded.payer_email,
+        currency = excluded.currency, total = excluded.total, status = excluded.status, updated_at = excluded.updated_at,
+        data = excluded.data
+    `),
+    findOrder: db.prepare("SELECT data FROM orders WHERE order_id = ?"),
+    // Keyset paging on (created_at, order_id), so a page boundary between orders created together skips neither.
+    listOrders: db.prepare(`
+      SELECT data FROM orders
+      WHERE gateway = @gateway AND created_at >= @since
+        AND (created_at > @afterCreatedAt OR (created_at = @afterCreatedAt AND order_id > @afterOrderId))
+      ORDER BY created_at, order_id LIMIT @limit
+    `),
+    staleOrders: db.prepare(`
+      SELECT data FROM orders WHERE status IN (SELECT value FROM json_each(?)) AND created_at < ? ORDER BY created_at
+    `),
+    countPayerOrders: db.prepare("SELECT COUNT(*) AS count FROM orders WHERE payer_email = ? AND created_at >= ?"),
+    ordersInReview: db.prepare(`
+      SELECT data FROM orders WHERE json_extract(data, '$.review.status') = ? ORDER BY created_at DESC LIMIT ?
+    `),
+    insertCapture: db.prepare(`
+      INSERT OR IGNORE INTO captures
+        (capture_id, order_id, gateway, status, amount, currency, payer_email, promo_code, occurred_at, logged_at, data)
+      VALUES
+        (@captureId, @orderId, @gateway, @status, @amount, @currency, @payerEmail, @promoCode, @occurredAt, @loggedAt, @data)
+    `),
+    findCapture: db.prepare("SELECT * FROM captures WHERE capture_id = ?"),
+    updateCaptureStatus: db.prepare("UPDATE captures SET status = ? WHERE capture_id = ?"),
+    updateCaptureData: db.prepare("UPDATE captures SET data = ? WHERE capture_id = ?"),
+    findRefund: db.prepare("SELECT data FROM refunds WHERE refund_id = ?"),
+    upsertRefund: db.prepare(`
+      INSERT INTO refunds (refund_id, capture_id, status, amount, currency, logged_at, data)
+      VALUES (@refundId, @captureId, @status, @amount, @currency, @loggedAt, @data)
+      ON CONFLICT (refund_id) DO UPDATE SET
+        status = excluded.status, amount = excluded.amount, currency = excluded.currency, data = excluded.data
+    `),
+    insertEvent: db.prepare(`
+      INSERT INTO events (type, order_id, capture_id, subscription_id, status, logged_at, data)
+      VALUES (@type, @orderId, @captureId, @subscriptionId, @status, @loggedAt, @data)
+    `),
+    promoRedemptions: db.prepare(`
+      SELECT promo_code AS code, COUNT(*) AS count FROM captures
+      WHERE promo_code IS NOT NULL AND status = 'COMPLETED' GROUP BY promo_code
+    `),
+    findWebhookEvent: db.prepare("SELECT event_id FROM webhook_events WHERE event_id = ?"),
+    insertWebhookEvent: db.prepare(`
+      INSERT OR IGNORE INTO webhook_events (event_id, gateway, event_type, handled, received_at)
+      VALUES (@eventId, @gateway, @eventType, @handled, @receivedAt)
+    `),
+    findIdempotentResponse: db.prepare("SELECT * FROM idempotency_keys WHERE id = ?"),
+    insertIdempotentResponse: db.prepare(`
+      INSERT OR IGNORE INTO idempotency_keys (id, fingerprint, status, body, created_at)
+      VALUES (@id, @fingerprint, @status, @body, @createdAt)
+    `),
+    listBillingPlans: db.prepare("SELECT data FROM billing_plans WHERE currency = ? ORDER BY rowid"),
+    upsertBillingPlan: db.prepare(`
+      INSERT INTO billing_plans (key, currency, created_at, data) VALUES (@key, @currency, @createdAt, @data)
+      ON CONFLICT (key) DO UPDATE SET data = excluded.data
+    `),
+    insertCreditEntry: db.prepare(`
+      INSERT OR IGNORE INTO credit_entries (entry_id, customer_id, capture_id, credit_type, credits, created_at, data)
+      VALUES (@entryId, @customerId, @captureId, @creditType, @credits, @createdAt, @data)
+    `),
+    creditEntriesForCustomer: db.prepare("SELECT data FROM credit_entries WHERE customer_id = ? ORDER BY rowid"),
+    creditEntriesForCapture: db.prepare("SELECT data FROM credit_entries WHERE capture_id = ? ORDER BY rowid"),
+    findInvoice: db.prepare("SELECT * FROM invoices WHERE capture_id = ?"),
+    insertInvoice: db.prepare("INSERT INTO invoices (order_id, capture_id, issued_at) VALUES (?, ?, ?)"),
+    restoreInvoice: db.prepare(`
+      INSERT OR IGNORE INTO invoices (sequence, invoice_number, order_id, capture_id, issued_at)
+      VALUES (@sequence, @invoiceNumber, @orderId, @captureId, @issuedAt)
+    `),
+    numberInvoice: db.prepare("UPDATE invoices SET invoice_number = ? WHERE sequence = ?"),
+    listInvoices: db.prepare("SELECT * FROM invoices ORDER BY sequence"),
+    findAuthorization: db.prepare("SELECT data FROM authorizations WHERE authorization_id = ?"),
+    upsertAuthorization: db.prepare(`
+      INSERT INTO authorizations
+        (authorization_id, order_id, gateway, status, amount, currency, expires_at, created_at, updated_at, data)
+      VALUES
+        (@authorizationId, @orderId, @gateway, @status, @amount, @currency, @expiresAt, @createdAt, @updatedAt, @data)
+      ON CONFLICT (authorization_id) DO UPDATE SET
+        status = excluded.status, amount = excluded.amount, currency = excluded.currency,
+        expires_at = excluded.expires_at, updated_at = excluded.updated_at, data = excluded.data
+    `),
+    authorizationsForOrder: db.prepare("SELECT data FROM authorizations WHERE order_id = ? ORDER BY created_at, rowid"),
+    lapsedAuthorizations: db.prepare(`
+      SELECT data FROM authorizations WHERE status IN (SELECT value FROM json_each(?)) AND expires_at < ? ORDER BY expires_at
+    `),
+    insertAuditEntry: db.prepare(`
+      INSERT INTO audit_log (at, operator, role, method, path, status, data)
+      VALUES (@at, @operator, @role, @method, @path, @status, @data)
+    `),
+    listAuditEntries: db.prepare("SELECT id, data FROM audit_log WHERE id < ? ORDER BY id DESC LIMIT ?"),
+  };
+
+  const writeOrder = (order) => {
+    const createdAt = order.createdAt ?? new Date().toISOString();
+    statements.upsertOrder.run({
+      orderId: order.orderId,
+      gateway: order.gateway,
+      customerId: order.customerId ?? null,
+      payerEmail: privacy.lookupValue(order.payerEmail),
+      currency: order.currency ?? null,
+      total: order.total ?? null,
+      status: order.status ?? "CREATED",
+      createdAt,
+      updatedAt: order.updatedAt ?? createdAt,
+      data: toData(order),
+    });
+  };
+
+  // Authorizations change status as they are captured, voided or expire; later fields win over earlier ones.
+  const saveAuthorization = db.transaction((record) => {
+    const merged = { ...fromData(statements.findAuthorization.get(record.authorizationId)), ...record };
+    const now = new Date().toISOString();
+    statements.upsertAuthorization.run({
+      authorizationId: merged.authorizationId,
+      orderId: merged.orderId,
+      gateway: merged.gateway ?? "paypal",
+      status: merged.status,
+      amount: merged.amount ?? null,
+      currency: merged.currency ?? null,
+      expiresAt: merged.expiresAt ? isoTime(merged.expiresAt) : null,
+      createdAt: merged.createdAt ?? now,
+      updatedAt: now,
+      data: toData({ createdAt: now, ...merged, updatedAt: now }),
+    });
+    return fromData(statements.findAuthorization.get(merged.authorizationId));
+  });
+
+  // Tables whose records can carry personal data, with their key column and the columns that link related records.
+  const PERSONAL_TABLES = [
+    { table: "orders", key: "order_id", orderColumn: "order_id" },
+    { table: "captures", key: "capture_id", orderColumn: "order_id", captureColumn: "capture_id" },
+    { table: "authorizations", key: "authorization_id", orderColumn: "order_id" },
+    { table: "refunds", key: "refund_id", captureColumn: "capture_id" },
+    { table: "events", key: "id", orderColumn: "order_id", captureColumn: "capture_id", subscriptionColumn: "subscription_id" },
+  ];
+
+  // Raw gateway payloads and the time column that dates them.
+  const RAW_PAYLOAD_TABLES = [
+    { table: "captures", timeColumn: "logged_at" },
+    { table: "refunds", timeColumn: "logged_at" },
+    { table: "events", timeColumn: "logged_at" },
+    { table: "authorizations", timeColumn: "created_at" },
+  ];
+
+  // Every record that names the payer, plus everything else belonging to the same orders, loses its personal data.
+  // Records are decrypted to be matched, so this reads every row; it is a rare, deliberate operation.
+  const forgetPayer = db.transaction((email, customerToken) => {
+    const customerKeys = [...new Set([email, privacy.customerKey(email)])];
+    const rows = Object.fromEntries(PERSONAL_TABLES.map(({ table }) => [table, db.prepare(`SELECT * FROM ${table}`).all()]));
+    const linked = { orderColumn: new Set(), captureColumn: new Set(), subscriptionColumn: new Set() };
+    const orderIds = linked.orderColumn;
+    const captureIds = linked.captureColumn;
+    const touched = (row, spec) => Object.entries(linked).some(([column, ids]) => spec[column] && ids.has(row[spec[column]]));
+
+    for (const spec of PERSONAL_TABLES) {
+      rows[spec.table]
+        .filter((row) => mentionsEmail(fromData(row), email))
+        .forEach((row) =>
+          Object.entries(linked)
+            .filter(([column]) => spec[column] && row[spec[column]])
+            .forEach(([column, ids]) => ids.add(row[spec[column]]))
+        );
+    }
+    rows.captures.filter((row) => orderIds.has(row.order_id)).forEach((row) => captureIds.add(row.capture_id));
+
+    const erased = {};
+    for (const spec of PERSONAL_TABLES) {
+      const affected = rows[spec.table].filter((row) => touched(row, spec) || mentionsEmail(fromData(row), email));
+      const update = db.prepare(`UPDATE ${spec.table} SET data = ? WHERE ${spec.key} = ?`);
+      affected.forEach((row) => {
+        const record = erasePersonalData(fromData(row));
+        update.run(toData(customerKeys.includes(record.customerId) ? { ...record, customerId: customerToken } : record), row[spec.key]);
+      });
+      erased[spec.table] = affected.length;
+    }
+    db.prepare("UPDATE captures SET payer_email = NULL WHERE capture_id IN (SELECT value FROM json_each(?))").run(toJson([...captureIds]));
+    db.prepare("UPDATE orders SET payer_email = NULL WHERE order_id IN (SELECT value FROM json_each(?))").run(toJson([...orderIds]));
+    db.prepare("UPDATE orders SET customer_id = ? WHERE customer_id = ?").run(customerToken, email);
+
+    const credits = db
+      .prepare("SELECT * FROM credit_entries WHERE customer_id IN (SELECT value FROM json_each(?))")
+      .all(toJson(customerKeys));
+    const moveCredit = db.prepare("UPDATE credit_entries SET customer_id = ?, data = ? WHERE entry_id = ?");
+    credits.forEach((row) => moveCredit.run(customerToken, toData({ ...fromData(row), customerId: customerToken }), row.entry_id));
+    erased.credit_entries = credits.length;
+
+    // Stored replies repeat the payloads they were built from; the ones about these orders are dropped.
+    const replies = db
+      .prepare("SELECT id, body FROM idempotency_keys")
+      .all()
+      .filter(({ body }) => {
+        const reply = privacy.reveal(JSON.parse(body));
+        return mentionsEmail(reply, email) || [...orderIds].some((orderId) => body.includes(orderId));
+      });
+    const dropReply = db.prepare("DELETE FROM idempotency_keys WHERE id = ?");
+    replies.forEach(({ id }) => dropReply.run(id));
+    erased.idempotency_keys = replies.length;
+
+    // Audit entries written before they recorded route patterns can hold the email in their path and params.
+    const forgetSegment = (segment) => {
+      try {
+        return decodeURIComponent(segment).trim().toLowerCase() === email ? "[forgotten]" : segment;
+      } catch {
+        return segment;
+      }
+    };
+    const mentionsInPath = (auditPath) => auditPath.split("/").some((segment) => forgetSegment(segment) !== segment);
+    const audits = db
+      .prepare("SELECT id, path, data FROM audit_log")
+      .all()
+      .filter((row) => mentionsEmail(fromData(row).params, email) || mentionsInPath(row.path));
+    const updateAudit = db.prepare("UPDATE audit_log SET path = ?, data = ? WHERE id = ?");
+    audits.forEach((row) => {
+      const entry = fromData(row);
+      const params = Object.fromEntries(Object.entries(entry.params ?? {}).filter(([, value]) => !mentionsEmail(value, email)));
+      const auditPath = row.path.split("/").map(forgetSegment).join("/");
+      updateAudit.run(auditPath, toData({ ...entry, path: auditPath, params }), row.id);
+    });
+    erased.audit_log = audits.length;
+
+    return { orderIds: [...orderIds], captureIds: [...captureIds], erased };
+  });
+
+  const toInvoice = (row) => ({
+    sequence: row.sequence,
+    invoiceNumber: row.invoice_number,
+    orderId: row.order_id,
+    captureId: row.capture_id,
+    issuedAt: row.issued_at,
+  });
+
+  // Refunds are updated in place as their status changes; later fields win over earlier ones.
+  const saveRefund = (record) => {
+    const merged = { ...fromData(statements.findRefund.get(record.refundId)), ...record };
+    statements.upsertRefund.run({
+      refundId: merged.refundId,
+      captureId: merged.captureId,
+      status: merged.status ?? null,
+      amount: merged.amount ?? null,
+      currency: merged.currency ?? null,
+      loggedAt: merged.loggedAt ?? new Date().toISOString(),
+      data: toData(merged),
+    });
+  };
+
+  const saveEvent = (record) => {
+    statements.insertEvent.run({
+      type: record.type,
+      orderId: record.orderId ?? null,
+      captureId: record.captureId ?? null,
+      subscriptionId: record.subscriptionId ?? null,
+      status: record.status ?? null,
+      loggedAt: record.loggedAt ?? new Date().toISOString(),
+      data: toData(record),
+    });
+    if (record.type === "status" && record.captureId && record.status) {
+      statements.updateCaptureStatus.run(record.status, record.captureId);
+    }
+  };
+
+  const recordEvent = db.transaction((record) => (record.type === "refund" ? saveRefund(record) : saveEvent(record)));
+
+  const captureFilterSql = (filters = {}) => {
+    const clauses = [];
+    const params = {};
+    if (filters.from) {
+      clauses.push("occurred_at >= @from");
+      params.from = filters.from.toISOString();
+    }
+    if (filters.to) {
+      clauses.push("occurred_at <= @to");
+      params.to = filters.to.toISOString();
+    }
+    if (filters.payerEmail) {
+      clauses.push("lower(payer_email) = @payerEmail");
+      params.payerEmail = privacy.lookupValue(filters.payerEmail);
+    }
+    if (filters.currency) {
+      clauses.push("currency = @currency");
+      params.currency = filters.currency;
+    }
+    if (filters.minAmount !== undefined) {
+      clauses.push("amount >= @minAmount");
+      params.minAmount = filters.minAmount;
+    }
+    if (filters.maxAmount !== undefined) {
+      clauses.push("amount <= @maxAmount");
+      params.maxAmount = filters.maxAmount;
+    }
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "", params };
+  };
+
+  const recordsForCaptures = (captureRows, { orderId } = {}) => {
+    const captureIds = toJson(captureRows.map((row) => row.capture_id).filter(Boolean));
+    const refunds = db
+      .prepare("SELECT * FROM refunds WHERE capture_id IN (SELECT value FROM json_each(?)) ORDER BY rowid")
+      .all(captureIds);
+    const events = db
+      .prepare("SELECT * FROM events WHERE capture_id IN (SELECT value FROM json_each(?)) OR order_id = ? ORDER BY id")
+      .all(captureIds, orderId ?? null);
+    return [...captureRows.map(captureRecord), ...refunds.map(refundRecord), ...events.map(eventRecord)];
+  };
+
+  return {
+    close: () => db.close(),
+
+    saveOrder: async (order) => {
+      writeOrder(order);
+    },
+
+    findOrder: async (orderId) => fromData(statements.findOrder.get(orderId)),
+
+    // Applies `change` to the stored order atomically; a null result from `change` leaves the order as it was.
+    updateOrder: async (orderId, change) =>
+      db.transaction(() => {
+        const order = fromData(statements.findOrder.get(orderId));
+        if (!order) {
+          return null;
+        }
+        const updated = change(order);
+        if (!updated) {
+          return order;
+        }
+        writeOrder(updated);
+        return updated;
+      })(),
+
+    staleOrders: async ({ statuses, before }) => statements.staleOrders.all(toJson(statuses), before.toISOString()).map(fromData),
+
+    // Orders created since `since` that this payer approved; always 0 when payer emails are redacted.
+    countPayerOrders: async ({ payerEmail, since }) => {
+      const lookup = privacy.lookupValue(payerEmail);
+      return lookup ? statements.countPayerOrders.get(lookup, since.toISOString()).count : 0;
+    },
+
+    // Newest first; `status` is the fraud review status, FLAGGED or REJECTED.
+    ordersInReview: async ({ status, limit = 100 }) => statements.ordersInReview.all(status, limit).map(fromData),
+
+    // Returns false when the capture is already on record, so callers never store one twice.
+    saveCapture: async (record) => {
+      const { changes } = statements.insertCapture.run({
+        captureId: record.captureId ?? null,
+        orderId: record.orderId ?? null,
+        gateway: record.gateway ?? "paypal",
+        status: record.status ?? null,
+        amount: record.amount === undefined ? null : Number(record.amount),
+        currency: record.currency ?? null,
+        payerEmail: privacy.lookupValue(record.payerEmail),
+        promoCode: record.promoCode ?? null,
+        occurredAt: isoTime(record.createTime ?? record.loggedAt),
+        loggedAt: record.loggedAt ?? new Date().toISOString(),
+        // The payer's ledger key is fixed here, while the address is still readable whatever the protection mode.
+        data: toData({ ...record, customerId: record.customerId ?? privacy.customerKey(record.payerEmail) }),
+      });
+      return changes > 0;
+    },
+
+    listOrders: async ({ gateway, since, after, limit = -1 }) =>
+      statements.listOrders
+        .all({
+          gateway,
+          since: since.toISOString(),
+          afterCreatedAt: after?.createdAt ?? "",
+          afterOrderId: after?.orderId ?? "",
+          limit,
+        })
+        .map(fromData),
+
+    // Fills in details learned after the fact, such as fees; the indexed amount and status columns are left alone.
+    updateCapture: async (captureId, changes) => {
+      db.transaction(() => {
+        const row = statements.findCapture.get(captureId);
+        if (row) {
+          statements.updateCaptureData.run(toData({ ...fromData(row), ...changes }), captureId);
+        }
+      })();
+    },
+
+    findCapture: async (captureId) => {
+      const row = statements.findCapture.get(captureId);
+      return row ? captureRecord(row) : null;
+    },
+
+    // Refunds, status changes, disputes and subscription activity.
+    recordEvent: async (record) => {
+      recordEvent(record);
+    },
+
+    // Everything known about the matching captures (or subscription), as a flat list of typed records.
+    transactionRecords: async ({ orderId, captureId, subscriptionId, filters } = {}) => {
+      if (subscriptionId) {
+        return db.prepare("SELECT * FROM events WHERE subscription_id = ? ORDER BY id").all(subscriptionId).map(eventRecord);
+      }
+      if (captureId) {
+        return recordsForCaptures(db.prepare("SELECT * FROM captures WHERE capture_id = ?").all(captureId));
+      }
+      if (orderId) {
+        return recordsForCaptures(db.prepare("SELECT * FROM captures WHERE order_id = ? ORDER BY id").all(orderId), { orderId });
+      }
+      const { where, params } = captureFilterSql(filters);
+      return recordsForCaptures(db.prepare(`SELECT * FROM captures ${where} ORDER BY id`).all(params));
+    },
+
+    promoRedemptions: async () =>
+      Object.fromEntries(statements.promoRedemptions.all().map(({ code, count }) => [code, count])),
+
+    hasWebhookEvent: async (eventId) => Boolean(statements.findWebhookEvent.get(eventId)),
+
+    saveWebhookEvent: async (entry) => {
+      statements.insertWebhookEvent.run({ ...entry, eventType: entry.eventType ?? null, handled: entry.handled ? 1 : 0 });
+    },
+
+    findIdempotentResponse: async (id) => {
+      const row = statements.findIdempotentResponse.get(id);
+      return row && { id: row.id, fingerprint: row.fingerprint, status: row.status, body: privacy.reveal(JSON.parse(row.body)), createdAt: row.created_at };
+    },
+
+    saveIdempotentResponse: async (entry) => {
+      statements.insertIdempotentResponse.run({ ...entry, body: toJson(privacy.protect(entry.body)) });
+    },
+
+    listBillingPlans: async (currency) => statements.listBillingPlans.all(currency).map(fromData),
+
+    saveBillingPlan: async (entry) => {
+      statements.upsertBillingPlan.run({ key: entry.key, currency: entry.currency, createdAt: entry.createdAt, data: toData(entry) });
+    },
+
+    listCreditEntries: async ({ customerId, captureId }) =>
+      (customerId
+        ? statements.creditEntriesForCustomer.all(customerId)
+        : statements.creditEntriesForCapture.all(captureId)
+      ).map(fromData),
+
+    // Entry ids are deterministic, so posting the same entry twice is a no-op.
+    saveCreditEntries: async (entries) => {
+      db.transaction(() =>
+        entries.forEach((entry) =>
+          statements.insertCreditEntry.run({
+            entryId: entry.entryId,
+            customerId: entry.customerId,
+            captureId: entry.captureId ?? null,
+            creditType: entry.creditType,
+            credits: entry.credits,
+            createdAt: entry.createdAt,
+            data: toData(entry),
+          })
+        )
+      )();
+    },
+
+    // Issues at most one invoice per capture; numberFor turns the sequence into the printed invoice number.
+    issueInvoice: async ({ orderId, captureId, numberFor }) =>
+      db.transaction(() => {
+        const existing = statements.findInvoice.get(captureId);
+        if (existing) {
+          return toInvoice(existing);
+        }
+        const { lastInsertRowid } = statements.insertInvoice.run(orderId, captureId, new Date().toISOString());
+        statements.numberInvoice.run(numberFor(Number(lastInsertRowid)), lastInsertRowid);
+        return toInvoice(statements.findInvoice.get(captureId));
+      })(),
+
+    listInvoices: async () => statements.listInvoices.all().map(toInvoice),
+
+    // Keeps the original number of an invoice issued before this store existed.
+    restoreInvoice: async (invoice) => {
+      statements.restoreInvoice.run(invoice);
+    },
+
+    saveAuthorization: async (record) => saveAuthorization(record),
+
+    findAuthorization: async (authorizationId) => fromData(statements.findAuthorization.get(authorizationId)),
+
+    listAuthorizations: async ({ orderId }) => statements.authorizationsForOrder.all(orderId).map(fromData),
+
+    lapsedAuthorizations: async ({ statuses, before }) =>
+      statements.lapsedAuthorizations.all(toJson(statuses), before.toISOString()).map(fromData),
+
+    recordAudit: async (entry) => {
+      statements.insertAuditEntry.run({ ...entry, data: toData(entry) });
+    },
+
+    // Newest first; `beforeId` pages back through older entries.
+    listAuditEntries: async ({ limit = 100, beforeId } = {}) =>
+      statements.listAuditEntries
+        .all(beforeId ?? Number.MAX_SAFE_INTEGER, limit)
+        .map((row) => ({ id: row.id, ...fromData(row) })),
+
+    // Anonymizes one payer everywhere while leaving amounts and statuses alone; their credits move to `customerToken`.
+    forgetPayer: async ({ email, customerToken }) => forgetPayer(email, customerToken),
+
+    // Drops raw gateway payloads, and stored idempotent replies, older than `before`.
+    purgeRawPayloads: async ({ before }) =>
+      db.transaction(() => {
+        const cutoff = before.toISOString();
+        const purged = Object.fromEntries(
+          RAW_PAYLOAD_TABLES.map(({ table, timeColumn }) => [
+            table,
+            db
+              .prepare(`UPDATE ${table} SET data = json_remove(data, '$.raw') WHERE ${timeColumn} < ? AND json_type(data, '$.raw') IS NOT NULL`)
+              .run(cutoff).changes,
+          ])
+        );
+        purged.idempotency_keys = db.prepare("DELETE FROM idempotency_keys WHERE created_at < ?").run(cutoff).changes;
+        return purged;
+      })(),
+
+    countRows: async () =>
+      Object.fromEntries(
+        TABLES.map((table) => [table, db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count])
+      ),
+  };
+};
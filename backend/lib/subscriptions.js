@@ -0,0 +1,122 @@
+import { BILLING_PERIODS, PLANS, findBillingPeriod, findPlan, planPrice } from "./catalog.js";
+import { httpError } from "./errors.js";
+import { amountToString } from "./money.js";
+
+export const SUBSCRIPTION_ACTIONS = {
+  suspend: { endpoint: "suspend", defaultReason: "Suspended by support." },
+  reactivate: { endpoint: "activate", defaultReason: "Reactivated by support." },
+  cancel: { endpoint: "cancel", defaultReason: "Cancelled at the customer's request." },
+};
+
+export const billingPlanKey = ({ planId, billingPeriod, currency }) => `${planId}:${billingPeriod}:${currency}`;
+
+export const subscriptionPrice = (plan, period, market) =>
+  amountToString(Number(planPrice(plan, period.id, market)) * period.monthsPerCycle, market.currency);
+
+const buildProductPayload = (plan) => ({
+  name: plan.name,
+  description: plan.credits.join(", ").slice(0, 256),
+  type: "SERVICE",
+  category: "SOFTWARE",
+});
+
+const buildBillingPlanPayload = ({ plan, period, productId, market }) => ({
+  product_id: productId,
+  name: `${plan.name} (${period.label})`,
+  description: `${plan.name}, billed ${period.label.toLowerCase()}`,
+  status: "ACTIVE",
+  billing_cycles: [
+    {
+      frequency: { interval_unit: period.intervalUnit, interval_count: 1 },
+      tenure_type: "REGULAR",
+      sequence: 1,
+      total_cycles: 0,
+      pricing_scheme: {
+        fixed_price: { currency_code: market.currency, value: subscriptionPrice(plan, period, market) },
+      },
+    },
+  ],
+  payment_preferences: {
+    auto_bill_outstanding: true,
+    setup_fee_failure_action: "CANCEL",
+    payment_failure_threshold: 3,
+  },
+});
+
+// Creates whatever Catalog Products and Billing Plans are missing for the current plan definitions.
+export const provisionBillingPlans = async ({ request, market, provisioned }) => {
+  const { currency } = market;
+  const created = [];
+  const known = [...provisioned];
+
+  for (const plan of PLANS.filter((candidate) => !candidate.contactOnly)) {
+    let productId = known.find((entry) => entry.planId === plan.id)?.productId;
+    if (!productId) {
+      const product = await request("/v1/catalogs/products", { body: buildProductPayload(plan) });
+      productId = product.id;
+    }
+
+    for (const period of BILLING_PERIODS) {
+      const key = billingPlanKey({ planId: plan.id, billingPeriod: period.id, currency });
+      if (known.some((entry) => entry.key === key)) {
+        continue;
+      }
+
+      const billingPlan = await request("/v1/billing/plans", {
+        body: buildBillingPlanPayload({ plan, period, productId, market }),
+      });
+      const entry = {
+        key,
+        planId: plan.id,
+        billingPeriod: period.id,
+        currency,
+        productId,
+        paypalPlanId: billingPlan.id,
+        price: subscriptionPrice(plan, period, market),
+        createdAt: new Date().toISOString(),
+      };
+      known.push(entry);
+      created.push(entry);
+    }
+  }
+
+  return created;
+};
+
+export const resolveBillingPlan = ({ planId, billingPeriod, currency, provisioned }) => {
+  const plan = findPlan(planId);
+  if (!plan || plan.contactOnly) {
+    throw httpError(400, `Plan "${planId}" cannot be subscribed to online.`);
+  }
+  const period = findBillingPeriod(billingPeriod);
+  if (!period) {
+    throw httpError(400, `Unknown billing period "${billingPeriod}".`);
+  }
+
+  const entry = provisioned.findLast((candidate) => candidate.key === billingPlanKey({ planId, billingPeriod, currency }));
+  if (!entry) {
+    throw httpError(503, `${plan.name} (${period.label}) has not been provisioned as a PayPal billing plan yet.`);
+  }
+  return { plan, period, entry };
+};
+
+export const toSubscriptionRecord = (subscription, extra = {}) => ({
+  type: "subscription",
+  gateway: "paypal",
+  subscriptionId: subscription.id,
+  paypalPlanId: subscription.plan_id,
+  status: subscription.status,
+  payerEmail: subscription.subscriber?.email_address,
+  payerGivenName: subscription.subscriber?.name?.given_name,
+  payerSurname: subscription.subscriber?.name?.surname,
+  nextBillingTime: subscription.billing_info?.next_billing_time,
+  ...extra,
+  loggedAt: new Date().toISOString(),
+  raw: subscription,
+});
+
+export const subscriptionHistory = (records, subscriptionId) =>
+  records.filter((record) => record.type === "subscription" && record.subscriptionId === subscriptionId);
+
+export const subscriptionPayments = (records, subscriptionId) =>
+  records.filter((record) => record.type === "subscription_payment" && record.subscriptionId === subscriptionId);
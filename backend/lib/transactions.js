@@ -0,0 +1,197 @@
+import { httpError } from "./errors.js";
+import { amountToString } from "./money.js";
+
+const SETTLED_REFUND_STATUSES = ["COMPLETED", "PENDING"];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Records written before event types existed are all capture summaries.
+export const recordType = (record) => record.type ?? "capture";
+
+export const isCaptureRecord = (record) => recordType(record) === "capture";
+
+export const findCaptureRecord = (records, captureId) =>
+  records.find((record) => isCaptureRecord(record) && record.captureId === captureId) ?? null;
+
+// What gets stored for a capture: the gateway's summary plus the pricing context of the order it paid for. Hardware
+// ships to the address the gateway reports, or else the one the shopper gave when ordering.
+export const toCaptureRecord = ({ gatewayId, summary, order, raw, source }) => ({
+  type: "capture",
+  gateway: gatewayId,
+  ...summary,
+  promoCode: order?.promoCode ?? null,
+  discount: order?.discount ?? "0.00",
+  gstin: order?.tax?.gstin ?? null,
+  tax: order?.tax ?? null,
+  ...(order?.shippingMethod
+    ? {
+        shipping: summary.shipping ?? order.shipping ?? null,
+        shippingMethod: order.shippingMethod,
+        shippingTotal: order.shippingTotal,
+      }
+    : {}),
+  ...(source ? { source } : {}),
+  loggedAt: new Date().toISOString(),
+  raw,
+});
+
+export const listRefunds = (records, captureId) => {
+  const byRefundId = new Map();
+  records
+    .filter((record) => recordType(record) === "refund" && record.captureId === captureId)
+    .forEach((record) => byRefundId.set(record.refundId, { ...byRefundId.get(record.refundId), ...record }));
+  return [...byRefundId.values()];
+};
+
+export const summarizeCapture = (records, captureId) => {
+  const capture = findCaptureRecord(records, captureId);
+  if (!capture) {
+    return null;
+  }
+
+  const refunds = listRefunds(records, captureId);
+  const refunded = refunds
+    .filter((refund) => SETTLED_REFUND_STATUSES.includes(refund.status))
+    .reduce((sum, refund) => sum + Number(refund.amount ?? 0), 0);
+  const remaining = Math.max(Number(capture.amount ?? 0) - refunded, 0);
+
+  return {
+    capture,
+    refunds,
+    currency: capture.currency,
+    capturedAmount: amountToString(capture.amount, capture.currency),
+    refundedAmount: amountToString(refunded, capture.currency),
+    refundableAmount: amountToString(remaining, capture.currency),
+    netAmount: amountToString(remaining, capture.currency),
+  };
+};
+
+const settledStatus = (status, summary) => {
+  if (status !== "COMPLETED" || Number(summary.refundedAmount) === 0) {
+    return status;
+  }
+  return Number(summary.refundableAmount) === 0 ? "REFUNDED" : "PARTIALLY_REFUNDED";
+};
+
+const relatedRecords = (records, capture) =>
+  records.filter((record) => !isCaptureRecord(record) && record.captureId === capture.captureId);
+
+// The gateway's latest word on the capture itself, before refunds are folded in.
+export const captureStatus = (records, capture) =>
+  relatedRecords(records, capture).filter((record) => recordType(record) === "status").at(-1)?.status ?? capture.status;
+
+export const buildTransactionView = (records, capture) => {
+  const summary = summarizeCapture(records, capture.captureId);
+  const related = relatedRecords(records, capture);
+
+  return {
+    ...capture,
+    status: settledStatus(captureStatus(records, capture), summary),
+    capturedAmount: summary.capturedAmount,
+    refundedAmount: summary.refundedAmount,
+    netAmount: summary.netAmount,
+    refunds: summary.refunds,
+    disputes: related.filter((record) => recordType(record) === "dispute"),
+  };
+};
+
+export const buildTransactionViews = (records) =>
+  records.filter(isCaptureRecord).map((capture) => buildTransactionView(records, capture));
+
+const transactionTime = (transaction) => transaction.createTime ?? transaction.loggedAt;
+
+const compareNewestFirst = (a, b) =>
+  transactionTime(b).localeCompare(transactionTime(a)) || String(b.captureId).localeCompare(String(a.captureId));
+
+export const encodeCursor = (transaction) =>
+  Buffer.from(JSON.stringify({ time: transactionTime(transaction), captureId: transaction.captureId })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { time, captureId } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof time !== "string") {
+      throw new Error("Malformed cursor.");
+    }
+    return { createTime: time, captureId };
+  } catch {
+    throw httpError(400, "Invalid pagination cursor.");
+  }
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `"${name}" must be an ISO 8601 date.`);
+  }
+  return date;
+};
+
+const parseAmount = (value, name) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw httpError(400, `"${name}" must be a non-negative number.`);
+  }
+  return amount;
+};
+
+export const parseTransactionQuery = (query = {}) => {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_PAGE_SIZE) {
+    throw httpError(400, `"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+
+  return {
+    from: parseDate(query.from, "from"),
+    to: parseDate(query.to, "to"),
+    statuses: query.status ? String(query.status).toUpperCase().split(",") : undefined,
+    payerEmail: query.payerEmail ? String(query.payerEmail).trim().toLowerCase() : undefined,
+    currency: query.currency ? String(query.currency).toUpperCase() : undefined,
+    minAmount: parseAmount(query.minAmount, "minAmount"),
+    maxAmount: parseAmount(query.maxAmount, "maxAmount"),
+    cursor: query.cursor ? decodeCursor(String(query.cursor)) : undefined,
+    limit,
+    includeRaw: query.includeRaw !== "false",
+  };
+};
+
+const matchesFilters = (transaction, filters) => {
+  const time = new Date(transactionTime(transaction));
+  const amount = Number(transaction.amount);
+  return (
+    (!filters.from || time >= filters.from) &&
+    (!filters.to || time <= filters.to) &&
+    (!filters.statuses || filters.statuses.includes(transaction.status)) &&
+    (!filters.payerEmail || transaction.payerEmail?.toLowerCase() === filters.payerEmail) &&
+    (!filters.currency || transaction.currency === filters.currency) &&
+    (filters.minAmount === undefined || amount >= filters.minAmount) &&
+    (filters.maxAmount === undefined || amount <= filters.maxAmount)
+  );
+};
+
+export const stripRaw = ({ raw: _raw, ...transaction }) => ({
+  ...transaction,
+  refunds: transaction.refunds?.map(({ raw: _refundRaw, ...refund }) => refund),
+});
+
+export const queryTransactions = (records, filters) => {
+  const matching = buildTransactionViews(records)
+    .filter((transaction) => matchesFilters(transaction, filters))
+    .sort(compareNewestFirst);
+
+  const start = filters.cursor
+    ? matching.findIndex((transaction) => compareNewestFirst(filters.cursor, transaction) < 0)
+    : 0;
+  const page = start === -1 ? [] : matching.slice(start, start + filters.limit);
+  const hasMore = start !== -1 && start + filters.limit < matching.length;
+
+  return {
+    data: filters.includeRaw ? page : page.map(stripRaw),
+    nextCursor: hasMore ? encodeCursor(page.at(-1)) : null,
+  };
+};
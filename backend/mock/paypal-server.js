@@ -0,0 +1,851 @@
+import crypto from "crypto";
+import express from "express";
+import { fileURLToPath } from "url";
+
+// Offline stand-in for the parts of the PayPal REST API this backend calls. Point PAYPAL_BASE_URL at it.
+export const MOCK_CLIENT_ID = "mock-client-id";
+export const MOCK_CLIENT_SECRET = "mock-client-secret";
+export const MOCK_WEBHOOK_ID = "MOCK-WEBHOOK-ID";
+
+const TOKEN_TTL_SECONDS = 32400;
+
+const ISSUE_DESCRIPTIONS = {
+  INSTRUMENT_DECLINED: "The instrument presented was either declined by the processor or bank, or it can't be used for this payment.",
+  ORDER_ALREADY_CAPTURED: "Order already captured. If 'intent=CAPTURE' only one capture per order is allowed.",
+  ORDER_ALREADY_AUTHORIZED: "Order already authorized. If 'intent=AUTHORIZE' only one authorization per order is allowed.",
+  ORDER_NOT_APPROVED: "Payer has not yet approved the Order for payment.",
+  INVALID_RESOURCE_ID: "Specified resource ID does not exist. Please check the resource ID and try again.",
+  REFUND_AMOUNT_EXCEEDED: "The refund amount must be less than or equal to the capture amount that has not yet been refunded.",
+  CAPTURE_FULLY_REFUNDED: "The capture has already been fully refunded.",
+  MISSING_REQUIRED_PARAMETER: "A required field or parameter is missing.",
+  INVALID_PARAMETER_VALUE: "The value of a field is invalid.",
+  INTERNAL_SERVICE_ERROR: "An internal service error has occurred.",
+  ACTION_DOES_NOT_MATCH_INTENT: "Order does not support this action because of its intent.",
+  AUTHORIZATION_ALREADY_CAPTURED: "Authorization has been previously captured and hence cannot be voided.",
+  AUTHORIZATION_VOIDED: "A voided authorization cannot be captured or reauthorized.",
+  MAX_CAPTURE_AMOUNT_EXCEEDED: "Capture amount exceeds the allowable limit.",
+  SUBSCRIPTION_STATUS_INVALID: "Invalid subscription status for the requested action.",
+};
+
+const AUTHORIZATION_VALIDITY_DAYS = 29;
+const TRANSACTION_SEARCH_MAX_DAYS = 31;
+
+// Queued failures are business-rule rejections unless listed here.
+const ISSUE_STATUSES = { INTERNAL_SERVICE_ERROR: 500 };
+
+const ERROR_NAMES = {
+  400: ["INVALID_REQUEST", "Request is not well-formed, syntactically incorrect, or violates schema."],
+  404: ["RESOURCE_NOT_FOUND", "The specified resource does not exist."],
+  422: ["UNPROCESSABLE_ENTITY", "The requested action could not be performed, semantically incorrect, or failed business validation."],
+  500: ["INTERNAL_SERVER_ERROR", "An internal server error has occurred."],
+};
+
+const newId = (length = 17) =>
+  crypto.randomBytes(length).toString("base64").replace(/[^A-Z0-9]/gi, "").toUpperCase().slice(0, length).padEnd(length, "0");
+
+const debugId = () => crypto.randomBytes(7).toString("hex");
+
+const money = (value, currency) => ({ currency_code: currency, value });
+
+const sendIssue = (res, status, issue, extra = {}) => {
+  const [name, message] = ERROR_NAMES[status];
+  return res.status(status).json({
+    name,
+    message,
+    debug_id: res.get("Paypal-Debug-Id") ?? debugId(),
+    details: [{ issue, description: ISSUE_DESCRIPTIONS[issue] ?? issue }],
+    links: [{ href: `https://developer.paypal.com/api/rest/reference/orders/v2/errors/#${issue}`, rel: "information_link", method: "GET" }],
+    ...extra,
+  });
+};
+
+const sendUnauthorized = (res) =>
+  res.status(401).json({ error: "invalid_token", error_description: "Token signature verification failed" });
+
+const webhookSignature = ({ transmissionId, transmissionTime, webhookId, event }) =>
+  crypto
+    .createHmac("sha256", webhookId)
+    .update(`${transmissionId}|${transmissionTime}|${webhookId}|${JSON.stringify(event)}`)
+    .digest("base64");
+
+// PayPal signs with a certificate; the mock signs with an HMAC keyed by the webhook id so tests can forge valid headers.
+export const signWebhookEvent = (event, { webhookId = MOCK_WEBHOOK_ID, transmissionTime = new Date().toISOString() } = {}) => {
+  const transmissionId = crypto.randomUUID();
+  return {
+    "paypal-auth-algo": "SHA256withRSA",
+    "paypal-cert-url": "https://api.sandbox.paypal.com/v1/notifications/certs/CERT-360caa42-fca2a594-mock",
+    "paypal-transmission-id": transmissionId,
+    "paypal-transmission-time": transmissionTime,
+    "paypal-transmission-sig": webhookSignature({ transmissionId, transmissionTime, webhookId, event }),
+  };
+};
+
+export const createMockPayPal = ({
+  clientId = MOCK_CLIENT_ID,
+  clientSecret = MOCK_CLIENT_SECRET,
+  webhookId = MOCK_WEBHOOK_ID,
+  baseUrl = "",
+} = {}) => {
+  const state = {
+    baseUrl,
+    tokens: new Map(),
+    tokensIssued: 0,
+    orders: new Map(),
+    captures: new Map(),
+    authorizations: new Map(),
+    refunds: new Map(),
+    replays: new Map(),
+    shippingCallbacks: new Map(),
+    products: new Map(),
+    billingPlans: new Map(),
+    subscriptions: new Map(),
+    failures: [],
+    delays: [],
+    requests: [],
+  };
+
+  const link = (path, rel, method = "GET") => ({ href: `${state.baseUrl}${path}`, rel, method });
+
+  // Queues a one-off failure for the next call (or next `times` calls) to an operation: "token", "createOrder",
+  // "capture", "refund" and so on.
+  const failNext = (operation, issue, times = 1) => {
+    for (let count = 0; count < times; count += 1) {
+      state.failures.push({ operation, issue });
+    }
+  };
+
+  // Holds the next call to an operation for `ms` before answering it, to simulate a slow PayPal. Without `ms` the call
+  // is never answered, so a client timeout fires however long it is.
+  const delayNext = (operation, ms = Infinity) => {
+    state.delays.push({ operation, ms });
+  };
+
+  const takeFailure = (operation, req) => {
+    // Same header the PayPal sandbox reads for negative testing.
+    const mocked = req.get("PayPal-Mock-Response");
+    if (mocked) {
+      try {
+        return JSON.parse(mocked).mock_application_codes ?? null;
+      } catch {
+        return null;
+      }
+    }
+    const index = state.failures.findIndex((failure) => failure.operation === operation);
+    return index === -1 ? null : state.failures.splice(index, 1)[0].issue;
+  };
+
+  const revokeTokens = () => state.tokens.clear();
+
+  const approveOrder = (orderId, payer = {}) => {
+    const order = state.orders.get(orderId);
+    if (!order) {
+      throw new Error(`Unknown mock order ${orderId}.`);
+    }
+    order.status = "APPROVED";
+    order.payer = {
+      name: { given_name: payer.givenName ?? "John", surname: payer.surname ?? "Doe" },
+      email_address: payer.email ?? "sb-buyer@personal.example.com",
+      payer_id: payer.payerId ?? newId(13),
+      address: { country_code: payer.countryCode ?? "US" },
+    };
+    // A buyer shipping to an address on file picks it at approval, unless they already changed it in the popup.
+    const unit = order.purchase_units[0];
+    if (unit.shipping) {
+      unit.shipping.name ??= { full_name: `${order.payer.name.given_name} ${order.payer.name.surname}` };
+      unit.shipping.address ??= payer.shippingAddress ?? {
+        address_line_1: "1 Main St",
+        admin_area_2: "San Jose",
+        admin_area_1: "CA",
+        postal_code: "95131",
+        country_code: payer.countryCode ?? "US",
+      };
+    }
+    return order;
+  };
+
+  // What the buyer does on PayPal's subscription approval page; the subscription starts billing straight away.
+  const approveSubscription = (subscriptionId, subscriber = {}) => {
+    const subscription = state.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new Error(`Unknown mock subscription ${subscriptionId}.`);
+    }
+    const now = new Date();
+    subscription.status = "ACTIVE";
+    subscription.status_update_time = now.toISOString();
+    subscription.subscriber = {
+      name: { given_name: subscriber.givenName ?? "John", surname: subscriber.surname ?? "Doe" },
+      email_address: subscriber.email ?? "sb-buyer@personal.example.com",
+      payer_id: subscriber.payerId ?? newId(13),
+    };
+    subscription.billing_info = {
+      next_billing_time: new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      failed_payments_count: 0,
+    };
+    return subscription;
+  };
+
+  // Plays the buyer changing their address or shipping option in the PayPal popup: PayPal posts the change to the
+  // order's shipping callback and, if the callback accepts it, applies the amount and options it answers with.
+  const changeShipping = async (orderId, { address, optionId } = {}) => {
+    const order = state.orders.get(orderId);
+    const callbackUrl = state.shippingCallbacks.get(orderId);
+    if (!order || !callbackUrl) {
+      throw new Error(`Mock order ${orderId} has no shipping callback.`);
+    }
+    const unit = order.purchase_units[0];
+    const shippingAddress = address ?? unit.shipping.address;
+    const selectedId = optionId ?? unit.shipping.options?.find((option) => option.selected)?.id;
+    const response = await fetch(callbackUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        id: orderId,
+        shipping_address: shippingAddress,
+        ...(selectedId ? { shipping_option: unit.shipping.options?.find((option) => option.id === selectedId) ?? { id: selectedId } } : {}),
+        purchase_units: [{ reference_id: unit.reference_id, amount: unit.amount, shipping_options: unit.shipping.options }],
+      }),
+    });
+    const body = await response.json();
+    if (response.ok) {
+      const [updated] = body.purchase_units;
+      unit.amount = updated.amount;
+      unit.shipping = { ...unit.shipping, address: shippingAddress, options: updated.shipping_options };
+    }
+    return { status: response.status, body };
+  };
+
+  // PayPal replays the first response for a repeated PayPal-Request-Id instead of repeating the operation.
+  const replayable = (operation, handler) => (req, res) => {
+    const requestId = req.get("PayPal-Request-Id");
+    const key = requestId ? `${operation}:${requestId}` : null;
+    if (key && state.replays.has(key)) {
+      const { status, body } = state.replays.get(key);
+      res.status(status).json(body);
+      return;
+    }
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (key && res.statusCode < 400) {
+        state.replays.set(key, { status: res.statusCode, body });
+      }
+      return json(body);
+    };
+    handler(req, res);
+  };
+
+  const createCapture = ({ amount, orderId, authorizationId, finalCapture = true }) => {
+    const { currency_code: currency, value } = amount;
+    const fee = (Number(value) * 0.0349 + 0.49).toFixed(2);
+    const now = new Date().toISOString();
+    const capture = {
+      id: newId(),
+      status: "COMPLETED",
+      amount: money(value, currency),
+      final_capture: finalCapture,
+      seller_protection: { status: "ELIGIBLE", dispute_categories: ["ITEM_NOT_RECEIVED", "UNAUTHORIZED_TRANSACTION"] },
+      seller_receivable_breakdown: {
+        gross_amount: money(value, currency),
+        paypal_fee: money(fee, currency),
+        net_amount: money((Number(value) - Number(fee)).toFixed(2), currency),
+      },
+      create_time: now,
+      update_time: now,
+      supplementary_data: { related_ids: { order_id: orderId, ...(authorizationId ? { authorization_id: authorizationId } : {}) } },
+      links: [],
+    };
+    capture.links = [
+      link(`/v2/payments/captures/${capture.id}`, "self"),
+      link(`/v2/payments/captures/${capture.id}/refund`, "refund", "POST"),
+      authorizationId ? link(`/v2/payments/authorizations/${authorizationId}`, "up") : link(`/v2/checkout/orders/${orderId}`, "up"),
+    ];
+    state.captures.set(capture.id, { ...capture, orderId, refunded: 0 });
+    return capture;
+  };
+
+  const createAuthorization = ({ amount, orderId }) => {
+    const now = new Date();
+    const authorization = {
+      id: newId(),
+      status: "CREATED",
+      amount: money(amount.value, amount.currency_code),
+      seller_protection: { status: "ELIGIBLE", dispute_categories: ["ITEM_NOT_RECEIVED", "UNAUTHORIZED_TRANSACTION"] },
+      expiration_time: new Date(now.getTime() + AUTHORIZATION_VALIDITY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      create_time: now.toISOString(),
+      update_time: now.toISOString(),
+      supplementary_data: { related_ids: { order_id: orderId } },
+      orderId,
+      captured: 0,
+    };
+    state.authorizations.set(authorization.id, authorization);
+    return authorization;
+  };
+
+  const publicAuthorization = ({ orderId: _orderId, captured: _captured, ...authorization }) => ({
+    ...authorization,
+    links: [
+      link(`/v2/payments/authorizations/${authorization.id}`, "self"),
+      link(`/v2/payments/authorizations/${authorization.id}/capture`, "capture", "POST"),
+      link(`/v2/payments/authorizations/${authorization.id}/void`, "void", "POST"),
+      link(`/v2/payments/authorizations/${authorization.id}/reauthorize`, "reauthorize", "POST"),
+    ],
+  });
+
+  const completedOrder = (order) => {
+    const unit = order.purchase_units[0];
+    return {
+      id: order.id,
+      status: order.status,
+      payment_source: {
+        paypal: {
+          email_address: order.payer.email_address,
+          account_id: order.payer.payer_id,
+          account_status: "VERIFIED",
+          name: order.payer.name,
+          address: order.payer.address,
+        },
+      },
+      purchase_units: [
+        {
+          reference_id: unit.reference_id,
+          ...(unit.shipping?.address ? { shipping: { name: unit.shipping.name, address: unit.shipping.address } } : {}),
+          payments: unit.payments,
+        },
+      ],
+      payer: order.payer,
+      links: [link(`/v2/checkout/orders/${order.id}`, "self")],
+    };
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, headers: req.headers, body: req.body });
+    res.set("Paypal-Debug-Id", debugId());
+    next();
+  });
+
+  app.post("/v1/oauth2/token", (req, res) => {
+    const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString("base64")}`;
+    if (req.get("Authorization") !== expected || takeFailure("token", req) === "UNAUTHORIZED") {
+      res.status(401).json({ error: "invalid_client", error_description: "Client Authentication failed" });
+      return;
+    }
+    if (req.body?.grant_type !== "client_credentials") {
+      res.status(400).json({ error: "unsupported_grant_type", error_description: "Grant Type is NULL" });
+      return;
+    }
+
+    const accessToken = `A21AA${newId(40)}`;
+    state.tokens.set(accessToken, Date.now() + TOKEN_TTL_SECONDS * 1000);
+    state.tokensIssued += 1;
+    res.json({
+      scope: "https://uri.paypal.com/services/payments/payment https://uri.paypal.com/services/subscriptions",
+      access_token: accessToken,
+      token_type: "Bearer",
+      app_id: "APP-80W284485P519543T",
+      expires_in: TOKEN_TTL_SECONDS,
+      nonce: `${new Date().toISOString()}${newId(20)}`,
+    });
+  });
+
+  const requireToken = (operation) => (req, res, next) => {
+    const token = req.get("Authorization")?.replace(/^Bearer /, "");
+    const expiresAt = state.tokens.get(token);
+    if (!expiresAt || expiresAt < Date.now()) {
+      sendUnauthorized(res);
+      return;
+    }
+    const delayed = state.delays.findIndex((delay) => delay.operation === operation);
+    if (delayed !== -1) {
+      const [{ ms }] = state.delays.splice(delayed, 1);
+      if (Number.isFinite(ms)) {
+        setTimeout(() => requireToken(operation)(req, res, next), ms);
+      }
+      return;
+    }
+    // Simulates a token PayPal revoked before its advertised expiry.
+    const revoked = state.failures.findIndex((failure) => failure.operation === operation && failure.issue === "UNAUTHORIZED");
+    if (revoked !== -1) {
+      state.failures.splice(revoked, 1);
+      state.tokens.delete(token);
+      sendUnauthorized(res);
+      return;
+    }
+    next();
+  };
+
+  app.post(
+    "/v2/checkout/orders",
+    requireToken("createOrder"),
+    replayable("createOrder", (req, res) => {
+      const issue = takeFailure("createOrder", req);
+      if (issue) {
+        sendIssue(res, ISSUE_STATUSES[issue] ?? 422, issue);
+        return;
+      }
+      const { intent, purchase_units: purchaseUnits, payment_source: paymentSource } = req.body ?? {};
+      if (!["CAPTURE", "AUTHORIZE"].includes(intent) || !purchaseUnits?.[0]?.amount?.value) {
+        sendIssue(res, 400, "MISSING_REQUIRED_PARAMETER");
+        return;
+      }
+
+      const id = newId();
+      const order = {
+        id,
+        intent,
+        status: "CREATED",
+        purchase_units: purchaseUnits.map((unit, index) => ({
+          reference_id: unit.reference_id ?? (index === 0 ? "default" : String(index)),
+          ...unit,
+          payee: { email_address: "sb-merchant@business.example.com", merchant_id: "MOCKMERCHANT01" },
+        })),
+        create_time: new Date().toISOString(),
+        links: [
+          link(`/v2/checkout/orders/${id}`, "self"),
+          { href: `https://www.sandbox.paypal.com/checkoutnow?token=${id}`, rel: "approve", method: "GET" },
+          link(`/v2/checkout/orders/${id}`, "update", "PATCH"),
+          link(`/v2/checkout/orders/${id}/capture`, "capture", "POST"),
+        ],
+      };
+      state.orders.set(id, order);
+      const callbackUrl = paymentSource?.paypal?.experience_context?.order_update_callback_config?.callback_url;
+      if (callbackUrl) {
+        state.shippingCallbacks.set(id, callbackUrl);
+      }
+      res.status(201).json(order);
+    })
+  );
+
+  app.get("/v2/checkout/orders/:orderId", requireToken("getOrder"), (req, res) => {
+    const order = state.orders.get(req.params.orderId);
+    if (!order) {
+      sendIssue(res, 404, "INVALID_RESOURCE_ID");
+      return;
+    }
+    res.json(order);
+  });
+
+  app.post(
+    "/v2/checkout/orders/:orderId/capture",
+    requireToken("capture"),
+    replayable("capture", (req, res) => {
+      const order = state.orders.get(req.params.orderId);
+      if (!order) {
+        sendIssue(res, 404, "INVALID_RESOURCE_ID");
+        return;
+      }
+      if (order.intent !== "CAPTURE") {
+        sendIssue(res, 422, "ACTION_DOES_NOT_MATCH_INTENT");
+        return;
+      }
+      if (order.status === "COMPLETED") {
+        sendIssue(res, 422, "ORDER_ALREADY_CAPTURED");
+        return;
+      }
+      const issue = takeFailure("capture", req);
+      if (issue === "INSTRUMENT_DECLINED") {
+        // The buyer can pick another funding source, so PayPal hands back the approval link.
+        sendIssue(res, 422, issue, {
+          links: [{ href: `https://www.sandbox.paypal.com/checkoutnow?token=${order.id}`, rel: "redirect", method: "GET" }],
+        });
+        return;
+      }
+      if (issue) {
+        sendIssue(res, ISSUE_STATUSES[issue] ?? 422, issue);
+        return;
+      }
+      if (order.status !== "APPROVED") {
+        sendIssue(res, 422, "ORDER_NOT_APPROVED");
+        return;
+      }
+
+      const unit = order.purchase_units[0];
+      const capture = createCapture({ amount: unit.amount, orderId: order.id });
+      order.status = "COMPLETED";
+      order.update_time = capture.create_time;
+      unit.payments = { captures: [capture] };
+
+      res.status(201).json(completedOrder(order));
+    })
+  );
+
+  app.post(
+    "/v2/checkout/orders/:orderId/authorize",
+    requireToken("authorize"),
+    replayable("authorize", (req, res) => {
+      const order = state.orders.get(req.params.orderId);
+      if (!order) {
+        sendIssue(res, 404, "INVALID_RESOURCE_ID");
+        return;
+      }
+      if (order.intent !== "AUTHORIZE") {
+        sendIssue(res, 422, "ACTION_DOES_NOT_MATCH_INTENT");
+        return;
+      }
+      if (order.status === "COMPLETED") {
+        sendIssue(res, 422, "ORDER_ALREADY_AUTHORIZED");
+        return;
+      }
+      const issue = takeFailure("authorize", req);
+      if (issue) {
+        sendIssue(res, ISSUE_STATUSES[issue] ?? 422, issue);
+        return;
+      }
+      if (order.status !== "APPROVED") {
+        sendIssue(res, 422, "ORDER_NOT_APPROVED");
+        return;
+      }
+
+      const unit = order.purchase_units[0];
+      const authorization = createAuthorization({ amount: unit.amount, orderId: order.id });
+      order.status = "COMPLETED";
+      order.update_time = authorization.create_time;
+      unit.payments = { authorizations: [publicAuthorization(authorization)] };
+      res.status(201).json(completedOrder(order));
+    })
+  );
+
+  const findAuthorization = (req, res) => {
+    const authorization = state.authorizations.get(req.params.authorizationId);
+    if (!authorization) {
+      sendIssue(res, 404, "INVALID_RESOURCE_ID");
+    }
+    return authorization;
+  };
+
+  app.get("/v2/payments/authorizations/:authorizationId", requireToken("getAuthorization"), (req, res) => {
+    const authorization = findAuthorization(req, res);
+    if (authorization) {
+      res.json(publicAuthorization(authorization));
+    }
+  });
+
+  app.post(
+    "/v2/payments/authorizations/:authorizationId/capture",
+    requireToken("authorizationCapture"),
+    replayable("authorizationCapture", (req, res) => {
+      const authorization = findAuthorization(req, res);
+      if (!authorization) {
+        return;
+      }
+      const issue = takeFailure("authorizationCapture", req);
+      if (issue) {
+        sendIssue(res, ISSUE_STATUSES[issue] ?? 422, issue);
+        return;
+      }
+      if (authorization.status === "VOIDED") {
+        sendIssue(res, 422, "AUTHORIZATION_VOIDED");
+        return;
+      }
+      if (authorization.status === "CAPTURED") {
+        sendIssue(res, 422, "AUTHORIZATION_ALREADY_CAPTURED");
+        return;
+      }
+
+      const { currency_code: currency, value } = authorization.amount;
+      const remaining = Number(value) - authorization.captured;
+      const amount = req.body?.amount?.value === undefined ? remaining : Number(req.body.amount.value);
+      if (amount <= 0 || amount > remaining + 1e-9) {
+        sendIssue(res, 422, "MAX_CAPTURE_AMOUNT_EXCEEDED");
+        return;
+      }
+
+      const capture = createCapture({
+        amount: money(amount.toFixed(2), currency),
+        orderId: authorization.orderId,
+        authorizationId: authorization.id,
+        finalCapture: req.body?.final_capture !== false,
+      });
+      authorization.captured += amount;
+      const unit = state.orders.get(authorization.orderId)?.purchase_units[0];
+      if (unit) {
+        unit.payments.captures = [...(unit.payments.captures ?? []), capture];
+      }
+      authorization.status =
+        capture.final_capture || authorization.captured >= Number(value) - 1e-9 ? "CAPTURED" : "PARTIALLY_CAPTURED";
+      authorization.update_time = capture.create_time;
+      res.status(201).json(capture);
+    })
+  );
+
+  app.post("/v2/payments/authorizations/:authorizationId/void", requireToken("void"), (req, res) => {
+    const authorization = findAuthorization(req, res);
+    if (!authorization) {
+      return;
+    }
+    if (["CAPTURED", "PARTIALLY_CAPTURED"].includes(authorization.status)) {
+      sendIssue(res, 422, "AUTHORIZATION_ALREADY_CAPTURED");
+      return;
+    }
+    authorization.status = "VOIDED";
+    authorization.update_time = new Date().toISOString();
+    res.status(204).end();
+  });
+
+  app.post(
+    "/v2/payments/authorizations/:authorizationId/reauthorize",
+    requireToken("reauthorize"),
+    replayable("reauthorize", (req, res) => {
+      const authorization = findAuthorization(req, res);
+      if (!authorization) {
+        return;
+      }
+      if (authorization.status !== "CREATED") {
+        sendIssue(res, 422, authorization.status === "VOIDED" ? "AUTHORIZATION_VOIDED" : "AUTHORIZATION_ALREADY_CAPTURED");
+        return;
+      }
+      const reauthorized = createAuthorization({
+        amount: req.body?.amount ?? authorization.amount,
+        orderId: authorization.orderId,
+      });
+      res.status(201).json(publicAuthorization(reauthorized));
+    })
+  );
+
+  app.get("/v2/payments/captures/:captureId", requireToken("getCapture"), (req, res) => {
+    const capture = state.captures.get(req.params.captureId);
+    if (!capture) {
+      sendIssue(res, 404, "INVALID_RESOURCE_ID");
+      return;
+    }
+    const { orderId: _orderId, refunded: _refunded, ...details } = capture;
+    res.json(details);
+  });
+
+  // Transaction search, captures only. Like PayPal, a single search spans at most 31 days.
+  app.get("/v1/reporting/transactions", requireToken("listTransactions"), (req, res) => {
+    const start = Date.parse(req.query.start_date);
+    const end = Date.parse(req.query.end_date);
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      sendIssue(res, 400, "MISSING_REQUIRED_PARAMETER");
+      return;
+    }
+    if (end < start || end - start > TRANSACTION_SEARCH_MAX_DAYS * 24 * 60 * 60 * 1000) {
+      sendIssue(res, 400, "INVALID_PARAMETER_VALUE");
+      return;
+    }
+    const pageSize = Math.min(Number(req.query.page_size) || 100, 500);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const matching = [...state.captures.values()].filter((capture) => {
+      const created = Date.parse(capture.create_time);
+      return created >= start && created <= end;
+    });
+    res.json({
+      transaction_details: matching.slice((page - 1) * pageSize, page * pageSize).map((capture) => ({
+        transaction_info: {
+          transaction_id: capture.id,
+          paypal_reference_id: capture.orderId,
+          paypal_reference_id_type: "ODR",
+          transaction_event_code: "T0006",
+          transaction_initiation_date: capture.create_time,
+          transaction_updated_date: capture.update_time,
+          transaction_amount: capture.amount,
+          transaction_status: capture.status === "COMPLETED" ? "S" : "V",
+        },
+      })),
+      start_date: req.query.start_date,
+      end_date: req.query.end_date,
+      last_refreshed_datetime: new Date().toISOString(),
+      page,
+      total_items: matching.length,
+      total_pages: Math.max(Math.ceil(matching.length / pageSize), 1),
+    });
+  });
+
+  app.post(
+    "/v2/payments/captures/:captureId/refund",
+    requireToken("refund"),
+    replayable("refund", (req, res) => {
+      const capture = state.captures.get(req.params.captureId);
+      if (!capture) {
+        sendIssue(res, 404, "INVALID_RESOURCE_ID");
+        return;
+      }
+      const issue = takeFailure("refund", req);
+      if (issue) {
+        sendIssue(res, ISSUE_STATUSES[issue] ?? 422, issue);
+        return;
+      }
+
+      const remaining = Number(capture.amount.value) - capture.refunded;
+      if (remaining <= 0) {
+        sendIssue(res, 422, "CAPTURE_FULLY_REFUNDED");
+        return;
+      }
+      const amount = req.body?.amount?.value === undefined ? remaining : Number(req.body.amount.value);
+      if (amount > remaining + 1e-9) {
+        sendIssue(res, 422, "REFUND_AMOUNT_EXCEEDED");
+        return;
+      }
+
+      capture.refunded += amount;
+      capture.status = capture.refunded >= Number(capture.amount.value) - 1e-9 ? "REFUNDED" : "PARTIALLY_REFUNDED";
+      const refund = {
+        id: newId(),
+        status: "COMPLETED",
+        amount: money(amount.toFixed(2), capture.amount.currency_code),
+        note_to_payer: req.body?.note_to_payer,
+        create_time: new Date().toISOString(),
+        links: [],
+      };
+      refund.links = [link(`/v2/payments/refunds/${refund.id}`, "self"), link(`/v2/payments/captures/${capture.id}`, "up")];
+      state.refunds.set(refund.id, refund);
+      res.status(201).json(refund);
+    })
+  );
+
+  app.post(
+    "/v1/catalogs/products",
+    requireToken("createProduct"),
+    replayable("createProduct", (req, res) => {
+      const product = { id: `PROD-${newId()}`, ...req.body, create_time: new Date().toISOString() };
+      state.products.set(product.id, product);
+      res.status(201).json(product);
+    })
+  );
+
+  app.post(
+    "/v1/billing/plans",
+    requireToken("createPlan"),
+    replayable("createPlan", (req, res) => {
+      if (!state.products.has(req.body?.product_id) || !req.body?.billing_cycles?.length) {
+        sendIssue(res, 400, "MISSING_REQUIRED_PARAMETER");
+        return;
+      }
+      const plan = { id: `P-${newId(24)}`, status: "ACTIVE", ...req.body, create_time: new Date().toISOString() };
+      state.billingPlans.set(plan.id, plan);
+      res.status(201).json(plan);
+    })
+  );
+
+  app.post(
+    "/v1/billing/subscriptions",
+    requireToken("createSubscription"),
+    replayable("createSubscription", (req, res) => {
+      const issue = takeFailure("createSubscription", req);
+      if (issue) {
+        sendIssue(res, ISSUE_STATUSES[issue] ?? 422, issue);
+        return;
+      }
+      if (!state.billingPlans.has(req.body?.plan_id)) {
+        sendIssue(res, 404, "INVALID_RESOURCE_ID");
+        return;
+      }
+      const id = `I-${newId(12)}`;
+      const subscription = {
+        id,
+        plan_id: req.body.plan_id,
+        custom_id: req.body.custom_id,
+        ...(req.body.plan ? { plan_overridden: true } : {}),
+        status: "APPROVAL_PENDING",
+        status_update_time: new Date().toISOString(),
+        create_time: new Date().toISOString(),
+        links: [
+          { href: `https://www.sandbox.paypal.com/webapps/billing/subscriptions?ba_token=BA-${id}`, rel: "approve", method: "GET" },
+          link(`/v1/billing/subscriptions/${id}`, "self"),
+        ],
+      };
+      state.subscriptions.set(id, subscription);
+      res.status(201).json(subscription);
+    })
+  );
+
+  app.get("/v1/billing/subscriptions/:subscriptionId", requireToken("getSubscription"), (req, res) => {
+    const subscription = state.subscriptions.get(req.params.subscriptionId);
+    if (!subscription) {
+      sendIssue(res, 404, "INVALID_RESOURCE_ID");
+      return;
+    }
+    res.json(subscription);
+  });
+
+  // The states each lifecycle call may start from, and where it leaves the subscription.
+  const SUBSCRIPTION_TRANSITIONS = {
+    suspend: { from: ["ACTIVE"], to: "SUSPENDED" },
+    activate: { from: ["SUSPENDED"], to: "ACTIVE" },
+    cancel: { from: ["ACTIVE", "SUSPENDED"], to: "CANCELLED" },
+  };
+
+  app.post("/v1/billing/subscriptions/:subscriptionId/:action", requireToken("updateSubscription"), (req, res) => {
+    const subscription = state.subscriptions.get(req.params.subscriptionId);
+    const transition = SUBSCRIPTION_TRANSITIONS[req.params.action];
+    if (!subscription || !transition) {
+      sendIssue(res, 404, "INVALID_RESOURCE_ID");
+      return;
+    }
+    if (!req.body?.reason) {
+      sendIssue(res, 400, "MISSING_REQUIRED_PARAMETER");
+      return;
+    }
+    if (!transition.from.includes(subscription.status)) {
+      sendIssue(res, 422, "SUBSCRIPTION_STATUS_INVALID");
+      return;
+    }
+    subscription.status = transition.to;
+    subscription.status_change_note = req.body.reason;
+    subscription.status_update_time = new Date().toISOString();
+    res.status(204).end();
+  });
+
+  app.post("/v1/notifications/verify-webhook-signature", requireToken(), (req, res) => {
+    const {
+      transmission_id: transmissionId,
+      transmission_time: transmissionTime,
+      transmission_sig: signature,
+      webhook_id: requestedWebhookId,
+      webhook_event: event,
+    } = req.body ?? {};
+    if (!transmissionId || !transmissionTime || !signature || !requestedWebhookId || !event) {
+      sendIssue(res, 400, "MISSING_REQUIRED_PARAMETER");
+      return;
+    }
+    const expected = webhookSignature({ transmissionId, transmissionTime, webhookId, event });
+    res.json({ verification_status: requestedWebhookId === webhookId && signature === expected ? "SUCCESS" : "FAILURE" });
+  });
+
+  // Control endpoints for driving the mock by hand when it runs as a standalone process.
+  app.post("/__mock/orders/:orderId/approve", (req, res) => {
+    if (!state.orders.has(req.params.orderId)) {
+      sendIssue(res, 404, "INVALID_RESOURCE_ID");
+      return;
+    }
+    res.json(approveOrder(req.params.orderId, req.body ?? {}));
+  });
+
+  app.post("/__mock/failures", (req, res) => {
+    failNext(req.body?.operation, req.body?.issue, req.body?.times);
+    res.status(201).json({ queued: state.failures });
+  });
+
+  app.post("/__mock/webhooks/sign", (req, res) => {
+    res.json({ headers: signWebhookEvent(req.body, { webhookId }) });
+  });
+
+  app.use((req, res) => sendIssue(res, 404, "INVALID_RESOURCE_ID"));
+
+  return { app, state, approveOrder, approveSubscription, changeShipping, failNext, delayNext, revokeTokens, signWebhookEvent: (event) => signWebhookEvent(event, { webhookId }) };
+};
+
+export const startMockPayPal = (options = {}, port = 0) =>
+  new Promise((resolve) => {
+    const mock = createMockPayPal(options);
+    const server = mock.app.listen(port, () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      mock.state.baseUrl ||= url;
+      const close = () =>
+        new Promise((done) => {
+          server.close(done);
+          server.closeAllConnections();
+        });
+      resolve({ ...mock, url, close });
+    });
+  });
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MOCK_PAYPAL_PORT || 5066);
+  const { url } = await startMockPayPal({}, port);
+  console.log(`Mock PayPal API listening on ${url}`);
+  console.log(`Run the backend with PAYPAL_BASE_URL=${url} PAYPAL_CLIENT_ID=${MOCK_CLIENT_ID} PAYPAL_CLIENT_SECRET=${MOCK_CLIENT_SECRET} PAYPAL_WEBHOOK_ID=${MOCK_WEBHOOK_ID}`);
+}
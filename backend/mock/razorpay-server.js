@@ -0,0 +1,208 @@
+import crypto from "crypto";
+import express from "express";
+import { fileURLToPath } from "url";
+
+// Offline stand-in for the parts of the Razorpay API this backend calls. Point RAZORPAY_BASE_URL at it.
+export const MOCK_KEY_ID = "rzp_test_mockkeyid";
+export const MOCK_KEY_SECRET = "mock-key-secret";
+export const MOCK_WEBHOOK_SECRET = "mock-webhook-secret";
+
+// Queued failures are Razorpay's own outages when listed here, and rejections of the request otherwise.
+const ERROR_STATUSES = { SERVER_ERROR: 500, GATEWAY_ERROR: 502 };
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(10).toString("base64").replace(/[^A-Z0-9]/gi, "").slice(0, 14)}`;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const sendError = (res, status, code, description, extra = {}) =>
+  res.status(status).json({ error: { code, description, source: "NA", step: "NA", reason: "NA", metadata: {}, ...extra } });
+
+const hmacHex = (secret, payload) => crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+export const createMockRazorpay = ({ keyId = MOCK_KEY_ID, keySecret = MOCK_KEY_SECRET, webhookSecret = MOCK_WEBHOOK_SECRET } = {}) => {
+  const state = {
+    orders: new Map(),
+    payments: new Map(),
+    refunds: new Map(),
+    failures: [],
+    requests: [],
+  };
+
+  // Queues a one-off failure for the next call to an operation: "createOrder", "getPayment", "capture" or "refund".
+  const failNext = (operation, code, description = code) => {
+    state.failures.push({ operation, code, description });
+  };
+
+  const takeFailure = (operation, res) => {
+    const index = state.failures.findIndex((failure) => failure.operation === operation);
+    if (index === -1) {
+      return false;
+    }
+    const [{ code, description }] = state.failures.splice(index, 1);
+    sendError(res, ERROR_STATUSES[code] ?? 400, code, description);
+    return true;
+  };
+
+  // What Razorpay Checkout does in the browser: the buyer pays the order and the handler receives a signed payment id.
+  // Payments start out authorized unless the order was set to capture automatically.
+  const payOrder = (orderId, { email = "buyer@example.com", captured = false } = {}) => {
+    const order = state.orders.get(orderId);
+    if (!order) {
+      throw new Error(`Unknown mock order ${orderId}.`);
+    }
+    const payment = {
+      id: newId("pay"),
+      entity: "payment",
+      amount: order.amount,
+      currency: order.currency,
+      status: captured ? "captured" : "authorized",
+      order_id: orderId,
+      method: "upi",
+      amount_refunded: 0,
+      captured,
+      email,
+      contact: "+919900000000",
+      created_at: now(),
+    };
+    state.payments.set(payment.id, payment);
+    order.status = "attempted";
+    return { paymentId: payment.id, signature: hmacHex(keySecret, `${orderId}|${payment.id}`), payment };
+  };
+
+  // Razorpay signs the raw webhook body with the webhook secret, which the tests know too.
+  const signWebhookEvent = (event, { eventId = newId("evt") } = {}) => ({
+    "X-Razorpay-Signature": hmacHex(webhookSecret, JSON.stringify(event)),
+    "X-Razorpay-Event-Id": eventId,
+  });
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, headers: req.headers, body: req.body });
+    const expected = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString("base64")}`;
+    if (req.get("Authorization") !== expected) {
+      sendError(res, 401, "BAD_REQUEST_ERROR", "Authentication failed");
+      return;
+    }
+    next();
+  });
+
+  app.post("/orders", (req, res) => {
+    if (takeFailure("createOrder", res)) {
+      return;
+    }
+    const { amount, currency, receipt, notes } = req.body ?? {};
+    if (!Number.isInteger(amount) || amount < 100) {
+      sendError(res, 400, "BAD_REQUEST_ERROR", "Order amount less than minimum amount allowed", { field: "amount" });
+      return;
+    }
+    const order = {
+      id: newId("order"),
+      entity: "order",
+      amount,
+      amount_paid: 0,
+      amount_due: amount,
+      currency,
+      receipt: receipt ?? null,
+      status: "created",
+      attempts: 0,
+      notes: notes ?? {},
+      created_at: now(),
+    };
+    state.orders.set(order.id, order);
+    res.json(order);
+  });
+
+  app.get("/payments/:paymentId", (req, res) => {
+    if (takeFailure("getPayment", res)) {
+      return;
+    }
+    const payment = state.payments.get(req.params.paymentId);
+    if (!payment) {
+      sendError(res, 400, "BAD_REQUEST_ERROR", "The id provided does not exist");
+      return;
+    }
+    res.json(payment);
+  });
+
+  app.post("/payments/:paymentId/capture", (req, res) => {
+    if (takeFailure("capture", res)) {
+      return;
+    }
+    const payment = state.payments.get(req.params.paymentId);
+    if (!payment) {
+      sendError(res, 400, "BAD_REQUEST_ERROR", "The id provided does not exist");
+      return;
+    }
+    if (payment.status !== "authorized") {
+      sendError(res, 400, "BAD_REQUEST_ERROR", "This payment has already been captured");
+      return;
+    }
+    if (req.body?.amount !== payment.amount || req.body?.currency !== payment.currency) {
+      sendError(res, 400, "BAD_REQUEST_ERROR", "Capture amount must be equal to the amount authorized", { field: "amount" });
+      return;
+    }
+    Object.assign(payment, { status: "captured", captured: true });
+    const order = state.orders.get(payment.order_id);
+    Object.assign(order, { status: "paid", amount_paid: payment.amount, amount_due: 0 });
+    res.json(payment);
+  });
+
+  app.post("/payments/:paymentId/refund", (req, res) => {
+    if (takeFailure("refund", res)) {
+      return;
+    }
+    const payment = state.payments.get(req.params.paymentId);
+    if (!payment || payment.status === "authorized") {
+      sendError(res, 400, "BAD_REQUEST_ERROR", "The payment has not been captured");
+      return;
+    }
+    const amount = req.body?.amount ?? payment.amount - payment.amount_refunded;
+    if (amount > payment.amount - payment.amount_refunded) {
+      sendError(res, 400, "BAD_REQUEST_ERROR", "The refund amount provided is greater than amount captured", { field: "amount" });
+      return;
+    }
+    const refund = {
+      id: newId("rfnd"),
+      entity: "refund",
+      amount,
+      currency: payment.currency,
+      payment_id: payment.id,
+      notes: req.body?.notes ?? {},
+      status: "processed",
+      created_at: now(),
+    };
+    state.refunds.set(refund.id, refund);
+    payment.amount_refunded += amount;
+    if (payment.amount_refunded === payment.amount) {
+      payment.status = "refunded";
+    }
+    res.json(refund);
+  });
+
+  app.use((req, res) => sendError(res, 400, "BAD_REQUEST_ERROR", "The requested URL was not found on the server."));
+
+  return { app, state, payOrder, failNext, signWebhookEvent };
+};
+
+export const startMockRazorpay = (options = {}, port = 0) =>
+  new Promise((resolve) => {
+    const mock = createMockRazorpay(options);
+    const server = mock.app.listen(port, () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      const close = () =>
+        new Promise((done) => {
+          server.close(done);
+          server.closeAllConnections();
+        });
+      resolve({ ...mock, url, close });
+    });
+  });
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MOCK_RAZORPAY_PORT || 5067);
+  const { url } = await startMockRazorpay({}, port);
+  console.log(`Mock Razorpay API listening on ${url}`);
+  console.log(`Run the backend with RAZORPAY_BASE_URL=${url} RAZORPAY_KEY_ID=${MOCK_KEY_ID} RAZORPAY_KEY_SECRET=${MOCK_KEY_SECRET} RAZORPAY_WEBHOOK_SECRET=${MOCK_WEBHOOK_SECRET}`);
+}
@@ -0,0 +1,31 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createPrivacy, readPrivacyOptions } from "../lib/privacy.js";
+import { importJsonlLogs } from "../lib/store/import-jsonl.js";
+import { createSqliteRepository } from "../lib/store/sqlite.js";
+
+// One-shot migration of the JSONL logs in backend/data into the SQLite store:
+//   npm run db:import [-- <data dir>] [-- --force]
+dotenv.config();
+
+const args = process.argv.slice(2);
+const force = args.includes("--force");
+const dataDir = args.find((arg) => !arg.startsWith("--")) || process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data");
+const databasePath = process.env.DATABASE_PATH || path.join(dataDir, "payments.db");
+
+const repository = createSqliteRepository({ filePath: databasePath, privacy: createPrivacy(readPrivacyOptions()) });
+try {
+  const existing = Object.entries(await repository.countRows()).filter(([, count]) => count > 0);
+  if (existing.length > 0 && !force) {
+    console.error(`${databasePath} already holds data (${existing.map(([table, count]) => `${table}: ${count}`).join(", ")}).`);
+    console.error("Re-run with --force to import on top of it; captures, refunds and invoices are skipped if already present.");
+    process.exitCode = 1;
+  } else {
+    const imported = await importJsonlLogs({ dataDir, repository });
+    Object.entries(imported).forEach(([fileName, count]) => console.log(`${fileName}: ${count} records`));
+    console.log(`Imported into ${databasePath}`);
+  }
+} finally {
+  repository.close();
+}
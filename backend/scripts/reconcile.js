@@ -0,0 +1,56 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createPayPalGateway } from "../lib/gateways/paypal.js";
+import { readPayPalHttpOptions } from "../lib/paypal.js";
+import { createPrivacy, readPrivacyOptions } from "../lib/privacy.js";
+import { parseReconciliationPage, parseReconciliationWindow, reconcileOrders } from "../lib/reconciliation.js";
+import { createSqliteRepository } from "../lib/store/sqlite.js";
+
+// Compares recent orders and PayPal transactions with our records and prints the report as JSON; exits non-zero while
+// anything is left unresolved.
+//   npm run reconcile [-- --days=7] [-- --repair]
+dotenv.config();
+
+const args = process.argv.slice(2);
+const option = (name) => args.find((arg) => arg.startsWith(`--${name}=`))?.split("=")[1];
+
+const dataDir = process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data");
+const environment = (process.env.PAYPAL_ENVIRONMENT || "sandbox").toLowerCase();
+const paypal = createPayPalGateway({
+  baseUrl:
+    process.env.PAYPAL_BASE_URL || (environment === "live" ? "https://api-m.paypal.com" : "https://api-m.sandbox.paypal.com"),
+  clientId: process.env.PAYPAL_CLIENT_ID,
+  clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+  environment,
+  http: readPayPalHttpOptions(),
+});
+
+const repository = createSqliteRepository({
+  filePath: process.env.DATABASE_PATH || path.join(dataDir, "payments.db"),
+  privacy: createPrivacy(readPrivacyOptions()),
+});
+try {
+  const since = parseReconciliationWindow(option("days"));
+  const repair = args.includes("--repair");
+  // Walks every page of the window and prints them as one report.
+  let report = await reconcileOrders({ repository, paypal, since, repair });
+  while (report.nextCursor) {
+    const { after } = parseReconciliationPage({ cursor: report.nextCursor });
+    const page = await reconcileOrders({ repository, paypal, since, after, repair });
+    report = {
+      ...page,
+      checkedAt: report.checkedAt,
+      ordersChecked: report.ordersChecked + page.ordersChecked,
+      transactionsChecked: report.transactionsChecked + page.transactionsChecked,
+      discrepancies: [...report.discrepancies, ...page.discrepancies],
+      errors: [...report.errors, ...page.errors],
+    };
+  }
+  console.log(JSON.stringify(report, null, 2));
+  if (report.errors.length > 0 || report.discrepancies.some((discrepancy) => !discrepancy.repaired)) {
+    process.exitCode = 1;
+  }
+} finally {
+  repository.close();
+}
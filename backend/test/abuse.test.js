@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startStack } from "./support.js";
+
+const SMALL_ORDER = { planId: "startup", billingPeriod: "monthly" };
+const LARGE_ORDER = { ...SMALL_ORDER, topUps: [{ id: "topup-email", amount: 200 }] };
+
+describe("checkout rate limits", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack({ ORDER_RATE_LIMIT_PER_IP: "4", ORDER_RATE_LIMIT_PER_SESSION: "2" });
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  const createOrder = (session) =>
+    stack.api("/api/orders", {
+      method: "POST",
+      body: SMALL_ORDER,
+      headers: session ? { "X-Checkout-Session": session } : {},
+    });
+
+  it("limits order creation per checkout session and per IP", async () => {
+    assert.equal((await createOrder("session-a")).status, 201);
+    assert.equal((await createOrder("session-a")).status, 201);
+
+    const limited = await createOrder("session-a");
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, "RATE_LIMITED");
+    assert.equal(limited.body.action, "retry");
+    assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+    assert.equal(stack.paypal.state.requests.filter((request) => request.path === "/v2/checkout/orders").length, 2);
+
+    // A fresh session has its own allowance, until the IP runs out.
+    assert.equal((await createOrder("session-b")).status, 201);
+    assert.equal((await createOrder("session-c")).status, 429);
+  });
+
+  it("refuses oversized request bodies", async () => {
+    const response = await stack.api("/api/quote", {
+      method: "POST",
+      body: { ...SMALL_ORDER, client: { page: "x".repeat(40 * 1024) } },
+    });
+    assert.equal(response.status, 413);
+    assert.equal(response.body.code, "PAYLOAD_TOO_LARGE");
+  });
+});
+
+describe("fraud screening", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack({
+      FRAUD_MAX_ORDER_VALUE: "100",
+      FRAUD_BLOCKED_COUNTRIES: "KP, IR",
+      FRAUD_MAX_ORDERS_PER_EMAIL_HOUR: "1:flag",
+    });
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  const calls = (path) => stack.paypal.state.requests.filter((request) => request.path === path).length;
+
+  const approvedOrder = async (payer) => {
+    const created = await stack.api("/api/orders", { method: "POST", body: SMALL_ORDER });
+    stack.paypal.approveOrder(created.body.id, payer);
+    return created.body.id;
+  };
+
+  it("rejects an order over the value limit before it reaches PayPal", async () => {
+    const before = calls("/v2/checkout/orders");
+    const response = await stack.api("/api/orders", { method: "POST", body: LARGE_ORDER });
+
+    assert.equal(response.status, 422);
+    assert.equal(response.body.code, "ORDER_REJECTED");
+    assert.equal(response.body.action, "none");
+    assert.equal(calls("/v2/checkout/orders"), before);
+  });
+
+  it("rejects a payer from a blocked country before capturing, for good", async () => {
+    const orderId = await approvedOrder({ email: "blocked@example.com", countryCode: "kp" });
+
+    const response = await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} });
+    assert.equal(response.status, 422);
+    assert.equal(response.body.code, "PAYMENT_REJECTED");
+    assert.equal(calls(`/v2/checkout/orders/${orderId}/capture`), 0);
+
+    const order = (await stack.api(`/api/orders/${orderId}`, { as: "viewer" })).body;
+    assert.equal(order.status, "CANCELLED");
+    assert.equal(order.review.status, "REJECTED");
+    assert.deepEqual(order.review.findings.map((entry) => entry.rule), ["blockedCountries"]);
+
+    const retried = await stack.api(`/api/orders/${orderId}/capture`, {
+      method: "POST",
+      body: {},
+      headers: { "Idempotency-Key": "retry-rejected" },
+    });
+    assert.equal(retried.body.code, "PAYMENT_REJECTED");
+  });
+
+  it("flags a payer over the hourly order limit but still takes the payment", async () => {
+    const payer = { email: "Busy.Buyer@example.com", countryCode: "US" };
+    const first = await approvedOrder(payer);
+    assert.equal((await stack.api(`/api/orders/${first}/capture`, { method: "POST", body: {} })).status, 200);
+    const second = await approvedOrder({ ...payer, email: "busy.buyer@example.com" });
+    assert.equal((await stack.api(`/api/orders/${second}/capture`, { method: "POST", body: {} })).status, 200);
+
+    const flagged = (await stack.api("/api/admin/reviews", { as: "viewer" })).body.data;
+    assert.deepEqual(flagged.map((order) => order.orderId), [second]);
+    assert.equal(flagged[0].status, "COMPLETED");
+    assert.equal(flagged[0].review.findings[0].rule, "maxOrdersPerEmailPerHour");
+
+    const rejected = (await stack.api("/api/admin/reviews?status=rejected", { as: "viewer" })).body.data;
+    assert.equal(rejected.length, 1);
+  });
+});
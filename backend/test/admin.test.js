@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { ADMIN_KEYS, startStack } from "./support.js";
+
+describe("admin API", () => {
+  let stack;
+  let orderId;
+  let receiptToken;
+
+  before(async () => {
+    stack = await startStack({ CORS_ORIGINS: "https://shop.example.com, https://admin.example.com" });
+    const created = await stack.api("/api/orders", {
+      method: "POST",
+      body: { planId: "startup", billingPeriod: "monthly", customerId: "admin@example.com" },
+    });
+    orderId = created.body.id;
+    receiptToken = created.body.receiptToken;
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  const auditEntries = async () => (await stack.api("/api/admin/audit", { as: "finance" })).body.data;
+
+  it("refuses back-office requests without a valid key", async () => {
+    const missing = await stack.api(`/api/orders/${orderId}`);
+    assert.equal(missing.status, 401);
+    assert.match(missing.headers.get("www-authenticate"), /^Bearer/);
+
+    const wrong = await stack.api("/api/transactions", { headers: { Authorization: "Bearer not-a-key" } });
+    assert.equal(wrong.status, 401);
+
+    // Looking a subscription up syncs it from PayPal, so a forged token must not get that far.
+    const subscription = await stack.api("/api/subscriptions/I-UNKNOWN?token=forged");
+    assert.equal(subscription.status, 401);
+    assert.equal(stack.paypal.state.requests.some((request) => request.path.startsWith("/v1/billing")), false);
+  });
+
+  it("lets each role do only what it is for", async () => {
+    const me = await stack.api("/api/admin/me", { as: "support" });
+    assert.deepEqual(me.body, { operator: "support-operator", role: "support" });
+
+    assert.equal((await stack.api(`/api/orders/${orderId}`, { as: "viewer" })).status, 200);
+    assert.equal((await stack.api("/api/privacy/forget", { method: "POST", body: {}, as: "viewer" })).status, 403);
+    assert.equal((await stack.api("/api/privacy/forget", { method: "POST", body: {}, as: "support" })).status, 400);
+
+    const refund = { method: "POST", body: { amount: "1.00" } };
+    assert.equal((await stack.api("/api/captures/UNKNOWN/refund", { ...refund, as: "support" })).status, 403);
+    assert.equal((await stack.api("/api/captures/UNKNOWN/refund", { ...refund, as: "finance" })).status, 404);
+
+    const viewerKey = { headers: { "X-Admin-Key": ADMIN_KEYS.viewer } };
+    assert.equal((await stack.api("/api/admin/audit", viewerKey)).status, 403);
+  });
+
+  it("writes every back-office request to the audit log, without query values", async () => {
+    await stack.api("/api/transactions?payerEmail=someone%40example.com", { as: "viewer" });
+    await stack.api(`/api/orders/${orderId}`);
+
+    const [refused, search] = await auditEntries();
+    assert.equal(refused.operator, null);
+    assert.equal(refused.status, 401);
+    assert.equal(refused.path, "/api/orders/:orderId");
+    assert.deepEqual(refused.params, { orderId });
+
+    assert.equal(search.operator, "viewer-operator");
+    assert.equal(search.role, "viewer");
+    assert.equal(search.status, 200);
+    assert.deepEqual(search.query, ["payerEmail"]);
+    assert.doesNotMatch(JSON.stringify(await auditEntries()), /someone@example\.com/);
+  });
+
+  it("keeps checkout open, and an admin key gives it nothing extra", async () => {
+    const before = (await auditEntries()).length;
+
+    const config = await stack.api("/api/config", { as: "finance" });
+    assert.equal(config.status, 200);
+    const capture = await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {}, as: "finance" });
+    assert.equal(capture.status, 422);
+    const cancelled = await stack.api(`/api/orders/${orderId}/cancel?token=${receiptToken}`, {
+      method: "POST",
+      body: {},
+      as: "finance",
+    });
+    assert.equal(cancelled.status, 200);
+
+    // The audit read itself is the only new entry.
+    assert.equal((await auditEntries()).length, before + 1);
+  });
+
+  it("only allows the configured browser origins", async () => {
+    const allowed = await stack.api("/api/config", { headers: { Origin: "https://admin.example.com" } });
+    assert.equal(allowed.headers.get("access-control-allow-origin"), "https://admin.example.com");
+
+    const other = await stack.api("/api/config", { headers: { Origin: "http://localhost:3000" } });
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+  });
+});
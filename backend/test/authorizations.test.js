@@ -0,0 +1,203 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { readPlanPaymentIntents, resolvePaymentIntent } from "../lib/authorizations.js";
+import { ADMIN_KEYS, startStack } from "./support.js";
+
+// The startup plan is configured to authorize at checkout in these tests.
+const REVIEWED_ORDER = {
+  planId: "startup",
+  billingPeriod: "monthly",
+  topUps: [{ id: "topup-email", amount: 20 }],
+  customerId: "review@example.com",
+};
+
+describe("payment intent per plan", () => {
+  it("reads PLAN_PAYMENT_INTENTS as plan ids mapped to intents", () => {
+    assert.deepEqual(readPlanPaymentIntents({}), {});
+    assert.deepEqual(readPlanPaymentIntents({ PLAN_PAYMENT_INTENTS: '{"scaleup":"authorize"}' }), { scaleup: "AUTHORIZE" });
+    assert.throws(() => readPlanPaymentIntents({ PLAN_PAYMENT_INTENTS: "scaleup" }), /PLAN_PAYMENT_INTENTS is not valid JSON/);
+    assert.throws(() => readPlanPaymentIntents({ PLAN_PAYMENT_INTENTS: '["AUTHORIZE"]' }), /must map plan ids/);
+    assert.throws(() => readPlanPaymentIntents({ PLAN_PAYMENT_INTENTS: '{"scaleup":"SALE"}' }), /invalid entry/);
+    assert.throws(() => readPlanPaymentIntents({ PLAN_PAYMENT_INTENTS: '{"premium":"AUTHORIZE"}' }), /invalid entry/);
+  });
+
+  it("captures unless the plan is configured to authorize", () => {
+    const planIntents = { scaleup: "AUTHORIZE" };
+    assert.equal(resolvePaymentIntent({ planId: "scaleup", planIntents }), "AUTHORIZE");
+    assert.equal(resolvePaymentIntent({ planId: "startup", planIntents }), "CAPTURE");
+    assert.equal(resolvePaymentIntent({ planId: "scaleup" }), "CAPTURE");
+  });
+});
+
+describe("authorize now, capture later", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack({ PLAN_PAYMENT_INTENTS: '{"startup":"AUTHORIZE"}' });
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  // Places the hold the way checkout does: create, approve at PayPal, then confirm with the backend.
+  const authorize = async (body = REVIEWED_ORDER) => {
+    const created = await stack.api("/api/orders", { method: "POST", body });
+    stack.paypal.approveOrder(created.body.id, { email: "review@example.com" });
+    const confirmed = await stack.api(`/api/orders/${created.body.id}/capture`, { method: "POST", body: {} });
+    assert.equal(confirmed.status, 200);
+    return {
+      orderId: created.body.id,
+      authorizationId: confirmed.body.purchase_units[0].payments.authorizations[0].id,
+      receiptToken: created.body.receiptToken,
+    };
+  };
+
+  const getOrder = async (orderId) => (await stack.api(`/api/orders/${orderId}`, { as: "viewer" })).body;
+
+  it("places a hold at checkout and records when it expires", async () => {
+    const { orderId, authorizationId } = await authorize();
+
+    const order = await getOrder(orderId);
+    assert.equal(order.paymentIntent, "AUTHORIZE");
+    assert.equal(order.status, "AUTHORIZED");
+    assert.deepEqual(order.transactions, []);
+    const [authorization] = order.authorizations;
+    assert.equal(authorization.authorizationId, authorizationId);
+    assert.equal(authorization.status, "CREATED");
+    assert.equal(authorization.amount, "69.00");
+    assert.equal(authorization.remainingAmount, "69.00");
+    assert.equal(authorization.payerEmail, "review@example.com");
+    assert.equal(authorization.expiresAt, stack.paypal.state.authorizations.get(authorizationId).expiration_time);
+    assert.equal(authorization.raw, undefined);
+
+    const credits = await stack.api("/api/credits/review@example.com", { as: "viewer" });
+    assert.equal(credits.body.balances.email, 0);
+  });
+
+  it("captures a hold in parts, crediting and invoicing each part", async () => {
+    const { orderId, authorizationId } = await authorize();
+
+    const first = await stack.api(`/api/authorizations/${authorizationId}/capture`, { method: "POST", body: { amount: "34.50" }, as: "finance" });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.authorization.status, "PARTIALLY_CAPTURED");
+    assert.equal(first.body.authorization.remainingAmount, "34.50");
+    assert.equal((await getOrder(orderId)).status, "COMPLETED");
+
+    const tooMuch = await stack.api(`/api/authorizations/${authorizationId}/capture`, { method: "POST", body: { amount: "40.00" }, as: "finance" });
+    assert.equal(tooMuch.status, 400);
+
+    const rest = await stack.api(`/api/authorizations/${authorizationId}/capture`, { method: "POST", body: { finalCapture: true }, as: "finance" });
+    assert.equal(rest.status, 201);
+    assert.equal(rest.body.authorization.status, "CAPTURED");
+    assert.equal(rest.body.authorization.capturedAmount, "69.00");
+    assert.equal(rest.body.authorization.captureIds.length, 2);
+
+    const transactions = (await stack.api(`/api/transactions/${orderId}`, { as: "viewer" })).body.transactions;
+    assert.deepEqual(transactions.map((transaction) => transaction.amount), ["34.50", "34.50"]);
+    assert.ok(transactions.every((transaction) => transaction.authorizationId === authorizationId));
+    assert.equal(transactions[0].payerEmail, "review@example.com");
+
+    const credits = await stack.api("/api/credits/review@example.com", { as: "viewer" });
+    assert.equal(credits.body.balances.email, 500);
+    const invoices = (await stack.repository.listInvoices()).filter((invoice) => invoice.orderId === orderId);
+    assert.deepEqual(invoices.map((invoice) => invoice.captureId), rest.body.authorization.captureIds);
+    // Each part is invoiced for what it took, not for the whole order.
+    for (const invoice of invoices) {
+      const html = await fetch(`${stack.baseUrl}/api/transactions/${orderId}/invoice?captureId=${invoice.captureId}`, {
+        headers: { Authorization: `Bearer ${ADMIN_KEYS.viewer}` },
+      }).then((response) => response.text());
+      assert.match(html, new RegExp(invoice.invoiceNumber));
+      assert.match(html, /Part payment towards Startup Plan \(Monthly\), Email Credits Top-up/);
+      assert.match(html, /Total paid \(USD\)<\/td><td class="amount">\$34\.50/);
+    }
+
+    const again = await stack.api(`/api/authorizations/${authorizationId}/capture`, { method: "POST", body: {}, as: "finance" });
+    assert.equal(again.status, 409);
+  });
+
+  it("voids a hold and cancels the order", async () => {
+    const { orderId, authorizationId, receiptToken } = await authorize();
+
+    // The shopper's cancel link cannot release a hold; that is for an operator.
+    const cancelled = await stack.api(`/api/orders/${orderId}/cancel?token=${receiptToken}`, { method: "POST", body: {} });
+    assert.equal(cancelled.status, 409);
+    assert.equal((await getOrder(orderId)).status, "AUTHORIZED");
+
+    const voided = await stack.api(`/api/authorizations/${authorizationId}/void`, { method: "POST", body: {}, as: "support" });
+    assert.equal(voided.status, 200);
+    assert.equal(voided.body.status, "VOIDED");
+    assert.equal(stack.paypal.state.authorizations.get(authorizationId).status, "VOIDED");
+    assert.equal((await getOrder(orderId)).status, "CANCELLED");
+
+    const capture = await stack.api(`/api/authorizations/${authorizationId}/capture`, { method: "POST", body: {}, as: "finance" });
+    assert.equal(capture.status, 409);
+  });
+
+  it("reauthorizes a hold and captures the new authorization instead", async () => {
+    const { orderId, authorizationId } = await authorize();
+
+    const reauthorized = await stack.api(`/api/authorizations/${authorizationId}/reauthorize`, { method: "POST", body: {}, as: "finance" });
+    assert.equal(reauthorized.status, 201);
+    assert.notEqual(reauthorized.body.authorizationId, authorizationId);
+    assert.equal(reauthorized.body.reauthorizedFrom, authorizationId);
+    assert.equal(reauthorized.body.orderId, orderId);
+    assert.ok(reauthorized.body.expiresAt);
+
+    const original = await stack.api(`/api/authorizations/${authorizationId}`, { as: "viewer" });
+    assert.equal(original.body.reauthorizedBy, reauthorized.body.authorizationId);
+    const stale = await stack.api(`/api/authorizations/${authorizationId}/capture`, { method: "POST", body: {}, as: "finance" });
+    assert.equal(stale.status, 409);
+
+    const capture = await stack.api(`/api/authorizations/${reauthorized.body.authorizationId}/capture`, { method: "POST", body: {}, as: "finance" });
+    assert.equal(capture.status, 201);
+    assert.equal(capture.body.authorization.status, "CAPTURED");
+    assert.equal((await getOrder(orderId)).authorizations.length, 2);
+  });
+
+  it("expires a hold that was never captured", async () => {
+    const { orderId, authorizationId } = await authorize();
+    await stack.repository.saveAuthorization({ authorizationId, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const authorization = await stack.api(`/api/authorizations/${authorizationId}`, { as: "viewer" });
+    assert.equal(authorization.body.status, "EXPIRED");
+    assert.equal((await getOrder(orderId)).status, "EXPIRED");
+
+    const capture = await stack.api(`/api/authorizations/${authorizationId}/capture`, { method: "POST", body: {}, as: "finance" });
+    assert.equal(capture.status, 409);
+  });
+
+  it("replays the authorization when checkout confirms the same order twice", async () => {
+    const { orderId, authorizationId } = await authorize();
+    const replay = await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} });
+
+    assert.equal(replay.headers.get("idempotent-replayed"), "true");
+    assert.equal(replay.body.purchase_units[0].payments.authorizations[0].id, authorizationId);
+  });
+
+  it("authorizes only the plans configured to, and tells checkout which ones", async () => {
+    const catalog = await stack.api("/api/catalog");
+    assert.deepEqual(
+      catalog.body.plans.map((plan) => [plan.id, plan.paymentIntent]),
+      [
+        ["startup", "AUTHORIZE"],
+        ["scaleup", "CAPTURE"],
+        ["enterprise", "CAPTURE"],
+      ]
+    );
+
+    const created = await stack.api("/api/orders", { method: "POST", body: { ...REVIEWED_ORDER, planId: "scaleup" } });
+    assert.equal(created.body.paymentIntent, "CAPTURE");
+    assert.equal(stack.paypal.state.orders.get(created.body.id).intent, "CAPTURE");
+  });
+
+  it("refuses an intent chosen at checkout, and an unknown authorization", async () => {
+    for (const intent of ["CAPTURE", "AUTHORIZE", "SALE"]) {
+      const chosen = await stack.api("/api/orders", { method: "POST", body: { ...REVIEWED_ORDER, intent } });
+      assert.equal(chosen.status, 400);
+    }
+
+    const missing = await stack.api("/api/authorizations/UNKNOWN/capture", { method: "POST", body: {}, as: "finance" });
+    assert.equal(missing.status, 404);
+  });
+});
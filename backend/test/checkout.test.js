@@ -0,0 +1,361 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startStack } from "./support.js";
+
+const STARTUP_YEARLY = { planId: "startup", billingPeriod: "yearly" };
+
+describe("checkout against the mock PayPal API", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack();
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  const createOrder = async (body = STARTUP_YEARLY, headers = {}) => {
+    const response = await stack.api("/api/orders", { method: "POST", body, headers });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return response.body.id;
+  };
+
+  const captureOrder = (orderId, headers = {}) =>
+    stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {}, headers });
+
+  describe("POST /api/orders", () => {
+    it("prices the order from the server catalog", async () => {
+      const orderId = await createOrder({ ...STARTUP_YEARLY, topUps: [{ id: "topup-email", amount: 20 }] });
+
+      const order = stack.paypal.state.orders.get(orderId);
+      assert.equal(order.intent, "CAPTURE");
+      assert.deepEqual(order.purchase_units[0].amount, {
+        currency_code: "USD",
+        value: "59.00",
+        breakdown: { item_total: { currency_code: "USD", value: "59.00" } },
+      });
+      assert.deepEqual(
+        order.purchase_units[0].items.map((item) => [item.sku, item.unit_amount.value]),
+        [
+          ["startup", "39.00"],
+          ["topup-email", "20.00"],
+        ]
+      );
+
+      const logged = await stack.repository.findOrder(orderId);
+      assert.equal(logged.total, "59.00");
+      assert.deepEqual(logged.credits, [{ sku: "topup-email", creditType: "email", credits: 500 }]);
+    });
+
+    it("applies promotions and GST before sending the amount to PayPal", async () => {
+      const orderId = await createOrder({ ...STARTUP_YEARLY, promoCode: "launch20", gstNumber: "27AAPFU0939F1ZV" });
+
+      const { breakdown, value } = stack.paypal.state.orders.get(orderId).purchase_units[0].amount;
+      assert.equal(breakdown.item_total.value, "39.00");
+      assert.equal(breakdown.discount.value, "7.80");
+      assert.equal(breakdown.tax_total.value, "5.62");
+      assert.equal(value, "36.82");
+    });
+
+    it("rejects unknown plans without calling PayPal", async () => {
+      const before = stack.paypal.state.orders.size;
+      const response = await stack.api("/api/orders", { method: "POST", body: { planId: "platinum", billingPeriod: "yearly" } });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /Unknown plan/);
+      assert.equal(stack.paypal.state.orders.size, before);
+    });
+
+    it("rejects a promo code or GST number that is not text", async () => {
+      const before = stack.paypal.state.orders.size;
+      for (const body of [{ promoCode: 20 }, { gstNumber: { gstin: "27AAPFU0939F1ZV" } }]) {
+        const order = await stack.api("/api/orders", { method: "POST", body: { ...STARTUP_YEARLY, ...body } });
+        assert.equal(order.status, 400);
+        assert.match(order.body.message, /must be text/);
+        assert.equal((await stack.api("/api/quote", { method: "POST", body: { ...STARTUP_YEARLY, ...body } })).status, 400);
+      }
+      assert.equal(stack.paypal.state.orders.size, before);
+
+      const subscription = await stack.api("/api/subscriptions", { method: "POST", body: { ...STARTUP_YEARLY, gstNumber: 27 } });
+      assert.equal(subscription.status, 400);
+    });
+
+    it("replays a retried request with the same Idempotency-Key", async () => {
+      const headers = { "Idempotency-Key": "create-retry-1" };
+      const before = stack.paypal.state.orders.size;
+      const first = await stack.api("/api/orders", { method: "POST", body: STARTUP_YEARLY, headers });
+      const second = await stack.api("/api/orders", { method: "POST", body: STARTUP_YEARLY, headers });
+
+      assert.equal(second.status, 201);
+      assert.equal(second.headers.get("idempotent-replayed"), "true");
+      assert.equal(second.body.id, first.body.id);
+      assert.equal(stack.paypal.state.orders.size, before + 1);
+    });
+
+    it("recovers when PayPal revokes the cached access token", async () => {
+      stack.paypal.failNext("createOrder", "UNAUTHORIZED");
+      const issued = stack.paypal.state.tokensIssued;
+
+      await createOrder();
+
+      assert.equal(stack.paypal.state.tokensIssued, issued + 1);
+    });
+  });
+
+  describe("POST /api/orders/:orderId/capture", () => {
+    it("captures an approved order and persists the capture with its order context", async () => {
+      const orderId = await createOrder({ ...STARTUP_YEARLY, promoCode: "LAUNCH20", gstNumber: "27AAPFU0939F1ZV" });
+      stack.paypal.approveOrder(orderId, { email: "buyer@example.com", givenName: "Asha" });
+
+      const response = await captureOrder(orderId);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.status, "COMPLETED");
+      const capture = response.body.purchase_units[0].payments.captures[0];
+
+      const record = await stack.repository.findCapture(capture.id);
+      assert.equal(record.type, "capture");
+      assert.equal(record.gateway, "paypal");
+      assert.equal(record.orderId, orderId);
+      assert.equal(record.status, "COMPLETED");
+      assert.equal(record.amount, "36.82");
+      assert.equal(record.payerEmail, "buyer@example.com");
+      assert.equal(record.payerGivenName, "Asha");
+      assert.equal(record.promoCode, "LAUNCH20");
+      assert.equal(record.discount, "7.80");
+      assert.equal(record.gstin, "27AAPFU0939F1ZV");
+      assert.equal(record.tax.lines[0].name, "IGST");
+      assert.deepEqual(record.raw, response.body);
+
+      const history = await stack.api(`/api/transactions/${orderId}`, { as: "viewer" });
+      assert.equal(history.status, 200);
+      assert.equal(history.body.transactions[0].captureId, capture.id);
+    });
+
+    it("replays the stored capture instead of capturing twice", async () => {
+      const orderId = await createOrder();
+      stack.paypal.approveOrder(orderId);
+
+      const first = await captureOrder(orderId);
+      const captureCalls = stack.paypal.state.requests.filter((request) => request.path.endsWith(`${orderId}/capture`)).length;
+      const second = await captureOrder(orderId);
+
+      assert.equal(second.status, 200);
+      assert.equal(second.headers.get("idempotent-replayed"), "true");
+      assert.deepEqual(second.body, first.body);
+      assert.equal(stack.paypal.state.requests.filter((request) => request.path.endsWith(`${orderId}/capture`)).length, captureCalls);
+
+      const records = await stack.repository.transactionRecords({ orderId });
+      assert.equal(records.length, 1);
+    });
+
+    it("asks the buyer to pick another funding source on INSTRUMENT_DECLINED and records nothing", async () => {
+      const orderId = await createOrder();
+      stack.paypal.approveOrder(orderId);
+      stack.paypal.failNext("capture", "INSTRUMENT_DECLINED");
+
+      const response = await captureOrder(orderId);
+
+      assert.equal(response.status, 422);
+      assert.equal(response.body.code, "INSTRUMENT_DECLINED");
+      assert.equal(response.body.action, "restart");
+      assert.equal(response.body.retryable, true);
+      assert.match(response.body.message, /choose another way to pay/);
+      assert.match(response.body.debugId, /^[0-9a-f]+$/);
+      assert.equal(response.body.paypal, undefined);
+      const records = await stack.repository.transactionRecords({ orderId });
+      assert.equal(records.length, 0);
+    });
+
+    it("surfaces ORDER_ALREADY_CAPTURED for an order captured elsewhere", async () => {
+      const orderId = await createOrder();
+      stack.paypal.approveOrder(orderId);
+      stack.paypal.state.orders.get(orderId).status = "COMPLETED";
+
+      const response = await captureOrder(orderId);
+
+      assert.equal(response.status, 409);
+      assert.equal(response.body.code, "ORDER_ALREADY_CAPTURED");
+      assert.equal(response.body.retryable, false);
+      assert.equal(response.body.action, "none");
+    });
+
+    it("retries a PayPal outage itself when the capture carries a request id", async () => {
+      const orderId = await createOrder();
+      stack.paypal.approveOrder(orderId);
+      stack.paypal.failNext("capture", "INTERNAL_SERVICE_ERROR");
+
+      const response = await captureOrder(orderId, { "Idempotency-Key": `capture-${orderId}` });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.status, "COMPLETED");
+    });
+
+    it("marks a PayPal outage that outlasts the retries as retryable and captures on the next attempt", async () => {
+      const orderId = await createOrder();
+      stack.paypal.approveOrder(orderId);
+      // One failure for the first try and for each of the client's two retries.
+      stack.paypal.failNext("capture", "INTERNAL_SERVICE_ERROR", 3);
+
+      const failed = await captureOrder(orderId, { "Idempotency-Key": `capture-${orderId}` });
+      assert.equal(failed.status, 502);
+      assert.equal(failed.body.code, "INTERNAL_SERVICE_ERROR");
+      assert.equal(failed.body.retryable, true);
+      assert.equal(failed.body.action, "retry");
+
+      const retried = await captureOrder(orderId, { "Idempotency-Key": `capture-${orderId}` });
+      assert.equal(retried.status, 200);
+      assert.equal(retried.body.status, "COMPLETED");
+    });
+
+    it("refuses to capture an order the buyer has not approved", async () => {
+      const orderId = await createOrder();
+
+      const response = await captureOrder(orderId);
+
+      assert.equal(response.status, 422);
+      assert.equal(response.body.code, "ORDER_NOT_APPROVED");
+      assert.equal(response.body.action, "restart");
+    });
+  });
+
+  describe("refunds and webhooks", () => {
+    let captureId;
+
+    before(async () => {
+      const orderId = await createOrder({ ...STARTUP_YEARLY, topUps: [{ id: "topup-planning", amount: 11 }] });
+      stack.paypal.approveOrder(orderId, { email: "refunds@example.com" });
+      const response = await captureOrder(orderId);
+      captureId = response.body.purchase_units[0].payments.captures[0].id;
+    });
+
+    it("refunds part of a capture and reverses credits in proportion", async () => {
+      const response = await stack.api(`/api/captures/${captureId}/refund`, { method: "POST", body: { amount: "25.00" }, as: "finance" });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.refundedAmount, "25.00");
+      assert.equal(response.body.refundableAmount, "25.00");
+      assert.equal(stack.paypal.state.captures.get(captureId).status, "PARTIALLY_REFUNDED");
+
+      const credits = await stack.api("/api/credits/refunds@example.com", { as: "finance" });
+      assert.equal(credits.body.balances.planning, 28);
+    });
+
+    it("rejects refunds above the refundable balance", async () => {
+      const response = await stack.api(`/api/captures/${captureId}/refund`, { method: "POST", body: { amount: "30.00" }, as: "finance" });
+
+      assert.equal(response.status, 400);
+    });
+
+    it("rejects a refund reason that is not text", async () => {
+      const response = await stack.api(`/api/captures/${captureId}/refund`, {
+        method: "POST",
+        body: { amount: "1.00", reason: { text: "Duplicate" } },
+        as: "finance",
+      });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, '"reason" must be text.');
+    });
+
+    it("sends a retried refund to PayPal under the same request id, so it is only made once", async () => {
+      const refundRequests = () => stack.paypal.state.requests.filter((request) => request.path.endsWith(`${captureId}/refund`));
+      const refund = (headers = {}) =>
+        stack.api(`/api/captures/${captureId}/refund`, { method: "POST", body: { amount: "5.00" }, headers, as: "finance" });
+      const before = refundRequests().length;
+
+      // PayPal turns the first attempt down; the retry is the same refund.
+      stack.paypal.failNext("refund", "TRANSACTION_REFUSED");
+      assert.equal((await refund()).status, 422);
+      assert.equal((await refund()).status, 201);
+      const [failed, retried] = refundRequests().slice(before);
+      assert.match(failed.headers["paypal-request-id"], /^[0-9a-f]{64}$/);
+      assert.equal(retried.headers["paypal-request-id"], failed.headers["paypal-request-id"]);
+
+      // The next refund of the same amount is a new one.
+      assert.equal((await refund()).status, 201);
+      assert.notEqual(refundRequests().at(-1).headers["paypal-request-id"], retried.headers["paypal-request-id"]);
+
+      // A caller's Idempotency-Key replays the refund it already made.
+      const first = await refund({ "Idempotency-Key": "refund-retry-1" });
+      const again = await refund({ "Idempotency-Key": "refund-retry-1" });
+      assert.equal(again.headers.get("idempotent-replayed"), "true");
+      assert.equal(again.body.refund.id, first.body.refund.id);
+      assert.equal(first.body.refundedAmount, "40.00");
+      assert.equal(stack.paypal.state.captures.get(captureId).refunded, 40);
+    });
+
+    it("accepts a signed webhook once and rejects a forged one", async () => {
+      const event = {
+        id: "WH-MOCK-0001",
+        event_type: "PAYMENT.CAPTURE.COMPLETED",
+        resource: { id: captureId, status: "COMPLETED", amount: { currency_code: "USD", value: "50.00" } },
+      };
+
+      const first = await stack.api("/api/webhooks/paypal", { method: "POST", body: event, headers: stack.paypal.signWebhookEvent(event) });
+      const repeat = await stack.api("/api/webhooks/paypal", { method: "POST", body: event, headers: stack.paypal.signWebhookEvent(event) });
+      const forged = await stack.api("/api/webhooks/paypal", {
+        method: "POST",
+        body: { ...event, id: "WH-MOCK-0002" },
+        headers: stack.paypal.signWebhookEvent(event),
+      });
+
+      assert.deepEqual(first.body, { received: true });
+      assert.deepEqual(repeat.body, { received: true, duplicate: true });
+      assert.equal(forged.status, 400);
+    });
+  });
+});
+
+describe("promo code usage caps", () => {
+  let stack;
+
+  // TOPUP10 can be redeemed 500 times; all but the last redemption are already taken.
+  before(async () => {
+    stack = await startStack();
+    for (let index = 0; index < 499; index += 1) {
+      await stack.repository.saveCapture({
+        type: "capture",
+        gateway: "paypal",
+        orderId: `ORDER-PROMO-${index}`,
+        captureId: `CAPTURE-PROMO-${index}`,
+        status: "COMPLETED",
+        amount: "189.00",
+        currency: "USD",
+        promoCode: "TOPUP10",
+        createTime: new Date().toISOString(),
+      });
+    }
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  it("lets only one of several open orders take the last redemption", async () => {
+    const orderIds = [];
+    for (let index = 0; index < 3; index += 1) {
+      const created = await stack.api("/api/orders", {
+        method: "POST",
+        body: { planId: "scaleup", billingPeriod: "yearly", promoCode: "TOPUP10" },
+      });
+      assert.equal(created.status, 201);
+      stack.paypal.approveOrder(created.body.id);
+      orderIds.push(created.body.id);
+    }
+
+    const captures = await Promise.all(
+      orderIds.map((orderId) => stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} }))
+    );
+    assert.deepEqual(captures.map((capture) => capture.status).sort(), [200, 422, 422]);
+    assert.ok(captures.filter((capture) => capture.status === 422).every((capture) => capture.body.code === "PROMO_LIMIT_REACHED"));
+    assert.equal(stack.paypal.state.requests.filter((request) => request.path.endsWith("/capture")).length, 1);
+
+    const late = await stack.api("/api/orders", {
+      method: "POST",
+      body: { planId: "scaleup", billingPeriod: "yearly", promoCode: "TOPUP10" },
+    });
+    assert.equal(late.status, 400);
+    assert.match(late.body.message, /usage limit/);
+  });
+});
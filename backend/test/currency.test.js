@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { convertFromBase, createMarkets, readFxRates } from "../lib/currency.js";
+import { amountToString, fromMinorUnits, toMinorUnits } from "../lib/money.js";
+import { startStack } from "./support.js";
+
+const STARTUP_MONTHLY = { planId: "startup", billingPeriod: "monthly" };
+
+describe("minor units", () => {
+  it("keeps no decimals for zero-decimal currencies and three for dinars", () => {
+    assert.equal(amountToString(7350.4, "JPY"), "7350");
+    assert.equal(amountToString(7350.5, "KRW"), "7351");
+    assert.equal(amountToString(12, "HUF"), "12");
+    assert.equal(amountToString(1.2345, "KWD"), "1.235");
+    assert.equal(amountToString(49, "USD"), "49.00");
+  });
+
+  it("converts to and from the smallest unit of each currency", () => {
+    assert.equal(toMinorUnits("49.00", "USD"), 4900);
+    assert.equal(toMinorUnits("7350", "JPY"), 7350);
+    assert.equal(toMinorUnits("1.250", "BHD"), 1250);
+    assert.equal(fromMinorUnits(4900, "usd"), "49.00");
+    assert.equal(fromMinorUnits(7350, "JPY"), "7350");
+    assert.equal(fromMinorUnits(1250, "BHD"), "1.250");
+  });
+});
+
+describe("FX rates", () => {
+  it("reads FX_RATES as currency codes mapped to positive rates", () => {
+    assert.deepEqual(readFxRates({}), {});
+    assert.deepEqual(readFxRates({ FX_RATES: '{"eur":0.5,"JPY":140}' }), { EUR: 0.5, JPY: 140 });
+  });
+
+  it("refuses FX_RATES it cannot price with, naming the variable", () => {
+    assert.throws(() => readFxRates({ FX_RATES: "{EUR:0.5}" }), /FX_RATES is not valid JSON/);
+    assert.throws(() => readFxRates({ FX_RATES: "[0.5]" }), /FX_RATES must map currency codes/);
+    assert.throws(() => readFxRates({ FX_RATES: '{"EUR":"0.5"}' }), /FX_RATES has an invalid rate/);
+    assert.throws(() => readFxRates({ FX_RATES: '{"EUR":-0.5}' }), /FX_RATES has an invalid rate/);
+    assert.throws(() => readFxRates({ FX_RATES: '{"EURO":0.5}' }), /FX_RATES has an invalid rate/);
+  });
+
+  it("converts base prices at the configured rate and rounds to the currency's minor unit", () => {
+    const markets = createMarkets({ supported: ["EUR", "JPY"], fxRates: { EUR: 0.5, JPY: 149.5 } });
+
+    assert.equal(convertFromBase(49, markets.get("EUR")), "24.50");
+    assert.equal(convertFromBase(49, markets.get("jpy")), "7326");
+    assert.equal(convertFromBase(49, markets.get()), "49.00");
+    assert.throws(() => markets.get("GBP"), /GBP is not supported/);
+  });
+});
+
+describe("checkout in other currencies", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack({ FX_RATES: '{"EUR":0.5,"JPY":149.5}' });
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  it("prices a quote with the FX_RATES override", async () => {
+    const quote = await stack.api("/api/quote", { method: "POST", body: { ...STARTUP_MONTHLY, currency: "EUR" } });
+
+    assert.equal(quote.status, 200);
+    assert.equal(quote.body.currency, "EUR");
+    assert.equal(quote.body.total, "24.50");
+  });
+
+  it("rounds converted yen to whole amounts and sends PayPal no decimals", async () => {
+    // The plan comes from the JPY price list; the hardware and shipping are converted from USD at 149.5.
+    const body = {
+      ...STARTUP_MONTHLY,
+      currency: "JPY",
+      hardware: [{ id: "room-display", quantity: 1 }],
+      shipping: { countryCode: "US" },
+    };
+    const quote = await stack.api("/api/quote", { method: "POST", body });
+    assert.equal(quote.body.itemTotal, "29576");
+    assert.equal(quote.body.shippingTotal, "1346");
+    assert.equal(quote.body.total, "30922");
+
+    const created = await stack.api("/api/orders", { method: "POST", body });
+    assert.equal(created.status, 201);
+    const request = stack.paypal.state.requests.filter((entry) => entry.path === "/v2/checkout/orders").at(-1);
+    const [unit] = request.body.purchase_units;
+    assert.deepEqual(
+      unit.items.map((item) => item.unit_amount),
+      [
+        { currency_code: "JPY", value: "7300" },
+        { currency_code: "JPY", value: "22276" },
+      ]
+    );
+    assert.deepEqual(unit.amount.breakdown.shipping, { currency_code: "JPY", value: "1346" });
+    assert.equal(unit.amount.value, "30922");
+  });
+});
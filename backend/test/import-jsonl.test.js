@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+import { importJsonlLogs } from "../lib/store/import-jsonl.js";
+import { createSqliteRepository } from "../lib/store/sqlite.js";
+
+const writeLog = (dataDir, name, records) =>
+  fs.writeFile(path.join(dataDir, name), records.map((record) => `${JSON.stringify(record)}\n`).join(""), "utf8");
+
+describe("JSONL import", () => {
+  let dataDir;
+  let repository;
+
+  before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "payment-import-"));
+    repository = createSqliteRepository({ filePath: ":memory:" });
+
+    await writeLog(dataDir, "orders.jsonl", [{ orderId: "ORDER-1", gateway: "paypal", total: "39.00", createdAt: "2025-11-21T12:26:00.000Z" }]);
+    await writeLog(dataDir, "transactions.jsonl", [
+      // Captures logged before records carried a type or gateway.
+      { orderId: "ORDER-1", captureId: "CAPTURE-1", status: "COMPLETED", amount: "39.00", currency: "USD", loggedAt: "2025-11-21T12:27:04.634Z" },
+      { type: "refund", orderId: "ORDER-1", captureId: "CAPTURE-1", refundId: "REFUND-1", status: "PENDING", amount: "10.00", currency: "USD", loggedAt: "2025-11-22T09:00:00.000Z" },
+      { type: "refund", captureId: "CAPTURE-1", refundId: "REFUND-1", status: "COMPLETED", amount: "10.00", currency: "USD", loggedAt: "2025-11-22T09:05:00.000Z" },
+    ]);
+    await writeLog(dataDir, "invoices.jsonl", [
+      { sequence: 7, invoiceNumber: "INV-000007", orderId: "ORDER-1", captureId: "CAPTURE-1", issuedAt: "2025-11-21T12:27:05.000Z" },
+    ]);
+  });
+
+  after(async () => {
+    repository?.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it("imports legacy captures, folds refund updates together and keeps invoice numbers", async () => {
+    const imported = await importJsonlLogs({ dataDir, repository });
+    assert.equal(imported["transactions.jsonl"], 3);
+    assert.equal(imported["credits.jsonl"], 0);
+
+    const capture = await repository.findCapture("CAPTURE-1");
+    assert.equal(capture.type, "capture");
+    assert.equal(capture.gateway, "paypal");
+    assert.equal((await repository.findOrder("ORDER-1")).total, "39.00");
+
+    const refunds = (await repository.transactionRecords({ orderId: "ORDER-1" })).filter((record) => record.type === "refund");
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].status, "COMPLETED");
+    assert.equal(refunds[0].orderId, "ORDER-1");
+
+    const invoice = await repository.issueInvoice({ orderId: "ORDER-1", captureId: "CAPTURE-1", numberFor: () => "unused" });
+    assert.equal(invoice.invoiceNumber, "INV-000007");
+    const next = await repository.issueInvoice({ orderId: "ORDER-2", captureId: "CAPTURE-2", numberFor: (sequence) => `INV-${sequence}` });
+    assert.equal(next.invoiceNumber, "INV-8");
+  });
+
+  it("can be run again without duplicating anything", async () => {
+    await importJsonlLogs({ dataDir, repository });
+    const counts = await repository.countRows();
+    assert.equal(counts.captures, 1);
+    assert.equal(counts.refunds, 1);
+    assert.equal(counts.orders, 1);
+  });
+});
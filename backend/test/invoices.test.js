@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { buildInvoice } from "../lib/invoices.js";
+import { ADMIN_KEYS, startStack } from "./support.js";
+
+describe("invoice lines", () => {
+  const order = {
+    total: "118.00",
+    itemTotal: "100.00",
+    discount: "0.00",
+    items: [{ name: "Scaleup Plan (Monthly)", quantity: "1", unit_amount: { currency_code: "USD", value: "100.00" } }],
+    tax: {
+      gstin: "27AAPFU0939F1ZV",
+      taxTotal: "18.00",
+      lines: [
+        { name: "CGST", rate: 9, amount: "9.00" },
+        { name: "SGST", rate: 9, amount: "9.00" },
+      ],
+    },
+  };
+  const build = (amount) =>
+    buildInvoice({
+      invoice: { invoiceNumber: "INV-000001", issuedAt: "2026-01-01T00:00:00.000Z" },
+      capture: { orderId: "ORDER-1", captureId: "CAPTURE-1", amount, currency: "USD" },
+      order,
+      seller: {},
+    });
+  const addsUp = (invoice) =>
+    (Number(invoice.itemTotal) - Number(invoice.discount) + Number(invoice.taxTotal) + Number(invoice.shippingTotal)).toFixed(2);
+
+  it("itemizes the order when the capture took all of it", () => {
+    const invoice = build("118.00");
+    assert.deepEqual(invoice.lines.map((line) => [line.description, line.amount]), [["Scaleup Plan (Monthly)", "100.00"]]);
+    assert.equal(addsUp(invoice), invoice.total);
+  });
+
+  it("charges a part capture's share of the tax, so its lines add up to what it took", () => {
+    const invoice = build("50.00");
+    assert.equal(invoice.total, "50.00");
+    assert.deepEqual(invoice.taxLines.map((line) => line.amount), ["3.81", "3.81"]);
+    assert.deepEqual(
+      invoice.lines.map((line) => [line.description, line.amount]),
+      [["Part payment towards Scaleup Plan (Monthly)", "42.38"]]
+    );
+    assert.equal(addsUp(invoice), invoice.total);
+  });
+});
+
+describe("invoices", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack({ SELLER_NAME: "Acme Software Pvt Ltd", SELLER_GSTIN: "29AAACA1234A1Z5" });
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  const checkout = async (body) => {
+    const order = await stack.api("/api/orders", { method: "POST", body });
+    stack.paypal.approveOrder(order.body.id, { email: "buyer@example.com", givenName: "Asha", surname: "Rao" });
+    await stack.api(`/api/orders/${order.body.id}/capture`, { method: "POST", body: {} });
+    return order.body;
+  };
+
+  // Shoppers download their receipt with the token handed out when the order was created.
+  const fetchInvoice = async ({ id, receiptToken }, format = "html", headers = {}) => {
+    const token = receiptToken === undefined ? "" : `&token=${receiptToken}`;
+    const response = await fetch(`${stack.baseUrl}/api/transactions/${id}/invoice?format=${format}${token}`, { headers });
+    return { status: response.status, headers: response.headers, body: Buffer.from(await response.arrayBuffer()) };
+  };
+
+  it("numbers invoices sequentially as captures complete", async () => {
+    const first = await checkout({ planId: "startup", billingPeriod: "yearly", gstNumber: "27AAPFU0939F1ZV" });
+    const second = await checkout({ planId: "scaleup", billingPeriod: "monthly" });
+
+    const invoices = await stack.repository.listInvoices();
+    assert.deepEqual(
+      invoices.map((invoice) => [invoice.orderId, invoice.invoiceNumber]),
+      [
+        [first.id, "INV-000001"],
+        [second.id, "INV-000002"],
+      ]
+    );
+  });
+
+  it("renders a GST tax invoice as HTML with the seller, payer, lines and capture id", async () => {
+    const order = await checkout({ planId: "startup", billingPeriod: "monthly", gstNumber: "27AAPFU0939F1ZV" });
+    const [capture] = await stack.repository.transactionRecords({ orderId: order.id });
+
+    const response = await fetchInvoice(order);
+    const html = response.body.toString("utf8");
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /text\/html/);
+    assert.match(html, /Tax Invoice/);
+    assert.match(html, /INV-000003/);
+    assert.match(html, /Acme Software Pvt Ltd/);
+    assert.match(html, /GSTIN 29AAACA1234A1Z5/);
+    assert.match(html, /Asha Rao/);
+    assert.match(html, /buyer@example\.com/);
+    assert.match(html, /Startup Plan \(Monthly\)/);
+    assert.match(html, /IGST @ 18%/);
+    assert.match(html, new RegExp(capture.captureId));
+  });
+
+  it("serves the same invoice number as a PDF on every download", async () => {
+    const order = await checkout({ planId: "startup", billingPeriod: "yearly" });
+
+    const first = await fetchInvoice(order, "pdf");
+    const second = await fetchInvoice({ id: order.id }, "pdf", { Authorization: `Bearer ${ADMIN_KEYS.viewer}` });
+
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get("content-type"), "application/pdf");
+    assert.match(first.headers.get("content-disposition"), /INV-000004\.pdf/);
+    assert.match(second.headers.get("content-disposition"), /INV-000004\.pdf/);
+    assert.equal(first.body.subarray(0, 8).toString("latin1"), "%PDF-1.4");
+    assert.match(first.body.toString("latin1"), /\(39\.00 USD\) Tj/);
+  });
+
+  it("does not invoice orders that were never paid", async () => {
+    const order = await stack.api("/api/orders", { method: "POST", body: { planId: "startup", billingPeriod: "yearly" } });
+
+    const response = await fetchInvoice(order.body);
+
+    assert.equal(response.status, 404);
+    assert.equal((await stack.repository.listInvoices()).length, 4);
+  });
+
+  it("keeps invoices from anyone without the order's receipt token or an operator key", async () => {
+    const order = await checkout({ planId: "startup", billingPeriod: "monthly" });
+    const other = await checkout({ planId: "scaleup", billingPeriod: "monthly" });
+
+    assert.equal((await fetchInvoice({ id: order.id })).status, 401);
+    assert.equal((await fetchInvoice({ id: order.id, receiptToken: "forged" })).status, 401);
+    assert.equal((await fetchInvoice({ id: order.id, receiptToken: other.receiptToken })).status, 401);
+
+    const view = await stack.api(`/api/orders/${order.id}`, { as: "viewer" });
+    assert.equal(view.body.receiptToken, undefined);
+  });
+});
@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { createRegistry } from "../lib/metrics.js";
+import { ADMIN_KEYS, eventually, startStack } from "./support.js";
+
+describe("logs and metrics", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack();
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  // Log lines reach the test over a pipe, a moment after the response they describe.
+  const logsMatching = (predicate) => eventually(() => stack.logs().filter(predicate), (found) => found.length > 0);
+
+  const scrape = async (headers = { Authorization: `Bearer ${ADMIN_KEYS.viewer}` }) => {
+    const response = await fetch(`${stack.baseUrl}/metrics`, { headers });
+    return { status: response.status, text: await response.text() };
+  };
+
+  const checkout = async ({ requestId, decline = false } = {}) => {
+    const created = await stack.api("/api/orders", {
+      method: "POST",
+      body: { planId: "startup", billingPeriod: "monthly" },
+      headers: requestId ? { "X-Request-Id": requestId } : {},
+    });
+    stack.paypal.approveOrder(created.body.id);
+    if (decline) {
+      stack.paypal.failNext("capture", "INSTRUMENT_DECLINED");
+    }
+    const captured = await stack.api(`/api/orders/${created.body.id}/capture`, { method: "POST", body: {} });
+    return { orderId: created.body.id, created, captured };
+  };
+
+  it("follows one checkout from order creation through capture", async () => {
+    const { orderId, created, captured } = await checkout({ requestId: "checkout-trace-1" });
+    assert.equal(created.headers.get("x-request-id"), "checkout-trace-1");
+    const captureRequestId = captured.headers.get("x-request-id");
+    assert.match(captureRequestId, /^[0-9a-f-]{36}$/);
+
+    const lines = await logsMatching((line) => line.checkoutId === "checkout-trace-1" && line.msg === "Payment captured");
+    assert.equal(lines[0].orderId, orderId);
+    assert.equal(lines[0].requestId, captureRequestId);
+    assert.equal(lines[0].level, "info");
+
+    const finished = await logsMatching((line) => line.msg === "Request finished" && line.requestId === captureRequestId);
+    assert.equal(finished[0].route, "/api/orders/:orderId/capture");
+    assert.equal(finished[0].path, undefined);
+    assert.equal(finished[0].status, 200);
+  });
+
+  it("logs a gateway failure with its PayPal debug id", async () => {
+    const { orderId, captured } = await checkout({ decline: true });
+    assert.equal(captured.status, 422);
+
+    const [failure] = await logsMatching((line) => line.msg === "Request failed" && line.orderId === orderId);
+    assert.equal(failure.level, "warn");
+    assert.equal(failure.code, "INSTRUMENT_DECLINED");
+    assert.equal(failure.debugId, captured.body.debugId);
+    assert.match(failure.debugId, /^[0-9a-f]+$/);
+  });
+
+  it("logs the route a request matched, not a path that names a payer", async () => {
+    const lookup = await stack.api("/api/credits/logged.payer@example.com", {
+      as: "viewer",
+      headers: { "X-Request-Id": "credits-1" },
+    });
+    assert.equal(lookup.status, 200);
+
+    const [finished] = await logsMatching((line) => line.msg === "Request finished" && line.requestId === "credits-1");
+    assert.equal(finished.route, "/api/credits/:customerId");
+    assert.ok(stack.logs().every((line) => !JSON.stringify(line).includes("logged.payer")));
+  });
+
+  it("exposes counters and latency histograms to operators only", async () => {
+    assert.equal((await scrape({})).status, 401);
+
+    const { status, text } = await scrape();
+    assert.equal(status, 200);
+    assert.match(text, /^payments_orders_created_total\{gateway="paypal",intent="CAPTURE"\} 2$/m);
+    assert.match(text, /^payments_captures_total\{gateway="paypal",status="COMPLETED"\} 1$/m);
+    assert.match(text, /^payments_captures_total\{gateway="paypal",status="ERROR"\} 1$/m);
+    assert.match(text, /^paypal_api_request_duration_seconds_count\{endpoint="\/v2\/checkout\/orders\/:id\/capture",method="POST",status="201"\} 1$/m);
+    assert.match(text, /^paypal_token_fetches_total\{outcome="success"\} 1$/m);
+    assert.match(text, /^http_request_duration_seconds_count\{route="\/api\/orders\/:orderId\/capture",method="POST",status="200"\} 1$/m);
+
+    // Scrapes are not written to the audit log.
+    const audit = (await stack.api("/api/admin/audit", { as: "finance" })).body.data;
+    assert.ok(audit.every((entry) => entry.path !== "/metrics"));
+  });
+});
+
+describe("metrics registry", () => {
+  it("renders counters and cumulative histogram buckets in the Prometheus text format", () => {
+    const registry = createRegistry();
+    const requests = registry.counter({ name: "requests_total", help: "Requests." });
+    const latency = registry.histogram({ name: "latency_seconds", help: "Latency.", buckets: [0.1, 1] });
+    requests.inc({ route: "a", method: "GET" });
+    requests.inc({ method: "GET", route: "a" }, 2);
+    latency.observe({ route: "a" }, 0.05);
+    latency.observe({ route: "a" }, 0.5);
+
+    assert.equal(
+      registry.render(),
+      [
+        "# HELP requests_total Requests.",
+        "# TYPE requests_total counter",
+        'requests_total{route="a",method="GET"} 3',
+        "# HELP latency_seconds Latency.",
+        "# TYPE latency_seconds histogram",
+        'latency_seconds_bucket{route="a",le="0.1"} 1',
+        'latency_seconds_bucket{route="a",le="1"} 2',
+        'latency_seconds_bucket{route="a",le="+Inf"} 2',
+        'latency_seconds_sum{route="a"} 0.55',
+        'latency_seconds_count{route="a"} 2',
+        "",
+      ].join("\n")
+    );
+  });
+});
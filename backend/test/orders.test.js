@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { eventually, startStack } from "./support.js";
+
+const STARTUP_MONTHLY = { planId: "startup", billingPeriod: "monthly" };
+
+const statusHistory = (order) => order.statusHistory.map((entry) => entry.status);
+
+describe("order lifecycle", () => {
+  let stack;
+  const receiptTokens = new Map();
+
+  before(async () => {
+    stack = await startStack();
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  const createOrder = async (body = STARTUP_MONTHLY) => {
+    const response = await stack.api("/api/orders", {
+      method: "POST",
+      body: { ...body, client: { locale: "en-IN", timezone: "Asia/Kolkata", page: "/pricing", ignored: "x" } },
+      headers: { "User-Agent": "lifecycle-test" },
+    });
+    receiptTokens.set(response.body.id, response.body.receiptToken);
+    return response.body.id;
+  };
+
+  // The shopper's cancel link, which carries the receipt token from checkout.
+  const cancelOrder = (orderId, body = {}, token = receiptTokens.get(orderId)) =>
+    stack.api(`/api/orders/${orderId}/cancel?token=${token}`, { method: "POST", body });
+
+  const getOrder = async (orderId) => (await stack.api(`/api/orders/${orderId}`, { as: "viewer" })).body;
+
+  it("stores every order at creation with its items, total and client context", async () => {
+    const orderId = await createOrder();
+
+    const order = await getOrder(orderId);
+    assert.equal(order.status, "CREATED");
+    assert.equal(order.total, "49.00");
+    assert.deepEqual(order.items.map((item) => item.sku), ["startup"]);
+    assert.equal(order.client.userAgent, "lifecycle-test");
+    assert.equal(order.client.locale, "en-IN");
+    assert.equal(order.client.page, "/pricing");
+    assert.equal(order.client.ignored, undefined);
+    assert.deepEqual(order.transactions, []);
+  });
+
+  it("moves a paid order through APPROVED to COMPLETED", async () => {
+    const orderId = await createOrder();
+    stack.paypal.approveOrder(orderId);
+    await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} });
+
+    const order = await getOrder(orderId);
+    assert.equal(order.status, "COMPLETED");
+    assert.deepEqual(statusHistory(order), ["CREATED", "APPROVED", "COMPLETED"]);
+    assert.equal(order.transactions[0].status, "COMPLETED");
+    assert.equal(order.transactions[0].raw, undefined);
+
+    const cancel = await cancelOrder(orderId);
+    assert.equal(cancel.status, 409);
+  });
+
+  it("records a shopper cancelling checkout", async () => {
+    const orderId = await createOrder();
+    const response = await cancelOrder(orderId);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, "CANCELLED");
+    assert.equal(response.body.statusHistory.at(-1).reason, "Cancelled by the shopper.");
+
+    const again = await cancelOrder(orderId);
+    assert.equal(again.status, 409);
+  });
+
+  it("only lets the shopper who placed an order, or support, cancel it", async () => {
+    const orderId = await createOrder();
+    const other = await createOrder();
+
+    assert.equal((await stack.api(`/api/orders/${orderId}/cancel`, { method: "POST", body: {} })).status, 401);
+    assert.equal((await cancelOrder(orderId, {}, receiptTokens.get(other))).status, 401);
+    assert.equal((await stack.api(`/api/orders/${orderId}/cancel`, { method: "POST", body: {}, as: "viewer" })).status, 403);
+    assert.equal((await getOrder(orderId)).status, "CREATED");
+
+    const cancelled = await stack.api(`/api/orders/${orderId}/cancel`, { method: "POST", body: {}, as: "support" });
+    assert.equal(cancelled.status, 200);
+  });
+
+  it("refuses to capture an order the shopper cancelled", async () => {
+    const orderId = await createOrder();
+    stack.paypal.approveOrder(orderId);
+    await cancelOrder(orderId);
+
+    const capture = await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} });
+    assert.equal(capture.status, 409);
+    assert.equal(capture.body.code, "ORDER_CANCELLED");
+    assert.equal(stack.paypal.state.requests.some((request) => request.path === `/v2/checkout/orders/${orderId}/capture`), false);
+    assert.equal((await getOrder(orderId)).status, "CANCELLED");
+  });
+
+  it("refuses a cancellation reason that is not text", async () => {
+    const orderId = await createOrder();
+    const response = await cancelOrder(orderId, { reason: 42 });
+
+    assert.equal(response.status, 400);
+    assert.equal((await getOrder(orderId)).status, "CREATED");
+  });
+
+  it("marks a declined capture FAILED and lets a retry complete it", async () => {
+    const orderId = await createOrder();
+    stack.paypal.approveOrder(orderId);
+    stack.paypal.failNext("capture", "INSTRUMENT_DECLINED");
+    await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} });
+
+    const failed = await getOrder(orderId);
+    assert.equal(failed.status, "FAILED");
+    assert.equal(failed.statusHistory.at(-1).reason, "INSTRUMENT_DECLINED");
+
+    await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} });
+    assert.deepEqual(statusHistory(await getOrder(orderId)), ["CREATED", "APPROVED", "FAILED", "APPROVED", "COMPLETED"]);
+  });
+
+  it("moves an order to APPROVED when PayPal reports the approval by webhook", async () => {
+    const orderId = await createOrder();
+    const event = {
+      id: "WH-ORDER-APPROVED-1",
+      event_type: "CHECKOUT.ORDER.APPROVED",
+      resource: { id: orderId, status: "APPROVED" },
+    };
+    const response = await stack.api("/api/webhooks/paypal", { method: "POST", body: event, headers: stack.paypal.signWebhookEvent(event) });
+
+    assert.equal(response.status, 200);
+    assert.equal((await getOrder(orderId)).status, "APPROVED");
+  });
+
+  it("returns 404 for an unknown order", async () => {
+    const response = await stack.api("/api/orders/UNKNOWN-ORDER", { as: "viewer" });
+    assert.equal(response.status, 404);
+  });
+});
+
+describe("order expiry", () => {
+  let stack;
+
+  before(async () => {
+    // Roughly a third of a second, so the test does not have to wait for the real three hours.
+    stack = await startStack({ ORDER_EXPIRY_HOURS: "0.0001" });
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  it("expires orders the shopper never paid for", async () => {
+    const { body } = await stack.api("/api/orders", { method: "POST", body: STARTUP_MONTHLY });
+
+    const order = await eventually(
+      async () => (await stack.api(`/api/orders/${body.id}`, { as: "viewer" })).body,
+      (current) => current.status !== "CREATED"
+    );
+    assert.equal(order.status, "EXPIRED");
+    assert.equal((await stack.repository.findOrder(body.id)).status, "EXPIRED");
+  });
+});
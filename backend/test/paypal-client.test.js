@@ -0,0 +1,155 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { MOCK_CLIENT_ID, MOCK_CLIENT_SECRET, startMockPayPal } from "../mock/paypal-server.js";
+import { createPayPalClient } from "../lib/paypal.js";
+
+const ORDER_BODY = {
+  intent: "CAPTURE",
+  purchase_units: [{ amount: { currency_code: "USD", value: "39.00" } }],
+};
+
+describe("PayPal HTTP client", () => {
+  let paypal;
+  let warnings;
+
+  const createClient = (http = {}, { now } = {}) =>
+    createPayPalClient({
+      baseUrl: paypal.url,
+      clientId: MOCK_CLIENT_ID,
+      clientSecret: MOCK_CLIENT_SECRET,
+      http: { retryDelayMs: 5, ...http },
+      logger: { warn: (message) => warnings.push(message) },
+      now,
+    });
+
+  const calls = (path) => paypal.state.requests.filter((request) => request.path === path).length;
+
+  before(async () => {
+    paypal = await startMockPayPal();
+  });
+
+  after(async () => {
+    await paypal?.close();
+  });
+
+  beforeEach(() => {
+    warnings = [];
+    paypal.state.requests.length = 0;
+    paypal.state.failures.length = 0;
+  });
+
+  it("retries a write that carries a request id, logging each failure with its debug id", async () => {
+    const client = createClient();
+    paypal.failNext("createOrder", "INTERNAL_SERVICE_ERROR", 2);
+
+    const order = await client.request("/v2/checkout/orders", { body: ORDER_BODY, requestId: "client-retry-1" });
+
+    assert.equal(order.status, "CREATED");
+    assert.equal(calls("/v2/checkout/orders"), 3);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /INTERNAL_SERVICE_ERROR \(debug id [0-9a-f]+\); retry 1 of 2/);
+  });
+
+  it("never repeats a write without a request id", async () => {
+    const client = createClient();
+    paypal.failNext("createOrder", "INTERNAL_SERVICE_ERROR");
+
+    const error = await client.request("/v2/checkout/orders", { body: ORDER_BODY }).catch((caught) => caught);
+
+    assert.equal(error.status, 502);
+    assert.equal(calls("/v2/checkout/orders"), 1);
+    assert.match(error.debugId, /^[0-9a-f]+$/);
+  });
+
+  it("does not retry PayPal rejecting the request", async () => {
+    const client = createClient();
+    const { id } = await client.request("/v2/checkout/orders", { body: ORDER_BODY, requestId: "client-reject-1" });
+
+    const error = await client
+      .request(`/v2/checkout/orders/${id}/capture`, { requestId: "client-reject-capture-1" })
+      .catch((caught) => caught);
+
+    assert.equal(error.code, "ORDER_NOT_APPROVED");
+    assert.equal(calls(`/v2/checkout/orders/${id}/capture`), 1);
+  });
+
+  it("times out a slow call and retries it when it is safe to", async () => {
+    const client = createClient({ timeoutMs: 1000 });
+    const { id } = await client.request("/v2/checkout/orders", { body: ORDER_BODY, requestId: "client-timeout-1" });
+    paypal.delayNext("getOrder");
+
+    const order = await client.request(`/v2/checkout/orders/${id}`, { method: "GET" });
+
+    assert.equal(order.id, id);
+    assert.match(warnings[0], /PAYPAL_TIMEOUT \(debug id none\)/);
+  });
+
+  it("reports a timeout as retryable once the retries run out", async () => {
+    const client = createClient({ timeoutMs: 1000, maxRetries: 0 });
+    const { id } = await client.request("/v2/checkout/orders", { body: ORDER_BODY, requestId: "client-timeout-2" });
+    paypal.delayNext("getOrder");
+
+    const error = await client.request(`/v2/checkout/orders/${id}`, { method: "GET" }).catch((caught) => caught);
+
+    assert.equal(error.status, 504);
+    assert.equal(error.code, "PAYPAL_TIMEOUT");
+    assert.equal(error.action, "retry");
+  });
+
+  it("reports a refused token in the shared error schema and counts it against the breaker", async () => {
+    const client = createClient({ breakerThreshold: 1 });
+    paypal.failNext("token", "UNAUTHORIZED");
+
+    const error = await client.request("/v2/checkout/orders", { body: ORDER_BODY }).catch((caught) => caught);
+
+    assert.equal(error.status, 502);
+    assert.equal(error.action, "retry");
+    assert.equal(error.gateway, "paypal");
+    assert.equal(error.paypal.error, "invalid_client");
+    assert.match(error.debugId, /^[0-9a-f]+$/);
+    assert.equal(calls("/v2/checkout/orders"), 0);
+    assert.equal(client.breaker.state(), "open");
+  });
+
+  it("counts a token request that never reached PayPal as a failed token fetch", async () => {
+    const outcomes = [];
+    const client = createPayPalClient({
+      // Nothing listens on port 1, so the connection is refused.
+      baseUrl: "http://127.0.0.1:1",
+      clientId: MOCK_CLIENT_ID,
+      clientSecret: MOCK_CLIENT_SECRET,
+      http: { maxRetries: 0 },
+      logger: { warn: () => {} },
+      metrics: { paypalTokenFetches: { inc: ({ outcome }) => outcomes.push(outcome) } },
+    });
+
+    const error = await client.request("/v2/checkout/orders", { body: ORDER_BODY }).catch((caught) => caught);
+
+    assert.equal(error.code, "PAYPAL_UNREACHABLE");
+    assert.deepEqual(outcomes, ["failure"]);
+  });
+
+  it("fails fast while PayPal is down and lets a trial call through after the reset period", async () => {
+    let clock = 0;
+    const client = createClient({ maxRetries: 0, breakerThreshold: 2, breakerResetMs: 30000 }, { now: () => clock });
+    paypal.failNext("createOrder", "INTERNAL_SERVICE_ERROR", 2);
+    for (const attempt of [1, 2]) {
+      await assert.rejects(client.request("/v2/checkout/orders", { body: ORDER_BODY, requestId: `client-breaker-${attempt}` }));
+    }
+
+    const fastFailure = await client
+      .request("/v2/checkout/orders", { body: ORDER_BODY, requestId: "client-breaker-3" })
+      .catch((caught) => caught);
+    assert.equal(fastFailure.status, 503);
+    assert.equal(fastFailure.code, "PAYPAL_UNAVAILABLE");
+    assert.equal(calls("/v2/checkout/orders"), 2);
+    assert.equal(client.breaker.state(), "open");
+
+    clock += 29999;
+    assert.equal(client.breaker.state(), "open");
+    clock += 1;
+    const order = await client.request("/v2/checkout/orders", { body: ORDER_BODY, requestId: "client-breaker-4" });
+    assert.equal(order.status, "CREATED");
+    assert.equal(client.breaker.state(), "closed");
+  });
+});
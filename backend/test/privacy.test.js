@@ -0,0 +1,189 @@
+import assert from "node:assert/strict";
+import path from "path";
+import Database from "better-sqlite3";
+import { after, before, describe, it } from "node:test";
+import { createPrivacy } from "../lib/privacy.js";
+import { createSqliteRepository } from "../lib/store/sqlite.js";
+import { eventually, startStack } from "./support.js";
+
+const PAYER = "Privacy.Buyer@example.com";
+
+describe("personal data at rest", () => {
+  let stack;
+  let orderId;
+  let captureId;
+
+  before(async () => {
+    stack = await startStack({
+      PII_PROTECTION: "encrypt",
+      PII_ENCRYPTION_KEY: "test-only-pii-key",
+      // Roughly a fifth of a second, so the test can age payloads out without waiting days.
+      RAW_PAYLOAD_RETENTION_DAYS: "0.000002",
+    });
+    const created = await stack.api("/api/orders", {
+      method: "POST",
+      body: { planId: "startup", billingPeriod: "yearly", topUps: [{ id: "topup-email", amount: 20 }] },
+    });
+    orderId = created.body.id;
+    stack.paypal.approveOrder(orderId, { email: PAYER, givenName: "Priya" });
+    const capture = await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} });
+    captureId = capture.body.purchase_units[0].payments.captures[0].id;
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  const readRawRows = (sql, ...params) => {
+    const db = new Database(path.join(stack.dataDir, "payments.db"), { readonly: true });
+    try {
+      return db.prepare(sql).all(...params);
+    } finally {
+      db.close();
+    }
+  };
+
+  it("encrypts payer details in the database but reads them back through the API", async () => {
+    const [row] = readRawRows("SELECT payer_email, data FROM captures WHERE capture_id = ?", captureId);
+    assert.doesNotMatch(row.data, /privacy\.buyer@example\.com|Priya/i);
+    assert.match(row.payer_email, /^[0-9a-f]{64}$/);
+    assert.equal(JSON.parse(row.data).amount, "59.00");
+
+    const [transaction] = (await stack.api(`/api/transactions/${orderId}`, { as: "viewer" })).body.transactions;
+    assert.equal(transaction.payerEmail, PAYER);
+    assert.equal(transaction.payerGivenName, "Priya");
+    assert.equal(transaction.raw.payer.email_address, PAYER);
+
+    const found = await stack.api(`/api/transactions?payerEmail=${encodeURIComponent(PAYER)}`, { as: "viewer" });
+    assert.deepEqual(found.body.data.map((entry) => entry.captureId), [captureId]);
+  });
+
+  it("drops raw payloads once they are past the retention window", async () => {
+    const response = await eventually(
+      () => stack.api("/api/privacy/retention", { method: "POST", body: {}, as: "finance" }),
+      (current) => current.status !== 200 || current.body.purged.captures >= 1
+    );
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.purged.captures >= 1);
+    const [transaction] = (await stack.api(`/api/transactions/${orderId}`, { as: "viewer" })).body.transactions;
+    assert.equal(transaction.raw, undefined);
+    assert.equal(transaction.amount, "59.00");
+  });
+
+  it("replays a capture whose raw payload was purged instead of capturing it again", async () => {
+    const capturesBefore = stack.paypal.state.requests.filter((request) => request.path.endsWith("/capture")).length;
+
+    const retry = await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} });
+
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.equal(retry.body.id, orderId);
+    assert.equal(retry.body.payer.name.given_name, "Priya");
+    assert.deepEqual(retry.body.purchase_units[0].payments.captures, [
+      { id: captureId, status: "COMPLETED", amount: { currency_code: "USD", value: "59.00" } },
+    ]);
+    assert.equal(stack.paypal.state.requests.filter((request) => request.path.endsWith("/capture")).length, capturesBefore);
+  });
+
+  it("forgets a payer everywhere while keeping amounts and credits", async () => {
+    const before = (await stack.api(`/api/credits/${encodeURIComponent(PAYER.toLowerCase())}`, { as: "viewer" })).body.balances.email;
+    assert.equal(before, 500);
+    // An entry from before the audit log recorded route patterns.
+    await stack.repository.recordAudit({
+      at: new Date().toISOString(),
+      operator: "viewer-operator",
+      role: "viewer",
+      method: "GET",
+      path: `/api/credits/${encodeURIComponent(PAYER)}`,
+      params: { customerId: PAYER },
+      status: 200,
+    });
+
+    const response = await stack.api("/api/privacy/forget", { method: "POST", body: { email: PAYER }, as: "support" });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.orderIds, [orderId]);
+    assert.match(response.body.customerId, /^forgotten-/);
+
+    const [transaction] = (await stack.api(`/api/transactions/${orderId}`, { as: "viewer" })).body.transactions;
+    assert.equal(transaction.payerEmail, null);
+    assert.equal(transaction.payerGivenName, null);
+    assert.equal(transaction.amount, "59.00");
+    assert.equal(transaction.status, "COMPLETED");
+    assert.equal((await stack.api(`/api/orders/${orderId}`, { as: "viewer" })).body.client.ip, null);
+
+    const found = await stack.api(`/api/transactions?payerEmail=${encodeURIComponent(PAYER)}`, { as: "viewer" });
+    assert.deepEqual(found.body.data, []);
+    assert.equal((await stack.api(`/api/credits/${encodeURIComponent(PAYER.toLowerCase())}`, { as: "viewer" })).body.balances.email, 0);
+    assert.equal((await stack.api(`/api/credits/${response.body.customerId}`, { as: "viewer" })).body.balances.email, 500);
+
+    // The credit lookups by email were audited, as the route pattern without the email.
+    const audit = await eventually(
+      async () => (await stack.api("/api/admin/audit", { as: "finance" })).body.data,
+      (entries) => entries.filter((entry) => entry.path === "/api/credits/:customerId").length >= 3
+    );
+    assert.deepEqual(audit.find((entry) => entry.path === "/api/credits/:customerId").params, {});
+    const rows = readRawRows("SELECT path, data FROM audit_log");
+    const traces = [PAYER, encodeURIComponent(PAYER)].map((value) => value.toLowerCase());
+    assert.ok(rows.every((row) => traces.every((trace) => !JSON.stringify(row).toLowerCase().includes(trace))));
+    assert.ok(rows.some((row) => row.path === "/api/credits/[forgotten]"));
+  });
+
+  it("asks for an email to forget", async () => {
+    const response = await stack.api("/api/privacy/forget", { method: "POST", body: {}, as: "support" });
+    assert.equal(response.status, 400);
+  });
+});
+
+describe("redacted storage", () => {
+  it("still grants top-up credits to a payer whose email is never stored", async () => {
+    const stack = await startStack({ PII_PROTECTION: "redact", PII_ENCRYPTION_KEY: "test-only-pii-key" });
+    try {
+      const created = await stack.api("/api/orders", {
+        method: "POST",
+        body: { planId: "startup", billingPeriod: "yearly", topUps: [{ id: "topup-email", amount: 20 }] },
+      });
+      stack.paypal.approveOrder(created.body.id, { email: PAYER });
+      assert.equal((await stack.api(`/api/orders/${created.body.id}/capture`, { method: "POST", body: {} })).status, 200);
+
+      const [transaction] = (await stack.api(`/api/transactions/${created.body.id}`, { as: "viewer" })).body.transactions;
+      assert.equal(transaction.payerEmail, null);
+      assert.match(transaction.customerId, /^payer-[0-9a-f]{64}$/);
+
+      const credits = (await stack.api(`/api/credits/${encodeURIComponent(PAYER)}`, { as: "viewer" })).body;
+      assert.equal(credits.balances.email, 500);
+      assert.equal(credits.customerId, transaction.customerId);
+    } finally {
+      await stack.stop();
+    }
+  });
+
+  it("never writes payer details, but keeps what the books need", async () => {
+    const repository = createSqliteRepository({ filePath: ":memory:", privacy: createPrivacy({ mode: "redact", key: "test-only-pii-key" }) });
+    try {
+      await repository.saveCapture({
+        type: "capture",
+        orderId: "ORDER-R",
+        captureId: "CAPTURE-R",
+        status: "COMPLETED",
+        amount: "39.00",
+        currency: "USD",
+        payerEmail: "someone@example.com",
+        raw: { id: "ORDER-R", payer: { email_address: "someone@example.com" }, purchase_units: [{ reference_id: "default" }] },
+      });
+
+      const capture = await repository.findCapture("CAPTURE-R");
+      assert.equal(capture.payerEmail, null);
+      assert.equal(capture.raw.payer, null);
+      assert.deepEqual(capture.raw.purchase_units, [{ reference_id: "default" }]);
+      assert.equal(capture.amount, "39.00");
+    } finally {
+      repository.close();
+    }
+  });
+
+  it("refuses to encrypt or redact without a key", () => {
+    assert.throws(() => createPrivacy({ mode: "encrypt" }), /PII_PROTECTION=encrypt needs PII_ENCRYPTION_KEY/);
+    assert.throws(() => createPrivacy({ mode: "redact" }), /PII_PROTECTION=redact needs PII_ENCRYPTION_KEY/);
+  });
+});
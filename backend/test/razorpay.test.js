@@ -0,0 +1,175 @@
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, before, describe, it } from "node:test";
+import { MOCK_KEY_ID, MOCK_KEY_SECRET, MOCK_WEBHOOK_SECRET, startMockRazorpay } from "../mock/razorpay-server.js";
+import { startStack } from "./support.js";
+
+const STARTUP_MONTHLY_INR = { gateway: "razorpay", currency: "INR", planId: "startup", billingPeriod: "monthly" };
+
+describe("Razorpay checkout", () => {
+  let razorpay;
+  let stack;
+
+  before(async () => {
+    razorpay = await startMockRazorpay();
+    stack = await startStack({
+      RAZORPAY_BASE_URL: razorpay.url,
+      RAZORPAY_KEY_ID: MOCK_KEY_ID,
+      RAZORPAY_KEY_SECRET: MOCK_KEY_SECRET,
+      RAZORPAY_WEBHOOK_SECRET: MOCK_WEBHOOK_SECRET,
+    });
+  });
+
+  after(async () => {
+    await stack?.stop();
+    await razorpay?.close();
+  });
+
+  const calls = (path) => razorpay.state.requests.filter((request) => request.path === path);
+
+  const createOrder = async () => {
+    const created = await stack.api("/api/orders", { method: "POST", body: STARTUP_MONTHLY_INR });
+    assert.equal(created.status, 201);
+    return created.body.id;
+  };
+
+  const capture = (orderId, payment) => stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: { payment } });
+
+  const getOrder = async (orderId) => (await stack.api(`/api/orders/${orderId}`, { as: "viewer" })).body;
+
+  // Pays the order the way Razorpay Checkout does and confirms it with the backend.
+  const checkout = async () => {
+    const orderId = await createOrder();
+    const { paymentId, signature } = razorpay.payOrder(orderId);
+    const captured = await capture(orderId, { paymentId, signature });
+    assert.equal(captured.status, 200);
+    return { orderId, paymentId };
+  };
+
+  it("offers Razorpay Checkout the public key only", async () => {
+    const config = await stack.api("/api/config");
+    const gateway = config.body.gateways.find((entry) => entry.id === "razorpay");
+    assert.equal(gateway.keyId, MOCK_KEY_ID);
+    assert.doesNotMatch(JSON.stringify(config.body), new RegExp(MOCK_KEY_SECRET));
+  });
+
+  it("creates a Razorpay order for the total in paise", async () => {
+    const created = await stack.api("/api/orders", { method: "POST", body: STARTUP_MONTHLY_INR });
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.gateway, "razorpay");
+    assert.deepEqual(created.body.checkout, { orderId: created.body.id, amount: 379900, currency: "INR" });
+    const order = razorpay.state.orders.get(created.body.id);
+    assert.equal(order.amount, 379900);
+    assert.deepEqual(order.notes, { items: "startup" });
+    assert.equal((await getOrder(created.body.id)).total, "3799.00");
+  });
+
+  it("captures an authorized payment once its signature checks out", async () => {
+    const { orderId, paymentId } = await checkout();
+
+    assert.deepEqual(calls(`/payments/${paymentId}/capture`).map((request) => request.body), [{ amount: 379900, currency: "INR" }]);
+    assert.equal(razorpay.state.payments.get(paymentId).status, "captured");
+    const order = await getOrder(orderId);
+    assert.equal(order.status, "COMPLETED");
+    const [transaction] = order.transactions;
+    assert.equal(transaction.gateway, "razorpay");
+    assert.equal(transaction.captureId, paymentId);
+    assert.equal(transaction.status, "COMPLETED");
+    assert.equal(transaction.amount, "3799.00");
+    assert.equal(transaction.currency, "INR");
+
+    const again = await capture(orderId, { paymentId, signature: "ignored" });
+    assert.equal(again.headers.get("idempotent-replayed"), "true");
+    assert.equal(calls(`/payments/${paymentId}/capture`).length, 1);
+  });
+
+  it("does not capture a payment Razorpay already captured", async () => {
+    const orderId = await createOrder();
+    const { paymentId, signature } = razorpay.payOrder(orderId, { captured: true });
+
+    assert.equal((await capture(orderId, { paymentId, signature })).status, 200);
+    assert.equal(calls(`/payments/${paymentId}/capture`).length, 0);
+    assert.equal((await getOrder(orderId)).status, "COMPLETED");
+  });
+
+  it("refuses a missing or forged signature, and a payment made for another order", async () => {
+    const orderId = await createOrder();
+    const { paymentId, signature } = razorpay.payOrder(orderId);
+
+    assert.equal((await capture(orderId, { paymentId })).status, 400);
+    const forged = await capture(orderId, { paymentId, signature: signature.replace(/^./, (first) => (first === "0" ? "1" : "0")) });
+    assert.equal(forged.status, 400);
+    assert.match(forged.body.message, /signature is invalid/);
+
+    // Signed correctly, but for a payment against a different order.
+    const other = razorpay.payOrder(await createOrder());
+    const crossed = crypto.createHmac("sha256", MOCK_KEY_SECRET).update(`${orderId}|${other.paymentId}`).digest("hex");
+    const mismatch = await capture(orderId, { paymentId: other.paymentId, signature: crossed });
+    assert.equal(mismatch.status, 400);
+    assert.match(mismatch.body.message, /does not belong to this order/);
+
+    assert.equal(calls(`/payments/${paymentId}/capture`).length, 0);
+    assert.equal(razorpay.state.payments.get(paymentId).status, "authorized");
+    assert.notEqual((await getOrder(orderId)).status, "COMPLETED");
+  });
+
+  it("passes Razorpay's errors on in the shared error schema", async () => {
+    razorpay.failNext("createOrder", "BAD_REQUEST_ERROR", "Currency is not supported");
+    const rejected = await stack.api("/api/orders", { method: "POST", body: STARTUP_MONTHLY_INR });
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.code, "BAD_REQUEST_ERROR");
+    assert.equal(rejected.body.message, "Currency is not supported");
+    assert.equal(rejected.body.retryable, false);
+
+    const orderId = await createOrder();
+    const { paymentId, signature } = razorpay.payOrder(orderId);
+    razorpay.failNext("getPayment", "SERVER_ERROR", "We are facing some trouble completing your request at the moment.");
+    const outage = await capture(orderId, { paymentId, signature });
+    assert.equal(outage.status, 502);
+    assert.equal(outage.body.code, "SERVER_ERROR");
+    assert.equal(outage.body.retryable, true);
+    assert.equal(outage.body.action, "retry");
+
+    assert.equal((await capture(orderId, { paymentId, signature })).status, 200);
+  });
+
+  it("refunds part of a payment in paise", async () => {
+    const { paymentId } = await checkout();
+
+    const refund = await stack.api(`/api/captures/${paymentId}/refund`, {
+      method: "POST",
+      body: { amount: "1000", reason: "Downgraded" },
+      as: "finance",
+    });
+
+    assert.equal(refund.status, 201);
+    assert.equal(refund.body.refundedAmount, "1000.00");
+    assert.equal(refund.body.refundableAmount, "2799.00");
+    assert.deepEqual(calls(`/payments/${paymentId}/refund`)[0].body, { amount: 100000, notes: { reason: "Downgraded" } });
+  });
+
+  it("applies signed webhooks once and refuses unsigned ones", async () => {
+    const { orderId, paymentId } = await checkout();
+    const event = {
+      entity: "event",
+      event: "refund.processed",
+      payload: {
+        refund: { entity: { id: "rfnd_webhook1", payment_id: paymentId, amount: 379900, currency: "INR", status: "processed" } },
+      },
+    };
+    const send = (headers) => stack.api("/api/webhooks/razorpay", { method: "POST", body: event, headers });
+
+    assert.equal((await send({ "X-Razorpay-Signature": "0".repeat(64), "X-Razorpay-Event-Id": "evt_forged" })).status, 400);
+
+    const headers = razorpay.signWebhookEvent(event, { eventId: "evt_refund1" });
+    assert.deepEqual((await send(headers)).body, { received: true });
+    assert.deepEqual((await send(headers)).body, { received: true, duplicate: true });
+
+    const [transaction] = (await getOrder(orderId)).transactions;
+    assert.deepEqual(
+      transaction.refunds.map((refund) => [refund.refundId, refund.status, refund.amount]),
+      [["rfnd_webhook1", "COMPLETED", "3799.00"]]
+    );
+  });
+});
@@ -0,0 +1,182 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { MOCK_CLIENT_ID, MOCK_CLIENT_SECRET } from "../mock/paypal-server.js";
+import { startStack } from "./support.js";
+
+describe("reconciliation", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack();
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  const createOrder = async (body = { planId: "startup", billingPeriod: "monthly", topUps: [{ id: "topup-email", amount: 20 }] }) => {
+    const response = await stack.api("/api/orders", { method: "POST", body: { ...body, customerId: "ops@example.com" } });
+    stack.paypal.approveOrder(response.body.id, { email: "ops@example.com" });
+    return response.body.id;
+  };
+
+  const paypalRequest = async (path, body) => {
+    const auth = Buffer.from(`${MOCK_CLIENT_ID}:${MOCK_CLIENT_SECRET}`).toString("base64");
+    const token = await fetch(`${stack.paypal.url}/v1/oauth2/token`, {
+      method: "POST",
+      headers: { Authorization: `Basic ${auth}`, "Content-Type": "application/x-www-form-urlencoded" },
+      body: "grant_type=client_credentials",
+    }).then((response) => response.json());
+    return fetch(`${stack.paypal.url}${path}`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token.access_token}`, "Content-Type": "application/json" },
+      ...(body && { body: JSON.stringify(body) }),
+    }).then((response) => response.json());
+  };
+
+  // Captures straight at PayPal, the way a charge goes through when our own write afterwards fails.
+  const captureBehindOurBack = async (orderId) => {
+    const capture = await paypalRequest(`/v2/checkout/orders/${orderId}/capture`);
+    return capture.purchase_units[0].payments.captures[0].id;
+  };
+
+  const reconcile = (body = {}) => stack.api("/api/reconciliation", { method: "POST", body, as: "finance" });
+
+  const reconcileAll = async (body = {}) => {
+    const pages = [];
+    let cursor;
+    do {
+      const page = await reconcile({ ...body, ...(cursor && { cursor }) });
+      assert.equal(page.status, 200);
+      pages.push(page.body);
+      cursor = page.body.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  it("reports a capture PayPal has but we never recorded, then repairs it", async () => {
+    const orderId = await createOrder();
+    const captureId = await captureBehindOurBack(orderId);
+
+    const report = await reconcile();
+    assert.equal(report.status, 200);
+    const [missing] = report.body.discrepancies.filter((discrepancy) => discrepancy.captureId === captureId);
+    assert.equal(missing.kind, "missing_capture");
+    assert.equal(missing.remote.amount, "69.00");
+    assert.equal(missing.repaired, false);
+    assert.equal(await stack.repository.findCapture(captureId), null);
+
+    const repaired = await reconcile({ repair: true });
+    assert.equal(repaired.body.discrepancies.find((discrepancy) => discrepancy.captureId === captureId).repaired, true);
+
+    const record = await stack.repository.findCapture(captureId);
+    assert.equal(record.source, "reconciliation");
+    assert.equal(record.amount, "69.00");
+    assert.equal(record.fee, stack.paypal.state.captures.get(captureId).seller_receivable_breakdown.paypal_fee.value);
+    const credits = await stack.api("/api/credits/ops@example.com", { as: "viewer" });
+    assert.equal(credits.body.balances.email, 500);
+
+    const clean = await reconcile();
+    assert.deepEqual(clean.body.discrepancies.filter((discrepancy) => discrepancy.orderId === orderId), []);
+  });
+
+  it("records a status change PayPal reports for a capture", async () => {
+    const orderId = await createOrder({ planId: "startup", billingPeriod: "yearly" });
+    const capture = await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} });
+    const captureId = capture.body.purchase_units[0].payments.captures[0].id;
+    stack.paypal.state.captures.get(captureId).status = "DECLINED";
+
+    const report = await reconcile({ repair: true });
+    const [mismatch] = report.body.discrepancies.filter((discrepancy) => discrepancy.captureId === captureId);
+    assert.equal(mismatch.kind, "status_mismatch");
+    assert.equal(mismatch.local.status, "COMPLETED");
+    assert.equal(mismatch.remote.status, "DECLINED");
+    assert.equal(mismatch.repaired, true);
+
+    const transactions = await stack.api(`/api/transactions/${orderId}`, { as: "viewer" });
+    assert.equal(transactions.body.transactions[0].status, "DECLINED");
+  });
+
+  it("repairs fee drift but leaves a different charged amount for review", async () => {
+    const orderId = await createOrder({ planId: "startup", billingPeriod: "yearly" });
+    const capture = await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} });
+    const captureId = capture.body.purchase_units[0].payments.captures[0].id;
+
+    const remote = stack.paypal.state.captures.get(captureId);
+    remote.seller_receivable_breakdown.paypal_fee.value = "2.00";
+    remote.seller_receivable_breakdown.net_amount.value = "37.00";
+    const feeReport = await reconcile({ repair: true });
+    const [feeDrift] = feeReport.body.discrepancies.filter((discrepancy) => discrepancy.captureId === captureId);
+    assert.equal(feeDrift.kind, "amount_mismatch");
+    assert.deepEqual(feeDrift.fields, ["fee", "receivableAmount"]);
+    assert.equal(feeDrift.repaired, true);
+    assert.equal((await stack.repository.findCapture(captureId)).fee, "2.00");
+
+    remote.amount.value = "29.00";
+    const amountReport = await reconcile({ repair: true });
+    const [amountDrift] = amountReport.body.discrepancies.filter((discrepancy) => discrepancy.captureId === captureId);
+    assert.deepEqual(amountDrift.fields, ["amount"]);
+    assert.equal(amountDrift.repairable, false);
+    assert.equal(amountDrift.repaired, false);
+    assert.equal((await stack.repository.findCapture(captureId)).amount, "39.00");
+  });
+
+  it("checks a page of orders per request and pages through the rest", async () => {
+    const missing = [];
+    for (let index = 0; index < 3; index += 1) {
+      const orderId = await createOrder();
+      missing.push({ orderId, captureId: await captureBehindOurBack(orderId) });
+    }
+    const all = await reconcile({ limit: 200 });
+    const transactions = await reconcile({ limit: 200, cursor: all.body.nextCursor });
+    assert.equal(transactions.body.ordersChecked, 0);
+    assert.ok(transactions.body.transactionsChecked >= missing.length);
+
+    const pages = await reconcileAll({ limit: 2 });
+    assert.ok(pages.length > 1);
+    assert.ok(pages.every((page) => page.ordersChecked <= 2 && page.transactionsChecked <= 2));
+    assert.equal(pages.reduce((sum, page) => sum + page.ordersChecked, 0), all.body.ordersChecked);
+    const found = pages.flatMap((page) => page.discrepancies.map((discrepancy) => discrepancy.captureId));
+    for (const { captureId } of missing) {
+      assert.equal(found.filter((id) => id === captureId).length, 1);
+    }
+  });
+
+  it("reports a capture at PayPal whose order we never saved", async () => {
+    const order = await paypalRequest("/v2/checkout/orders", {
+      intent: "CAPTURE",
+      purchase_units: [{ reference_id: "lost", amount: { currency_code: "USD", value: "49.00" } }],
+    });
+    stack.paypal.approveOrder(order.id);
+    const captureId = await captureBehindOurBack(order.id);
+
+    const pages = await reconcileAll({ limit: 3 });
+    const reported = pages.flatMap((page) => page.discrepancies).filter((discrepancy) => discrepancy.captureId === captureId);
+    assert.equal(reported.length, 1);
+    assert.equal(reported[0].kind, "missing_order");
+    assert.equal(reported[0].orderId, order.id);
+    assert.equal(reported[0].remote.amount, "49.00");
+    assert.equal(reported[0].repairable, false);
+  });
+
+  it("pages past orders created at the same moment without skipping or repeating one", async () => {
+    // PayPal does not know these orders, so each one checked shows up as an error naming it.
+    const createdAt = new Date(Date.now() + 60_000).toISOString();
+    for (const orderId of ["SAME-TIME-A", "SAME-TIME-B", "SAME-TIME-C"]) {
+      await stack.repository.saveOrder({ orderId, gateway: "paypal", status: "CREATED", createdAt });
+    }
+
+    const checked = (await reconcileAll({ limit: 1 }))
+      .flatMap((page) => page.errors.map((error) => error.orderId))
+      .filter((orderId) => orderId?.startsWith("SAME-TIME-"));
+
+    assert.deepEqual(checked, ["SAME-TIME-A", "SAME-TIME-B", "SAME-TIME-C"]);
+  });
+
+  it("rejects an out-of-range window or page", async () => {
+    for (const body of [{ days: 365 }, { limit: 0 }, { limit: 201 }, { limit: 2.5 }, { cursor: "not-a-cursor" }]) {
+      const response = await reconcile(body);
+      assert.equal(response.status, 400, JSON.stringify(body));
+    }
+  });
+});
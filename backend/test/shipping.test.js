@@ -0,0 +1,182 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startStack } from "./support.js";
+
+const SHIPPING_METHODS = [
+  { id: "standard", label: "Standard", rates: { US: 10, CA: 20 } },
+  { id: "express", label: "Express", rates: { US: 30 } },
+];
+
+const HARDWARE_ORDER = {
+  planId: "startup",
+  billingPeriod: "monthly",
+  hardware: [{ id: "room-display", quantity: 2 }],
+};
+
+const ADDRESS = {
+  address_line_1: "500 King St W",
+  admin_area_2: "Toronto",
+  admin_area_1: "ON",
+  postal_code: "M5V 1L9",
+  country_code: "CA",
+};
+
+describe("hardware shipping", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack({ SHIPPING_METHODS: JSON.stringify(SHIPPING_METHODS) });
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  const lastCreateRequest = () => stack.paypal.state.requests.filter((request) => request.path === "/v2/checkout/orders").at(-1);
+
+  it("quotes shipping on top of the hardware, and none for digital-only orders", async () => {
+    const quote = await stack.api("/api/quote", {
+      method: "POST",
+      body: { ...HARDWARE_ORDER, shipping: { countryCode: "us", methodId: "express" } },
+    });
+    assert.equal(quote.status, 200);
+    assert.equal(quote.body.itemTotal, "347.00");
+    assert.deepEqual(quote.body.shippingMethod, { id: "express", label: "Express" });
+    assert.equal(quote.body.shippingTotal, "30.00");
+    assert.equal(quote.body.total, "377.00");
+
+    const digital = await stack.api("/api/quote", { method: "POST", body: { planId: "startup", billingPeriod: "monthly" } });
+    assert.equal(digital.body.shippingMethod, null);
+    assert.equal(digital.body.total, "49.00");
+
+    const nowhere = await stack.api("/api/quote", { method: "POST", body: HARDWARE_ORDER });
+    assert.equal(nowhere.status, 422);
+    assert.equal(nowhere.body.code, "COUNTRY_ERROR");
+  });
+
+  it("sends a digital-only order without shipping", async () => {
+    const created = await stack.api("/api/orders", { method: "POST", body: { planId: "startup", billingPeriod: "monthly" } });
+    assert.equal(created.status, 201);
+
+    const { body } = lastCreateRequest();
+    assert.equal(body.application_context.shipping_preference, "NO_SHIPPING");
+    assert.equal(body.purchase_units[0].shipping, undefined);
+    assert.equal(body.purchase_units[0].amount.breakdown.shipping, undefined);
+  });
+
+  it("lets the buyer pick an address at PayPal and reprices the order when it changes", async () => {
+    const created = await stack.api("/api/orders", {
+      method: "POST",
+      body: { ...HARDWARE_ORDER, shipping: { countryCode: "US" } },
+    });
+    assert.equal(created.status, 201);
+    const orderId = created.body.id;
+
+    const { body } = lastCreateRequest();
+    const { experience_context: experience } = body.payment_source.paypal;
+    assert.equal(experience.shipping_preference, "GET_FROM_FILE");
+    assert.match(experience.order_update_callback_config.callback_url, /\/api\/paypal\/shipping-callback\?token=[0-9a-f]{48}$/);
+    const [unit] = body.purchase_units;
+    assert.deepEqual(
+      unit.items.map((item) => [item.sku, item.quantity, item.category]),
+      [
+        ["startup", "1", "DIGITAL_GOODS"],
+        ["room-display", "2", "PHYSICAL_GOODS"],
+      ]
+    );
+    assert.deepEqual(unit.amount.breakdown.shipping, { currency_code: "USD", value: "10.00" });
+    assert.equal(unit.amount.value, "357.00");
+    assert.deepEqual(
+      unit.shipping.options.map((option) => [option.id, option.amount.value, option.selected]),
+      [
+        ["standard", "10.00", true],
+        ["express", "30.00", false],
+      ]
+    );
+
+    // Moving to Canada keeps standard shipping at the Canadian rate, where express is not offered.
+    const moved = await stack.paypal.changeShipping(orderId, { address: ADDRESS });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.purchase_units[0].amount.value, "367.00");
+    assert.deepEqual(moved.body.purchase_units[0].amount.breakdown.shipping, { currency_code: "USD", value: "20.00" });
+    assert.deepEqual(
+      moved.body.purchase_units[0].shipping_options.map((option) => option.id),
+      ["standard"]
+    );
+
+    const express = await stack.paypal.changeShipping(orderId, { optionId: "express" });
+    assert.equal(express.status, 422);
+    assert.equal(express.body.details[0].issue, "METHOD_UNAVAILABLE");
+
+    const france = await stack.paypal.changeShipping(orderId, { address: { ...ADDRESS, country_code: "FR" } });
+    assert.equal(france.status, 422);
+    assert.equal(france.body.details[0].issue, "COUNTRY_ERROR");
+
+    const order = (await stack.api(`/api/orders/${orderId}`, { as: "viewer" })).body;
+    assert.equal(order.shippingTotal, "20.00");
+    assert.equal(order.total, "367.00");
+    assert.equal(order.shippingCallbackToken, undefined);
+
+    stack.paypal.approveOrder(orderId, { givenName: "Ada", surname: "Lovelace" });
+    const captured = await stack.api(`/api/orders/${orderId}/capture`, { method: "POST", body: {} });
+    assert.equal(captured.status, 200);
+    assert.equal(captured.body.purchase_units[0].payments.captures[0].amount.value, "367.00");
+
+    const [capture] = (await stack.api(`/api/transactions/${orderId}`, { as: "viewer" })).body.transactions;
+    assert.deepEqual(capture.shipping, { name: "Ada Lovelace", address: ADDRESS });
+    assert.deepEqual(capture.shippingMethod, { id: "standard", label: "Standard" });
+    assert.equal(capture.shippingTotal, "20.00");
+  });
+
+  it("refuses shipping callbacks without the order's token", async () => {
+    const created = await stack.api("/api/orders", {
+      method: "POST",
+      body: { ...HARDWARE_ORDER, shipping: { countryCode: "US" } },
+    });
+    const response = await stack.api("/api/paypal/shipping-callback?token=forged", {
+      method: "POST",
+      body: { id: created.body.id, shipping_address: { country_code: "US" }, shipping_option: { id: "express" } },
+    });
+    assert.equal(response.status, 404);
+    assert.equal((await stack.api(`/api/orders/${created.body.id}`, { as: "viewer" })).body.shippingTotal, "10.00");
+  });
+
+  it("ships to the address the shopper gave us", async () => {
+    const created = await stack.api("/api/orders", {
+      method: "POST",
+      body: { ...HARDWARE_ORDER, shipping: { name: "Grace Hopper", address: { ...ADDRESS, country_code: "us" }, methodId: "express" } },
+    });
+    assert.equal(created.status, 201);
+
+    const { body } = lastCreateRequest();
+    assert.equal(body.payment_source.paypal.experience_context.shipping_preference, "SET_PROVIDED_ADDRESS");
+    assert.deepEqual(body.purchase_units[0].shipping.name, { full_name: "Grace Hopper" });
+    assert.equal(body.purchase_units[0].shipping.address.country_code, "US");
+    assert.equal(body.purchase_units[0].amount.value, "377.00");
+
+    stack.paypal.approveOrder(created.body.id);
+    assert.equal((await stack.api(`/api/orders/${created.body.id}/capture`, { method: "POST", body: {} })).status, 200);
+    const [capture] = (await stack.api(`/api/transactions/${created.body.id}`, { as: "viewer" })).body.transactions;
+    assert.equal(capture.shipping.name, "Grace Hopper");
+    assert.equal(capture.shippingTotal, "30.00");
+
+    const invoice = await fetch(
+      `${stack.baseUrl}/api/transactions/${created.body.id}/invoice?format=html&token=${created.body.receiptToken}`
+    );
+    assert.match(await invoice.text(), /Shipping \(Express\)<\/td><td class="amount">\$30\.00/);
+  });
+
+  it("validates hardware quantities and shipping addresses", async () => {
+    const tooMany = await stack.api("/api/quote", {
+      method: "POST",
+      body: { ...HARDWARE_ORDER, hardware: [{ id: "room-display", quantity: 1.5 }], shipping: { countryCode: "US" } },
+    });
+    assert.equal(tooMany.status, 400);
+
+    const noName = await stack.api("/api/orders", {
+      method: "POST",
+      body: { ...HARDWARE_ORDER, shipping: { address: ADDRESS } },
+    });
+    assert.equal(noName.status, 400);
+  });
+});
@@ -0,0 +1,156 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startStack } from "./support.js";
+
+const STARTUP_YEARLY = { planId: "startup", billingPeriod: "yearly" };
+
+describe("subscriptions", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack();
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  const subscribe = async (body = STARTUP_YEARLY) => {
+    const created = await stack.api("/api/subscriptions", { method: "POST", body });
+    assert.equal(created.status, 201);
+    return created.body;
+  };
+
+  // The shopper's confirmation, which syncs the subscription from PayPal.
+  const confirm = (subscription) =>
+    stack.api(`/api/subscriptions/${subscription.id}?token=${subscription.accessToken}`);
+
+  const act = (subscriptionId, action, { as = "support", reason } = {}) =>
+    stack.api(`/api/subscriptions/${subscriptionId}/${action}`, { method: "POST", body: reason ? { reason } : {}, as });
+
+  const history = async (subscriptionId) =>
+    (await stack.api(`/api/subscriptions/${subscriptionId}`, { as: "viewer" })).body.history.map((entry) => [
+      entry.action,
+      entry.status,
+    ]);
+
+  it("provisions a PayPal billing plan per plan and billing period, once", async () => {
+    assert.equal((await stack.api("/api/subscriptions", { method: "POST", body: STARTUP_YEARLY })).status, 503);
+
+    const provisioned = await stack.api("/api/subscriptions/plans/provision", { method: "POST", body: {}, as: "finance" });
+    assert.equal(provisioned.status, 201);
+    assert.deepEqual(
+      provisioned.body.created.map((entry) => [entry.key, entry.price]),
+      [
+        ["startup:yearly:USD", "468.00"],
+        ["startup:monthly:USD", "49.00"],
+        ["scaleup:yearly:USD", "2388.00"],
+        ["scaleup:monthly:USD", "229.00"],
+      ]
+    );
+    assert.equal(stack.paypal.state.billingPlans.size, 4);
+
+    const again = await stack.api("/api/subscriptions/plans/provision", { method: "POST", body: {}, as: "finance" });
+    assert.equal(again.status, 200);
+    assert.deepEqual(again.body.created, []);
+    assert.equal((await stack.api("/api/subscriptions/plans")).body.plans.length, 4);
+  });
+
+  it("creates a subscription awaiting the buyer's approval", async () => {
+    const created = await subscribe();
+
+    assert.equal(created.status, "APPROVAL_PENDING");
+    assert.match(created.accessToken, /^[0-9a-f]{48}$/);
+    const paypalPlanId = (await stack.api("/api/subscriptions/plans")).body.plans.find((plan) => plan.key === "startup:yearly:USD")
+      .paypalPlanId;
+    const subscription = stack.paypal.state.subscriptions.get(created.id);
+    assert.equal(subscription.plan_id, paypalPlanId);
+    assert.equal(subscription.custom_id, "startup:yearly");
+    assert.deepEqual(await history(created.id), [["created", "APPROVAL_PENDING"]]);
+  });
+
+  it("charges GST on every cycle for a GST-registered buyer", async () => {
+    const created = await subscribe({ ...STARTUP_YEARLY, gstNumber: "27AAPFU0939F1ZV" });
+    const request = stack.paypal.state.requests.filter((entry) => entry.path === "/v1/billing/subscriptions").at(-1);
+
+    assert.deepEqual(request.body.plan, { taxes: { percentage: "18", inclusive: false } });
+    assert.equal(stack.paypal.state.subscriptions.get(created.id).plan_overridden, true);
+  });
+
+  it("confirms the subscription for the shopper once they approve it at PayPal", async () => {
+    const created = await subscribe();
+    stack.paypal.approveSubscription(created.id, { givenName: "Meera", email: "meera@example.com" });
+
+    const confirmed = await confirm(created);
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.subscription.status, "ACTIVE");
+    assert.equal(confirmed.body.subscription.subscriber.name.given_name, "Meera");
+    assert.equal(confirmed.body.history.at(-1).nextBillingTime, confirmed.body.subscription.billing_info.next_billing_time);
+    assert.ok(confirmed.body.history.every((entry) => entry.raw === undefined && entry.accessToken === undefined));
+
+    // Looking again only records a change when there is one.
+    await confirm(created);
+    assert.deepEqual(await history(created.id), [
+      ["created", "APPROVAL_PENDING"],
+      ["synced", "ACTIVE"],
+    ]);
+  });
+
+  it("only shows a subscription to its shopper or an operator", async () => {
+    const mine = await subscribe();
+    const theirs = await subscribe();
+
+    assert.equal((await stack.api(`/api/subscriptions/${mine.id}`)).status, 401);
+    assert.equal((await confirm({ id: mine.id, accessToken: theirs.accessToken })).status, 401);
+    assert.equal((await confirm(mine)).status, 200);
+  });
+
+  it("suspends and reactivates a subscription for support, recording each change", async () => {
+    const created = await subscribe();
+    stack.paypal.approveSubscription(created.id);
+    await confirm(created);
+
+    assert.equal((await act(created.id, "suspend", { as: "viewer" })).status, 403);
+
+    const suspended = await act(created.id, "suspend", { reason: "Card under review" });
+    assert.equal(suspended.status, 200);
+    assert.equal(suspended.body.subscription.status, "SUSPENDED");
+    assert.equal(stack.paypal.state.subscriptions.get(created.id).status_change_note, "Card under review");
+
+    const reactivated = await act(created.id, "reactivate");
+    assert.equal(reactivated.body.subscription.status, "ACTIVE");
+    assert.equal(stack.paypal.state.subscriptions.get(created.id).status_change_note, "Reactivated by support.");
+
+    assert.deepEqual(await history(created.id), [
+      ["created", "APPROVAL_PENDING"],
+      ["synced", "ACTIVE"],
+      ["suspend", "SUSPENDED"],
+      ["reactivate", "ACTIVE"],
+    ]);
+  });
+
+  it("cancels a subscription, after which PayPal refuses to suspend it", async () => {
+    const created = await subscribe();
+    stack.paypal.approveSubscription(created.id);
+
+    const cancelled = await act(created.id, "cancel");
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.subscription.status, "CANCELLED");
+    assert.equal(stack.paypal.state.subscriptions.get(created.id).status_change_note, "Cancelled at the customer's request.");
+    assert.deepEqual((await history(created.id)).at(-1), ["cancel", "CANCELLED"]);
+
+    const suspended = await act(created.id, "suspend");
+    assert.equal(suspended.status, 422);
+    assert.equal(suspended.body.code, "SUBSCRIPTION_STATUS_INVALID");
+    assert.deepEqual((await history(created.id)).at(-1), ["cancel", "CANCELLED"]);
+  });
+
+  it("refuses actions it does not know, and a reason that is not text", async () => {
+    const created = await subscribe();
+    assert.equal((await act(created.id, "pause")).status, 404);
+
+    const refused = await stack.api(`/api/subscriptions/${created.id}/cancel`, { method: "POST", body: { reason: 7 }, as: "support" });
+    assert.equal(refused.status, 400);
+    assert.equal(stack.paypal.state.subscriptions.get(created.id).status, "APPROVAL_PENDING");
+  });
+});
@@ -0,0 +1,141 @@
+import { spawn } from "child_process";
+import { promises as fs } from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { MOCK_CLIENT_ID, MOCK_CLIENT_SECRET, MOCK_WEBHOOK_ID, startMockPayPal } from "../mock/paypal-server.js";
+import { createPrivacy, readPrivacyOptions } from "../lib/privacy.js";
+import { createSqliteRepository } from "../lib/store/sqlite.js";
+
+const BACKEND_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const STARTUP_TIMEOUT_MS = 10000;
+
+// One operator per role; pass `as: "<role>"` to `api` to call a back-office endpoint as them.
+export const ADMIN_KEYS = {
+  viewer: "test-viewer-key",
+  support: "test-support-key",
+  finance: "test-finance-key",
+};
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+const waitForOutput = (child, pattern) =>
+  new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(() => reject(new Error(`Backend did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    const onData = (chunk) => {
+      output += chunk;
+      if (pattern.test(output)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", (chunk) => {
+      output += chunk;
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Backend exited with code ${code}:\n${output}`));
+    });
+  });
+
+// Reads until `done` accepts the value or the deadline passes, for effects that land on the backend's timers rather
+// than in a response. Returns the last value read so the caller's assertion shows what was seen.
+export const eventually = async (read, done, { timeoutMs = 5000, intervalMs = 50 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  let value = await read();
+  while (!done(value) && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    value = await read();
+  }
+  return value;
+};
+
+// Runs the real backend as a child process against the mock PayPal API, with its database in a throwaway directory.
+export const startStack = async (env = {}) => {
+  const paypal = await startMockPayPal();
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "payment-e2e-"));
+  const port = await freePort();
+
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: BACKEND_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      PAYPAL_BASE_URL: paypal.url,
+      PAYPAL_CLIENT_ID: MOCK_CLIENT_ID,
+      PAYPAL_CLIENT_SECRET: MOCK_CLIENT_SECRET,
+      PAYPAL_WEBHOOK_ID: MOCK_WEBHOOK_ID,
+      PAYPAL_CURRENCY: "USD",
+      RAZORPAY_KEY_ID: "",
+      RAZORPAY_KEY_SECRET: "",
+      PAYPAL_RETRY_DELAY_MS: "10",
+      // Every test runs from one IP; the limits themselves are covered in abuse.test.js.
+      ORDER_RATE_LIMIT_PER_IP: "0",
+      CAPTURE_RATE_LIMIT_PER_IP: "0",
+      // Lets the mock PayPal reach the shipping callback, as PayPal would through the public URL.
+      PUBLIC_API_URL: `http://127.0.0.1:${port}`,
+      ADMIN_API_KEYS: Object.entries(ADMIN_KEYS)
+        .map(([role, key]) => `${role}-operator:${role}:${key}`)
+        .join(","),
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let stdout = "";
+  child.stdout.on("data", (chunk) => {
+    stdout += chunk;
+  });
+  await waitForOutput(child, /Server is running/);
+
+  // The backend's structured log lines so far, parsed.
+  const logs = () =>
+    stdout
+      .split("\n")
+      .filter((line) => line.startsWith("{"))
+      .map((line) => JSON.parse(line));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const api = async (endpoint, { method = "GET", body, headers = {}, as } = {}) => {
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...(as ? { Authorization: `Bearer ${ADMIN_KEYS[as]}` } : {}), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  // A second connection to the backend's database; WAL mode lets tests read while the backend writes.
+  const repository = createSqliteRepository({
+    filePath: path.join(dataDir, "payments.db"),
+    privacy: createPrivacy(readPrivacyOptions(env)),
+  });
+
+  const stop = async () => {
+    child.removeAllListeners("exit");
+    if (child.exitCode === null) {
+      const exited = new Promise((resolve) => child.once("exit", resolve));
+      child.kill();
+      await exited;
+    }
+    repository.close();
+    await paypal.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  };
+
+  return { api, baseUrl, dataDir, logs, paypal, repository, stop };
+};
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startStack } from "./support.js";
+
+// Newest first, as the list returns them. D and E share a timestamp, so they are ordered by capture id.
+const CAPTURES = [
+  { captureId: "CAPTURE-E", createTime: "2025-04-10T09:00:00.000Z", amount: "80.00", currency: "USD", status: "PENDING", payerEmail: "dave@example.com" },
+  { captureId: "CAPTURE-D", createTime: "2025-04-10T09:00:00.000Z", amount: "250.00", currency: "USD", status: "COMPLETED", payerEmail: "carol@example.com" },
+  { captureId: "CAPTURE-C", createTime: "2025-03-10T09:00:00.000Z", amount: "15.00", currency: "USD", status: "DECLINED", payerEmail: "alice@example.com" },
+  { captureId: "CAPTURE-B", createTime: "2025-02-10T09:00:00.000Z", amount: "120.00", currency: "EUR", status: "COMPLETED", payerEmail: "bob@example.com" },
+  { captureId: "CAPTURE-A", createTime: "2025-01-10T09:00:00.000Z", amount: "39.00", currency: "USD", status: "COMPLETED", payerEmail: "alice@example.com" },
+];
+
+describe("transaction list", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack();
+    for (const capture of [...CAPTURES].reverse()) {
+      await stack.repository.saveCapture({ type: "capture", gateway: "paypal", orderId: `ORDER-${capture.captureId}`, ...capture });
+    }
+  });
+
+  after(async () => {
+    await stack?.stop();
+  });
+
+  const list = (query = "") => stack.api(`/api/transactions${query}`, { as: "viewer" });
+
+  const captureIds = async (query) => {
+    const response = await list(query);
+    assert.equal(response.status, 200);
+    return response.body.data.map((transaction) => transaction.captureId);
+  };
+
+  it("lists every capture newest first", async () => {
+    assert.deepEqual(await captureIds(), ["CAPTURE-E", "CAPTURE-D", "CAPTURE-C", "CAPTURE-B", "CAPTURE-A"]);
+  });
+
+  it("filters by date range, inclusive at both ends", async () => {
+    assert.deepEqual(await captureIds("?from=2025-03-10T09:00:00.000Z"), ["CAPTURE-E", "CAPTURE-D", "CAPTURE-C"]);
+    assert.deepEqual(await captureIds("?to=2025-02-10T09:00:00.000Z"), ["CAPTURE-B", "CAPTURE-A"]);
+    assert.deepEqual(await captureIds("?from=2025-02-01&to=2025-03-31"), ["CAPTURE-C", "CAPTURE-B"]);
+  });
+
+  it("filters by one or more statuses", async () => {
+    assert.deepEqual(await captureIds("?status=completed"), ["CAPTURE-D", "CAPTURE-B", "CAPTURE-A"]);
+    assert.deepEqual(await captureIds("?status=PENDING,DECLINED"), ["CAPTURE-E", "CAPTURE-C"]);
+  });
+
+  it("filters by payer email whatever its case", async () => {
+    assert.deepEqual(await captureIds(`?payerEmail=${encodeURIComponent(" Alice@Example.com ")}`), ["CAPTURE-C", "CAPTURE-A"]);
+    assert.deepEqual(await captureIds("?payerEmail=nobody%40example.com"), []);
+  });
+
+  it("filters by currency", async () => {
+    assert.deepEqual(await captureIds("?currency=eur"), ["CAPTURE-B"]);
+  });
+
+  it("filters by amount, inclusive at both ends", async () => {
+    assert.deepEqual(await captureIds("?minAmount=80"), ["CAPTURE-E", "CAPTURE-D", "CAPTURE-B"]);
+    assert.deepEqual(await captureIds("?maxAmount=39"), ["CAPTURE-C", "CAPTURE-A"]);
+    assert.deepEqual(await captureIds("?minAmount=39&maxAmount=120"), ["CAPTURE-E", "CAPTURE-B", "CAPTURE-A"]);
+  });
+
+  it("combines filters", async () => {
+    assert.deepEqual(await captureIds("?currency=USD&status=COMPLETED&from=2025-01-01&maxAmount=100"), ["CAPTURE-A"]);
+  });
+
+  it("leaves raw payloads out when asked to", async () => {
+    const response = await list("?includeRaw=false&limit=1");
+    assert.equal(Object.hasOwn(response.body.data[0], "raw"), false);
+  });
+
+  it("rejects filters it cannot apply", async () => {
+    const queries = ["?from=yesterday", "?to=2025-13-45", "?minAmount=-1", "?maxAmount=lots"];
+    for (const query of [...queries, "?limit=0", "?limit=101", "?limit=2.5", "?cursor=not-a-cursor"]) {
+      const response = await list(query);
+      assert.equal(response.status, 400, query);
+    }
+  });
+
+  it("pages through every capture once, including captures that share a timestamp across a page boundary", async () => {
+    const seen = [];
+    const pages = [];
+    let cursor = null;
+    do {
+      const response = await list(`?limit=2${cursor ? `&cursor=${cursor}` : ""}`);
+      assert.equal(response.status, 200);
+      pages.push(response.body.data.length);
+      seen.push(...response.body.data.map((transaction) => transaction.captureId));
+      cursor = response.body.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(pages, [2, 2, 1]);
+    assert.deepEqual(seen, ["CAPTURE-E", "CAPTURE-D", "CAPTURE-C", "CAPTURE-B", "CAPTURE-A"]);
+
+    // The page boundary falls between the two captures made at the same moment.
+    const first = await list("?limit=1");
+    const second = await list(`?limit=1&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(second.body.data.map((transaction) => transaction.captureId), ["CAPTURE-D"]);
+  });
+
+  it("offers no next page when the last page is exactly full", async () => {
+    const all = await list("?limit=5");
+    assert.equal(all.body.data.length, 5);
+    assert.equal(all.body.nextCursor, null);
+
+    const first = await list("?limit=3");
+    const rest = await list(`?limit=2&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(rest.body.data.map((transaction) => transaction.captureId), ["CAPTURE-B", "CAPTURE-A"]);
+    assert.equal(rest.body.nextCursor, null);
+  });
+
+  it("keeps paging within the filters", async () => {
+    const first = await list("?status=COMPLETED&limit=2");
+    assert.deepEqual(first.body.data.map((transaction) => transaction.captureId), ["CAPTURE-D", "CAPTURE-B"]);
+
+    const second = await list(`?status=COMPLETED&limit=2&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(second.body.data.map((transaction) => transaction.captureId), ["CAPTURE-A"]);
+    assert.equal(second.body.nextCursor, null);
+  });
+});
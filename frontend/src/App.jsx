@@ -1,42 +1,54 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { PayPalButtons, PayPalScriptProvider } from '@paypal/react-paypal-js';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
 
-const PLANS = [
-  {
-    id: 'startup',
-    name: 'Startup Plan',
-    badge: 'Most Popular',
-    meta: 'Billed Annually',
-    pricing: { yearly: 39, monthly: 49 },
-    credits: [
-      '2400 AI Planning Credits per Year',
-      '12000 Email Credits per Year',
-    ],
-  },
-  {
-    id: 'scaleup',
-    name: 'Scaleup Plan',
-    pricing: { yearly: 199, monthly: 229 },
-    meta: 'Billed Annually',
-    credits: [
-      '12000 AI Planning Credits per Year',
-      '84000 Email Credits per Year',
-    ],
-  },
-  {
-    id: 'enterprise',
-    name: 'Enterprise Plan',
-    contactOnly: true,
-    pricing: { yearly: 0, monthly: 0 },
-    credits: ['Unlimited AI Planning Credits', 'Unlimited Email Credits'],
-  },
-];
-
-const BILLING_LABELS = {
-  yearly: 'Yearly',
-  monthly: 'Monthly',
+const RAZORPAY_CHECKOUT_URL = 'https://checkout.razorpay.com/v1/checkout.js';
+
+let razorpayScriptPromise = null;
+
+const loadRazorpayCheckout = () => {
+  if (window.Razorpay) return Promise.resolve();
+  if (!razorpayScriptPromise) {
+    razorpayScriptPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = RAZORPAY_CHECKOUT_URL;
+      script.onload = resolve;
+      script.onerror = () => {
+        razorpayScriptPromise = null;
+        reject(new Error('Unable to load Razorpay Checkout'));
+      };
+      document.body.appendChild(script);
+    });
+  }
+  return razorpayScriptPromise;
+};
+
+const MAX_CAPTURE_ATTEMPTS = 3;
+const CAPTURE_RETRY_DELAY_MS = 1000;
+
+// Backend errors share one shape: a stable code, a shopper-safe message, whether a retry can help, what to do next
+// ('restart' the gateway checkout, 'retry' the call, or 'none') and the gateway's debug id for support.
+const toApiError = (data, fallbackMessage) =>
+  Object.assign(new Error(data?.message || fallbackMessage), {
+    code: data?.code ?? null,
+    retryable: Boolean(data?.retryable),
+    action: data?.action ?? 'none',
+    debugId: data?.debugId ?? null,
+  });
+
+const withReference = (error) => (error.debugId ? `${error.message} (Reference: ${error.debugId})` : error.message);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One id per browser tab, which the backend's checkout rate limits count requests against.
+const checkoutSessionId = () => {
+  let id = sessionStorage.getItem('checkoutSession');
+  if (!id) {
+    id = crypto.randomUUID();
+    sessionStorage.setItem('checkoutSession', id);
+  }
+  return id;
 };
 
 const STATUS_STYLES = {
@@ -52,14 +64,23 @@ function App() {
   const [currency, setCurrency] = useState('USD');
   const [emailTopUp, setEmailTopUp] = useState('0');
   const [planningTopUp, setPlanningTopUp] = useState('0');
+  const [hardwareQuantities, setHardwareQuantities] = useState({});
+  const [shippingMethodId, setShippingMethodId] = useState(null);
   const [gstNumber, setGstNumber] = useState('');
   const [promoCode, setPromoCode] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [quote, setQuote] = useState(null);
   const [selectedPlanId, setSelectedPlanId] = useState(null);
   const [config, setConfig] = useState(null);
+  const [catalog, setCatalog] = useState(null);
   const [status, setStatus] = useState({ type: 'idle', message: '' });
   const [loadingConfig, setLoadingConfig] = useState(true);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [selectedGateway, setSelectedGateway] = useState(null);
+  const captureRestarts = useRef({});
+  // The backend hands out a token per order and subscription so the shopper can fetch their own receipt or status.
+  const accessTokens = useRef({});
+  const [autoRenew, setAutoRenew] = useState(false);
 
   useEffect(() => {
     const fetchConfig = async () => {
@@ -67,7 +88,7 @@ function App() {
         const response = await fetch(`${API_BASE_URL}/api/config`);
         const data = await response.json();
         if (!response.ok) {
-          throw new Error(data?.message || 'Unable to load PayPal config');
+          throw new Error(data?.message || 'Unable to load payment config');
         }
         setConfig(data);
         setCurrency(data.currency || 'USD');
@@ -81,71 +102,168 @@ function App() {
     fetchConfig();
   }, []);
 
-  const selectedPlan = useMemo(
-    () => PLANS.find((plan) => plan.id === selectedPlanId) || null,
-    [selectedPlanId]
-  );
+  // Prices, promo amounts and credit rates all depend on the shopper's currency.
+  useEffect(() => {
+    const controller = new AbortController();
+    const fetchCatalog = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/catalog?currency=${encodeURIComponent(currency)}`, {
+          signal: controller.signal,
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data?.message || 'Unable to load pricing');
+        }
+        setCatalog(data);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          setStatus({ type: 'error', message: error.message });
+        }
+      }
+    };
 
-  const checkoutItems = useMemo(() => {
-    if (!selectedPlan || selectedPlan.contactOnly) return [];
-    const price = selectedPlan.pricing[billingPeriod];
-    const items = [
-      {
-        id: selectedPlan.id,
-        name: `${selectedPlan.name} (${BILLING_LABELS[billingPeriod]})`,
-        price,
-        quantity: 1,
-      },
-    ];
+    fetchCatalog();
+    return () => controller.abort();
+  }, [currency]);
 
-    const emailAmount = Math.max(Number(emailTopUp) || 0, 0);
-    const planningAmount = Math.max(Number(planningTopUp) || 0, 0);
+  const plans = useMemo(() => catalog?.plans ?? [], [catalog]);
 
-    if (emailAmount > 0) {
-      items.push({
-        id: 'topup-email',
-        name: 'Email Credits Top-up',
-        price: emailAmount,
-        quantity: 1,
-      });
-    }
+  const selectedPlan = useMemo(
+    () => plans.find((plan) => plan.id === selectedPlanId) || null,
+    [plans, selectedPlanId]
+  );
 
-    if (planningAmount > 0) {
-      items.push({
-        id: 'topup-planning',
-        name: 'Planning Credits Top-up',
-        price: planningAmount,
-        quantity: 1,
-      });
-    }
+  const topUps = useMemo(
+    () =>
+      [
+        { id: 'topup-email', amount: Math.max(Number(emailTopUp) || 0, 0) },
+        { id: 'topup-planning', amount: Math.max(Number(planningTopUp) || 0, 0) },
+      ].filter((topUp) => topUp.amount > 0),
+    [emailTopUp, planningTopUp]
+  );
+
+  const hardware = useMemo(
+    () =>
+      (catalog?.hardware ?? [])
+        .map((product) => ({ id: product.id, quantity: Math.max(Math.floor(Number(hardwareQuantities[product.id]) || 0), 0) }))
+        .filter((entry) => entry.quantity > 0),
+    [catalog, hardwareQuantities]
+  );
 
+  // Preview only: the backend prices the order from its own catalog.
+  const checkoutItems = useMemo(() => {
+    if (!selectedPlan || selectedPlan.contactOnly) return [];
+    const items = [{ id: selectedPlan.id, price: selectedPlan.pricing[billingPeriod], quantity: 1 }];
+    topUps.forEach((topUp) => items.push({ id: topUp.id, price: topUp.amount, quantity: 1 }));
+    hardware.forEach((entry) => {
+      const product = catalog.hardware.find((candidate) => candidate.id === entry.id);
+      items.push({ id: entry.id, price: product.price, quantity: entry.quantity });
+    });
     return items;
-  }, [selectedPlan, billingPeriod, emailTopUp, planningTopUp]);
+  }, [selectedPlan, billingPeriod, topUps, hardware, catalog]);
+
+  // Hardware ships at the default rate until PayPal knows the buyer's address and confirms the rate for it.
+  const shippingMethods = useMemo(() => catalog?.shippingMethods ?? [], [catalog]);
+  const selectedShipping = shippingMethods.find((method) => method.id === shippingMethodId) ?? shippingMethods[0] ?? null;
+  const shipping = useMemo(
+    () => (hardware.length > 0 && selectedShipping ? { methodId: selectedShipping.id } : undefined),
+    [hardware, selectedShipping]
+  );
+  const shippingAmount = shipping ? Number(selectedShipping.amount) : 0;
 
   const orderTotal = useMemo(
     () => checkoutItems.reduce((sum, item) => sum + Number(item.price) * Number(item.quantity), 0),
     [checkoutItems]
   );
 
-  const paypalOptions = useMemo(() => {
-    if (!config?.clientId) return null;
-    return {
-      clientId: config.clientId,
-      currency: config.currency,
-      intent: 'capture',
+  // A quote is only valid for the selection it was issued against.
+  const selectionKey = JSON.stringify({ currency, planId: selectedPlan?.id, billingPeriod, topUps, hardware });
+  const activePromo = appliedPromo?.selectionKey === selectionKey ? appliedPromo : null;
+  const discountAmount = activePromo ? Number(activePromo.discount) : 0;
+  const amountDue = Math.max(orderTotal - discountAmount, 0);
+
+  // GST depends on the seller's registration, so the backend quotes it once a full GSTIN is entered.
+  const gstin = gstNumber.trim().toUpperCase();
+  const promoForQuote = activePromo?.code;
+  const quoteKey = JSON.stringify({ selectionKey, promoForQuote, gstin });
+  const taxQuote = gstin && quote?.key === quoteKey ? quote : null;
+  const taxTotal = taxQuote?.tax ? Number(taxQuote.taxTotal) : 0;
+  const grandTotal = amountDue + taxTotal + shippingAmount;
+
+  useEffect(() => {
+    if (!selectedPlan || selectedPlan.contactOnly || gstin.length !== 15) return undefined;
+
+    const controller = new AbortController();
+    const fetchQuote = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/quote`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            currency,
+            planId: selectedPlan.id,
+            billingPeriod,
+            topUps,
+            hardware,
+            shipping,
+            promoCode: promoForQuote,
+            gstNumber: gstin,
+          }),
+          signal: controller.signal,
+        });
+        const data = await response.json();
+        setQuote(
+          response.ok
+            ? { ...data, key: quoteKey }
+            : { key: quoteKey, error: data?.message || 'Unable to calculate GST' }
+        );
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          setQuote({ key: quoteKey, error: error.message });
+        }
+      }
     };
-  }, [config]);
 
-  const formatCurrency = (value) => {
-    const activeCurrency = config?.currency || 'USD';
-    return new Intl.NumberFormat('en-US', {
+    fetchQuote();
+    return () => controller.abort();
+  }, [currency, selectedPlan, billingPeriod, topUps, hardware, shipping, promoForQuote, gstin, quoteKey]);
+
+  let gstHint = '';
+  if (gstin && gstin.length !== 15) {
+    gstHint = 'GSTIN must be 15 characters.';
+  } else if (taxQuote?.error) {
+    gstHint = taxQuote.error;
+  } else if (taxQuote?.tax) {
+    gstHint = `${taxQuote.tax.lines.map((line) => line.name).join(' + ')} applies (state code ${taxQuote.tax.buyerStateCode}).`;
+  }
+
+  const gateways = useMemo(() => config?.gateways ?? [], [config]);
+  const paypalGateway = gateways.find((gateway) => gateway.id === 'paypal');
+  const razorpayGateway = gateways.find((gateway) => gateway.id === 'razorpay');
+
+  // Billing plans only cover the plan itself, so one-time extras keep the shopper on the capture path.
+  const canSubscribe = topUps.length === 0 && hardware.length === 0 && !activePromo;
+  const subscribeMode = autoRenew && canSubscribe;
+  const selectedPeriod = catalog?.billingPeriods?.find((period) => period.id === billingPeriod);
+
+  // Plans reviewed before they are charged only place a hold at checkout; the SDK intent has to match the order's.
+  const checkoutIntent = selectedPlan?.paymentIntent === 'AUTHORIZE' ? 'authorize' : 'capture';
+
+  const paypalOptions = useMemo(() => {
+    if (!paypalGateway?.clientId) return null;
+    return subscribeMode
+      ? { clientId: paypalGateway.clientId, currency, intent: 'subscription', vault: true }
+      : { clientId: paypalGateway.clientId, currency, intent: checkoutIntent };
+  }, [currency, paypalGateway, subscribeMode, checkoutIntent]);
+
+  const formatCurrency = (value) =>
+    new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: activeCurrency,
+      currency,
     }).format(value);
-  };
 
   const handleSelectPlan = (planId) => {
-    const plan = PLANS.find((p) => p.id === planId);
+    const plan = plans.find((p) => p.id === planId);
     if (plan?.contactOnly) {
       return;
     }
@@ -155,7 +273,7 @@ function App() {
   };
 
   const handleCardFocus = (planId) => {
-    const plan = PLANS.find((p) => p.id === planId);
+    const plan = plans.find((p) => p.id === planId);
     if (plan?.contactOnly) return;
     setSelectedPlanId(planId);
   };
@@ -165,18 +283,38 @@ function App() {
     setSelectedGateway(null);
   };
 
-  const createOrder = async () => {
+  const requestOrder = async (gatewayId) => {
     if (checkoutItems.length === 0) {
       const message = 'Select a plan to continue.';
       setStatus({ type: 'error', message });
       throw new Error(message);
     }
 
-    setStatus({ type: 'loading', message: 'Creating PayPal order...' });
+    setStatus({ type: 'loading', message: 'Creating your order...' });
     const response = await fetch(`${API_BASE_URL}/api/orders`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ items: checkoutItems }),
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': crypto.randomUUID(),
+        'X-Checkout-Session': checkoutSessionId(),
+      },
+      body: JSON.stringify({
+        gateway: gatewayId,
+        currency,
+        planId: selectedPlan.id,
+        billingPeriod,
+        topUps,
+        hardware,
+        shipping,
+        promoCode: activePromo?.code,
+        gstNumber: gstin || undefined,
+        client: {
+          locale: navigator.language,
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          referrer: document.referrer || undefined,
+          page: window.location.pathname,
+        },
+      }),
     });
     const data = await response.json();
 
@@ -186,33 +324,188 @@ function App() {
       throw new Error(message);
     }
 
+    accessTokens.current[data.id] = data.receiptToken;
     setStatus({ type: 'idle', message: '' });
-    return data.id;
+    return data;
+  };
+
+  const createOrder = async () => (await requestOrder('paypal')).id;
+
+  const cancelOrder = (orderId) => {
+    setStatus({ type: 'warning', message: 'Checkout cancelled by the shopper.' });
+    if (!orderId) {
+      return;
+    }
+    // Only feeds the abandonment numbers, so a failure here is not worth surfacing to the shopper.
+    const token = encodeURIComponent(accessTokens.current[orderId] ?? '');
+    fetch(`${API_BASE_URL}/api/orders/${orderId}/cancel?token=${token}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({}),
+    }).catch(() => {});
+  };
+
+  const applyPromo = async () => {
+    if (!selectedPlan || selectedPlan.contactOnly) {
+      setStatus({ type: 'warning', message: 'Select a plan before applying a promo code.' });
+      return;
+    }
+
+    setStatus({ type: 'loading', message: 'Checking promo code...' });
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/promo/validate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currency, planId: selectedPlan.id, billingPeriod, topUps, hardware, promoCode }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data?.message || 'Unable to apply the promo code');
+      }
+      setAppliedPromo({ ...data, selectionKey });
+      setStatus({ type: 'success', message: `${data.code} applied: ${data.description}.` });
+    } catch (error) {
+      setAppliedPromo(null);
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const requestCapture = async (orderId, payment) => {
+    // Keyed by order so a double click or retried approval replays the first capture. After a restart the buyer has
+    // picked a new funding source, so that capture is a fresh attempt.
+    const restarts = captureRestarts.current[orderId] ?? 0;
+    const idempotencyKey = restarts > 0 ? `capture-${orderId}-restart-${restarts}` : `capture-${orderId}`;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/orders/${orderId}/capture`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
+          'X-Checkout-Session': checkoutSessionId(),
+        },
+        body: JSON.stringify(payment ? { payment } : {}),
+      });
+      const data = await response.json();
+      return response.ok ? { data } : { error: toApiError(data, 'Unable to capture the order') };
+    } catch {
+      return { error: toApiError({ message: 'We could not reach the server.', retryable: true, action: 'retry' }) };
+    }
   };
 
-  const captureOrder = async (orderId) => {
+  const captureOrder = async (orderId, payment) => {
     setStatus({ type: 'loading', message: 'Capturing payment...' });
-    const response = await fetch(`${API_BASE_URL}/api/orders/${orderId}/capture`, {
+
+    let result = await requestCapture(orderId, payment);
+    for (let attempt = 2; result.error?.action === 'retry' && attempt <= MAX_CAPTURE_ATTEMPTS; attempt += 1) {
+      setStatus({ type: 'loading', message: 'Still confirming your payment...' });
+      await wait(CAPTURE_RETRY_DELAY_MS * (attempt - 1));
+      result = await requestCapture(orderId, payment);
+    }
+
+    const { data, error } = result;
+    if (error) {
+      if (error.action === 'restart') {
+        captureRestarts.current[orderId] = (captureRestarts.current[orderId] ?? 0) + 1;
+      }
+      setStatus({ type: error.action === 'restart' ? 'warning' : 'error', message: withReference(error) });
+      throw error;
+    }
+
+    const payerName = data?.payer?.name?.given_name;
+    if (data?.purchase_units?.[0]?.payments?.authorizations) {
+      setStatus({
+        type: 'success',
+        message: `Payment authorized${payerName ? `. Thanks, ${payerName}!` : '!'} You will be charged once your order is reviewed.`,
+      });
+      return data;
+    }
+    setStatus({
+      type: 'success',
+      message: `Payment confirmed${payerName ? `. Thanks, ${payerName}!` : '!'}`,
+      receiptUrl: `${API_BASE_URL}/api/transactions/${orderId}/invoice?format=pdf&token=${accessTokens.current[orderId]}`,
+    });
+    return data;
+  };
+
+  const createSubscription = async () => {
+    setStatus({ type: 'loading', message: 'Setting up your subscription...' });
+    const response = await fetch(`${API_BASE_URL}/api/subscriptions`, {
       method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': crypto.randomUUID() },
+      body: JSON.stringify({ currency, planId: selectedPlan.id, billingPeriod, gstNumber: gstin || undefined }),
     });
     const data = await response.json();
 
     if (!response.ok) {
-      const message = data?.message || 'Unable to capture the order';
+      const message = data?.message || 'Unable to start the subscription';
       setStatus({ type: 'error', message });
       throw new Error(message);
     }
 
-    const payerName = data?.payer?.name?.given_name;
+    accessTokens.current[data.id] = data.accessToken;
+    setStatus({ type: 'idle', message: '' });
+    return data.id;
+  };
+
+  const confirmSubscription = async (subscriptionId) => {
+    setStatus({ type: 'loading', message: 'Confirming your subscription...' });
+    const token = encodeURIComponent(accessTokens.current[subscriptionId] ?? '');
+    const response = await fetch(`${API_BASE_URL}/api/subscriptions/${subscriptionId}?token=${token}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      const message = data?.message || 'Unable to confirm the subscription';
+      setStatus({ type: 'error', message });
+      throw new Error(message);
+    }
+
+    const payerName = data?.subscription?.subscriber?.name?.given_name;
     setStatus({
       type: 'success',
-      message: `Payment confirmed${payerName ? `. Thanks, ${payerName}!` : '!'}`,
+      message: `Subscription ${data.subscription.status === 'ACTIVE' ? 'active' : 'created'}${payerName ? `. Thanks, ${payerName}!` : '!'}`,
     });
     return data;
   };
 
-  const emailCreditsEarned = Math.max(Number(emailTopUp) || 0, 0) * 25;
-  const planningCreditsEarned = Math.max(Number(planningTopUp) || 0, 0) * 5;
+  const payWithRazorpay = async () => {
+    try {
+      await loadRazorpayCheckout();
+      const order = await requestOrder('razorpay');
+      const checkout = new window.Razorpay({
+        key: razorpayGateway.keyId,
+        order_id: order.checkout.orderId,
+        amount: order.checkout.amount,
+        currency: order.checkout.currency,
+        name: razorpayGateway.brandName,
+        description: selectedPlan.name,
+        handler: async (response) => {
+          try {
+            await captureOrder(response.razorpay_order_id, {
+              paymentId: response.razorpay_payment_id,
+              signature: response.razorpay_signature,
+            });
+            closeModal();
+          } catch {
+            // captureOrder has already surfaced the error.
+          }
+        },
+        modal: {
+          ondismiss: () => cancelOrder(order.id),
+        },
+      });
+      checkout.on('payment.failed', (response) =>
+        setStatus({ type: 'error', message: response?.error?.description || 'Razorpay payment failed' })
+      );
+      checkout.open();
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const creditRate = (topUpId) => catalog?.topUps?.find((topUp) => topUp.id === topUpId)?.creditsPerUnit ?? 0;
+  const formatCreditRate = (topUpId) => creditRate(topUpId).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  const emailCreditsEarned = Math.floor(Math.max(Number(emailTopUp) || 0, 0) * creditRate('topup-email'));
+  const planningCreditsEarned = Math.floor(Math.max(Number(planningTopUp) || 0, 0) * creditRate('topup-planning'));
 
   const showPayPalInterface =
     isModalOpen && selectedGateway === 'paypal' && paypalOptions && checkoutItems.length > 0;
@@ -226,11 +519,16 @@ function App() {
           <div className="space-y-4">
             <p className="text-3xl font-semibold text-indigo-950">Upgrade Now</p>
             <div className="flex flex-wrap items-center gap-3">
-              <span className="rounded-full bg-indigo-600 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-white">
-                20% OFF
-              </span>
+              {catalog?.featuredPromotion && (
+                <span
+                  className="rounded-full bg-indigo-600 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-white"
+                  title={`Use code ${catalog.featuredPromotion.code}`}
+                >
+                  {catalog.featuredPromotion.badge}
+                </span>
+              )}
               <div className="inline-flex items-center rounded-full border border-indigo-100 bg-white p-1 shadow-sm">
-                {Object.entries(BILLING_LABELS).map(([key, label]) => (
+                {(catalog?.billingPeriods ?? []).map(({ id: key, label }) => (
                   <button
                     key={key}
                     type="button"
@@ -253,7 +551,11 @@ function App() {
                   onChange={(event) => setCurrency(event.target.value)}
                   className="rounded-full border border-indigo-100 bg-white px-4 py-1.5 text-sm font-semibold text-indigo-900 outline-none transition focus:border-indigo-300 focus:ring-2 focus:ring-indigo-100"
                 >
-                  <option value={config?.currency || 'USD'}>{config?.currency || 'USD'}</option>
+                  {(config?.currencies ?? [currency]).map((code) => (
+                    <option key={code} value={code}>
+                      {code}
+                    </option>
+                  ))}
                 </select>
               </label>
             </div>
@@ -272,7 +574,7 @@ function App() {
         </header>
 
         <section className="grid gap-5 md:grid-cols-3">
-          {PLANS.map((plan) => {
+          {plans.map((plan) => {
             const isSelected = selectedPlanId === plan.id;
             const priceLabel = plan.contactOnly
               ? ''
@@ -340,7 +642,7 @@ function App() {
           <article className="rounded-2xl border border-slate-200 bg-white/80 p-5 shadow-sm">
             <h3 className="text-lg font-semibold text-indigo-950">Top up for Email Credits</h3>
             <label className="mt-4 flex flex-col gap-2 text-sm font-medium text-slate-600">
-              <span>Enter Amount (USD)</span>
+              <span>Enter Amount ({currency})</span>
               <input
                 type="number"
                 min="0"
@@ -353,13 +655,15 @@ function App() {
               <span className="font-bold text-indigo-600">*</span> Email Credits you get ={' '}
               <strong>{emailCreditsEarned}</strong>
             </p>
-            <p className="text-xs text-slate-400">(1 USD = 25 Credits)</p>
+            <p className="text-xs text-slate-400">
+              (1 {currency} = {formatCreditRate('topup-email')} Credits)
+            </p>
           </article>
 
           <article className="rounded-2xl border border-slate-200 bg-white/80 p-5 shadow-sm">
             <h3 className="text-lg font-semibold text-indigo-950">Top up for Planning Credits</h3>
             <label className="mt-4 flex flex-col gap-2 text-sm font-medium text-slate-600">
-              <span>Enter Amount (USD)</span>
+              <span>Enter Amount ({currency})</span>
               <input
                 type="number"
                 min="0"
@@ -372,10 +676,58 @@ function App() {
               <span className="font-bold text-indigo-600">*</span> Planning Credits you get ={' '}
               <strong>{planningCreditsEarned}</strong>
             </p>
-            <p className="text-xs text-slate-400">(1 USD = 5 Credits)</p>
+            <p className="text-xs text-slate-400">
+              (1 {currency} = {formatCreditRate('topup-planning')} Credits)
+            </p>
           </article>
         </section>
 
+        {catalog?.hardware?.length > 0 && (
+          <section className="rounded-2xl border border-slate-200 bg-white/80 p-5 shadow-sm">
+            <h3 className="text-lg font-semibold text-indigo-950">Hardware add-ons</h3>
+            <div className="mt-4 grid gap-4 md:grid-cols-2">
+              {catalog.hardware.map((product) => (
+                <label key={product.id} className="flex items-center justify-between gap-4 text-sm font-medium text-slate-600">
+                  <span>
+                    <strong className="block text-slate-900">{product.name}</strong>
+                    {formatCurrency(product.price)} each
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    max={product.maxQuantity}
+                    step="1"
+                    value={hardwareQuantities[product.id] ?? '0'}
+                    onChange={(event) =>
+                      setHardwareQuantities((current) => ({ ...current, [product.id]: event.target.value }))
+                    }
+                    className="w-24 rounded-2xl border border-slate-200 bg-white px-4 py-2 text-base font-semibold text-slate-900 outline-none transition focus:border-indigo-300 focus:ring-2 focus:ring-indigo-100"
+                  />
+                </label>
+              ))}
+            </div>
+            {hardware.length > 0 && shippingMethods.length > 0 && (
+              <label className="mt-4 flex flex-col gap-2 text-sm font-medium text-slate-600">
+                <span>Shipping</span>
+                <select
+                  value={selectedShipping?.id}
+                  onChange={(event) => setShippingMethodId(event.target.value)}
+                  className="rounded-2xl border border-slate-200 bg-white px-4 py-2 text-base text-slate-900 outline-none transition focus:border-indigo-300 focus:ring-2 focus:ring-indigo-100"
+                >
+                  {shippingMethods.map((method) => (
+                    <option key={method.id} value={method.id}>
+                      {method.label} · from {formatCurrency(Number(method.amount))}
+                    </option>
+                  ))}
+                </select>
+                <span className="text-xs text-slate-500">
+                  The rate for your address is confirmed when you pick where to ship it at PayPal.
+                </span>
+              </label>
+            )}
+          </section>
+        )}
+
         <section className="grid gap-5 md:grid-cols-2">
           <label className="flex flex-col gap-2 rounded-2xl border border-slate-200 bg-white/80 p-5 text-sm font-medium text-slate-600">
             <span>Enter GST No.</span>
@@ -386,6 +738,9 @@ function App() {
               onChange={(event) => setGstNumber(event.target.value)}
               className="rounded-2xl border border-slate-200 bg-white px-4 py-2 text-base text-slate-900 outline-none transition focus:border-indigo-300 focus:ring-2 focus:ring-indigo-100"
             />
+            {gstHint && (
+              <span className={`text-xs ${taxQuote?.tax ? 'text-slate-500' : 'text-amber-600'}`}>{gstHint}</span>
+            )}
           </label>
           <label className="flex flex-col gap-2 rounded-2xl border border-slate-200 bg-white/80 p-5 text-sm font-medium text-slate-600">
             <span>Enter Promo code</span>
@@ -394,16 +749,24 @@ function App() {
                 type="text"
                 placeholder="Enter Promo Code (Optional)"
                 value={promoCode}
-                onChange={(event) => setPromoCode(event.target.value)}
+                onChange={(event) => {
+                  setPromoCode(event.target.value);
+                  setAppliedPromo(null);
+                }}
                 className="flex-1 rounded-2xl border border-slate-200 bg-white px-4 py-2 text-base text-slate-900 outline-none transition focus:border-indigo-300 focus:ring-2 focus:ring-indigo-100"
               />
               <button
                 type="button"
-                className="rounded-2xl border border-indigo-200 px-4 py-2 text-sm font-semibold text-indigo-600 transition hover:bg-indigo-50"
+                className="rounded-2xl border border-indigo-200 px-4 py-2 text-sm font-semibold text-indigo-600 transition hover:bg-indigo-50 disabled:cursor-not-allowed disabled:opacity-50"
+                onClick={applyPromo}
+                disabled={!promoCode.trim()}
               >
                 Apply
               </button>
             </div>
+            {appliedPromo && !activePromo && (
+              <span className="text-xs text-amber-600">Your selection changed. Apply the code again to keep the discount.</span>
+            )}
           </label>
         </section>
 
@@ -411,8 +774,34 @@ function App() {
           <div>
             <p className="text-sm font-medium text-slate-500">Total due</p>
             <p className="text-3xl font-bold text-slate-900">
-              {orderTotal > 0 ? formatCurrency(orderTotal) : '—'}
+              {orderTotal > 0 ? formatCurrency(grandTotal) : '—'}
             </p>
+            {orderTotal > 0 && (activePromo || taxQuote?.tax || shipping) && (
+              <dl className="mt-2 grid grid-cols-[auto_auto] gap-x-6 gap-y-1 text-sm text-slate-600">
+                <dt>Subtotal</dt>
+                <dd className="text-right">{formatCurrency(orderTotal)}</dd>
+                {activePromo && (
+                  <>
+                    <dt className="text-green-700">Discount ({activePromo.code})</dt>
+                    <dd className="text-right text-green-700">−{formatCurrency(discountAmount)}</dd>
+                  </>
+                )}
+                {taxQuote?.tax?.lines.map((line) => (
+                  <div key={line.name} className="contents">
+                    <dt>
+                      {line.name} ({line.rate}%)
+                    </dt>
+                    <dd className="text-right">{formatCurrency(Number(line.amount))}</dd>
+                  </div>
+                ))}
+                {shipping && (
+                  <>
+                    <dt>Shipping ({selectedShipping.label})</dt>
+                    <dd className="text-right">{formatCurrency(shippingAmount)}</dd>
+                  </>
+                )}
+              </dl>
+            )}
           </div>
           <button
             type="button"
@@ -434,6 +823,14 @@ function App() {
         {status.message && !isModalOpen && (
           <p className={`rounded-2xl border px-4 py-3 text-sm font-medium ${statusTone}`}>
             {status.message}
+            {status.receiptUrl && (
+              <>
+                {' '}
+                <a href={status.receiptUrl} className="font-semibold underline" target="_blank" rel="noreferrer">
+                  Download receipt
+                </a>
+              </>
+            )}
           </p>
         )}
       </main>
@@ -463,27 +860,27 @@ function App() {
               {selectedPlan.name} · {formatCurrency(selectedPlan.pricing[billingPeriod])}
             </p>
             <div className="mt-6 grid gap-3 sm:grid-cols-2">
-              <button
-                type="button"
-                className={`rounded-2xl border px-4 py-4 text-left transition focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-200 ${
-                  selectedGateway === 'paypal'
-                    ? 'border-indigo-500 bg-indigo-50 shadow'
-                    : 'border-slate-200 bg-white hover:border-indigo-300'
-                }`}
-                onClick={() => setSelectedGateway('paypal')}
-              >
-                <strong className="block text-base font-semibold text-indigo-950">PayPal</strong>
-                <span className="text-sm text-slate-500">Pay securely with PayPal</span>
-              </button>
-              <button
-                type="button"
-                className="rounded-2xl border border-slate-200 bg-white px-4 py-4 text-left text-slate-400 opacity-60"
-                disabled
-              >
-                <strong className="block text-base font-semibold">Razorpay</strong>
-                <span className="text-sm">Coming soon</span>
-              </button>
+              {gateways.map((gateway) => (
+                <button
+                  key={gateway.id}
+                  type="button"
+                  className={`rounded-2xl border px-4 py-4 text-left transition focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-200 ${
+                    selectedGateway === gateway.id
+                      ? 'border-indigo-500 bg-indigo-50 shadow'
+                      : 'border-slate-200 bg-white hover:border-indigo-300'
+                  }`}
+                  onClick={() => setSelectedGateway(gateway.id)}
+                >
+                  <strong className="block text-base font-semibold text-indigo-950">{gateway.label}</strong>
+                  <span className="text-sm text-slate-500">{gateway.description}</span>
+                </button>
+              ))}
             </div>
+            {!loadingConfig && gateways.length === 0 && (
+              <p className="mt-4 text-sm text-rose-600">
+                No payment gateways are configured. Double-check your backend configuration.
+              </p>
+            )}
 
             {selectedGateway === 'paypal' && (
               <div className="mt-6 rounded-2xl border border-slate-200 bg-slate-50 p-4">
@@ -493,14 +890,31 @@ function App() {
                     Unable to load PayPal credentials. Double-check your backend configuration.
                   </p>
                 )}
-                {showPayPalInterface && (
-                  <PayPalScriptProvider options={paypalOptions}>
+                <label className="mb-4 flex items-start gap-3 text-sm text-slate-600">
+                  <input
+                    type="checkbox"
+                    className="mt-0.5"
+                    checked={subscribeMode}
+                    disabled={!canSubscribe}
+                    onChange={(event) => setAutoRenew(event.target.checked)}
+                  />
+                  <span>
+                    <strong className="block text-slate-900">Auto-renew {selectedPeriod?.label.toLowerCase()}</strong>
+                    {canSubscribe
+                      ? `Billed ${formatCurrency(
+                          selectedPlan.pricing[billingPeriod] * (selectedPeriod?.monthsPerCycle ?? 1)
+                        )} every ${selectedPeriod?.intervalUnit.toLowerCase() ?? 'cycle'} until you cancel.`
+                      : 'Remove top-ups, hardware and promo codes to subscribe with auto-renewal.'}
+                  </span>
+                </label>
+                {showPayPalInterface && subscribeMode && (
+                  <PayPalScriptProvider key={`subscription-${currency}`} options={paypalOptions}>
                     <PayPalButtons
-                      style={{ layout: 'vertical', shape: 'rect', label: 'pay' }}
-                      createOrder={createOrder}
+                      style={{ layout: 'vertical', shape: 'rect', label: 'subscribe' }}
+                      createSubscription={createSubscription}
                       onApprove={async (data) => {
-                        if (data?.orderID) {
-                          await captureOrder(data.orderID);
+                        if (data?.subscriptionID) {
+                          await confirmSubscription(data.subscriptionID);
                           closeModal();
                         }
                       }}
@@ -508,12 +922,57 @@ function App() {
                         setStatus({ type: 'error', message: error?.message || 'PayPal error' })
                       }
                       onCancel={() =>
-                        setStatus({ type: 'warning', message: 'Checkout cancelled by the shopper.' })
+                        setStatus({ type: 'warning', message: 'Subscription cancelled by the shopper.' })
                       }
-                      forceReRender={[orderTotal, billingPeriod, selectedPlanId]}
+                      forceReRender={[billingPeriod, selectedPlanId, gstin]}
                     />
                   </PayPalScriptProvider>
                 )}
+                {showPayPalInterface && !subscribeMode && (
+                  <PayPalScriptProvider key={`${checkoutIntent}-${currency}`} options={paypalOptions}>
+                    <PayPalButtons
+                      style={{ layout: 'vertical', shape: 'rect', label: 'pay' }}
+                      createOrder={createOrder}
+                      onApprove={async (data, actions) => {
+                        if (!data?.orderID) {
+                          return;
+                        }
+                        try {
+                          await captureOrder(data.orderID);
+                          closeModal();
+                        } catch (error) {
+                          // PayPal's recommended recovery: reopen checkout so the buyer can pick another funding source.
+                          if (error.action === 'restart') {
+                            await actions.restart();
+                          }
+                        }
+                      }}
+                      onError={(error) =>
+                        setStatus({ type: 'error', message: error?.message || 'PayPal error' })
+                      }
+                      onCancel={(data) => cancelOrder(data?.orderID)}
+                      forceReRender={[grandTotal, billingPeriod, selectedPlanId, gstin]}
+                    />
+                  </PayPalScriptProvider>
+                )}
+              </div>
+            )}
+
+            {selectedGateway === 'razorpay' && razorpayGateway && (
+              <div className="mt-6 rounded-2xl border border-slate-200 bg-slate-50 p-4">
+                <button
+                  type="button"
+                  className="flex w-full items-center justify-center rounded-2xl bg-indigo-600 px-4 py-3 text-sm font-semibold text-white shadow-md transition hover:bg-indigo-500 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-200 disabled:cursor-not-allowed disabled:opacity-50"
+                  onClick={payWithRazorpay}
+                  disabled={Boolean(shipping)}
+                >
+                  Pay {formatCurrency(grandTotal)} with Razorpay
+                </button>
+                {shipping && (
+                  <p className="mt-2 text-xs text-slate-500">
+                    Razorpay cannot collect a shipping address, so pay for hardware with PayPal.
+                  </p>
+                )}
               </div>
             )}
 